@@ -0,0 +1,1075 @@
+// js/components/booking-wizard.js
+
+import { debounce, generateId, parseOpeningHours, toMinutes } from '../core/utils.js';
+import { addEvent, $, $$, createElement, getFocusableElements } from '../core/dom.js';
+import { animateElement } from '../core/animation.js';
+import { on, emit } from '../core/events.js';
+import { createForm, submitJson, isRetryableError } from '../core/forms.js';
+import { t } from '../core/i18n.js';
+import { getModal } from './modal.js';
+import { readOpeningHours } from './store-hours.js';
+
+/**
+ * Wizard steps, in order
+ */
+const STEPS = ['device', 'issue', 'details', 'schedule', 'contact'];
+
+/**
+ * Issue categories when the page has no service cards to read them from
+ */
+const DEFAULT_SERVICES = [
+    { id: 'screen-repair', title: 'Screen Repair' },
+    { id: 'hardware-upgrade', title: 'Hardware Upgrade' },
+    { id: 'virus-removal', title: 'Virus Removal' },
+    { id: 'data-recovery', title: 'Data Recovery' }
+];
+
+/**
+ * Read the issue categories from the service cards on the page
+ * (`.service-card[data-service-id]` with a `.service-title`)
+ * @returns {Array} [{ id, title }]
+ */
+function getServicesFromCards() {
+    const services = Array.from($$('.service-card')).map(card => {
+        const title = $('.service-title', card);
+        const id = card.getAttribute('data-service-id');
+        return title && id ? { id, title: title.textContent.trim() } : null;
+    }).filter(Boolean);
+
+    return services.length > 0 ? services : DEFAULT_SERVICES;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+function toDateValue(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ * @param {number} minutes - Minutes
+ * @returns {string} Time
+ */
+function toTimeValue(minutes) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+/**
+ * Read an image file, downscaled so it fits in localStorage
+ * @param {File} file - Image file
+ * @param {number} maxSize - Longest edge in px
+ * @returns {Promise<Object>} { name, type, size, dataUrl }
+ */
+function readPhoto(file, maxSize = 1280) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.onerror = () => reject(reader.error);
+        reader.onload = () => {
+            const image = new Image();
+
+            image.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            image.onload = () => {
+                const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+                const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
+                resolve({ name: file.name, type: 'image/jpeg', size: Math.round(dataUrl.length * 0.75), dataUrl });
+            };
+            image.src = reader.result;
+        };
+
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Read JSON from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value when missing or unreadable
+ * @returns {*} Stored value
+ */
+function readStorage(key, fallback) {
+    try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : fallback;
+    } catch (error) {
+        console.warn('Could not access localStorage:', error);
+        return fallback;
+    }
+}
+
+/**
+ * Write JSON to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - Value (null removes the key)
+ * @returns {boolean} Whether it was stored
+ */
+function writeStorage(key, value) {
+    try {
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(value));
+        }
+        return true;
+    } catch (error) {
+        console.warn('Could not save to localStorage:', error);
+        return false;
+    }
+}
+
+/**
+ * Create the id a booking keeps across retries, so the server can drop repeats
+ * @returns {string} Client id
+ */
+function createClientId() {
+    return typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+        ? crypto.randomUUID()
+        : generateId('booking');
+}
+
+/**
+ * Extra time the page gives a controlling service worker to answer
+ */
+const WORKER_GRACE = 5000;
+
+/**
+ * Whether a service worker controls the page (and owns the offline queue)
+ * @returns {boolean} Controlled
+ */
+function hasQueueWorker() {
+    return 'serviceWorker' in navigator && Boolean(navigator.serviceWorker.controller);
+}
+
+/**
+ * Options for a booking POST
+ * The service worker (sw.js) queues posts marked `X-Offline-Queue` when the
+ * server is unreachable or slower than `X-Offline-Timeout`, and answers
+ * `{ queued: true, reference }`. The page waits a little longer than the
+ * worker so it never gives up on a post the worker is about to queue.
+ * @param {string} clientId - Booking client id
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Object} submitJson options
+ */
+function getBookingRequest(clientId, timeout) {
+    return {
+        timeout: hasQueueWorker() ? timeout + WORKER_GRACE : timeout,
+        headers: {
+            'X-Offline-Queue': 'booking',
+            'X-Offline-Timeout': String(timeout),
+            'Idempotency-Key': clientId
+        }
+    };
+}
+
+/**
+ * Queue flush in progress (one at a time)
+ */
+let activeFlush = null;
+
+/**
+ * Send queued bookings
+ * @param {Object} options - { queueKey, timeout }
+ * @returns {Promise<number>} Number of bookings sent
+ */
+export function flushBookingQueue(options = {}) {
+    if (!activeFlush) {
+        activeFlush = sendQueuedBookings(options).finally(() => {
+            activeFlush = null;
+        });
+    }
+
+    return activeFlush;
+}
+
+/**
+ * Send each queued booking, keeping the ones that should be retried
+ * @param {Object} options - { queueKey, timeout }
+ * @returns {Promise<number>} Number of bookings sent
+ */
+async function sendQueuedBookings(options) {
+    const { queueKey = 'techfix-pro-booking-queue', timeout = 10000 } = options;
+    const queue = readStorage(queueKey, []);
+    if (queue.length === 0 || !navigator.onLine) return 0;
+
+    const done = new Set();
+    const retries = new Map();
+    let sent = 0;
+
+    for (const entry of queue) {
+        try {
+            const response = await submitJson(entry.endpoint, entry.payload,
+                getBookingRequest(entry.payload.clientId || entry.id, timeout));
+            done.add(entry.id);
+
+            // Handed over to the service worker queue
+            if (response.queued) continue;
+
+            sent++;
+            emit('booking:submitted', { reference: response.reference || entry.id, queued: true, response });
+        } catch (error) {
+            if (isRetryableError(error)) {
+                retries.set(entry.id, (entry.attempts || 0) + 1);
+            } else {
+                done.add(entry.id);
+                console.warn(`🍎 Queued booking ${entry.id} was rejected:`, error);
+                emit('booking:failed', { reference: entry.id, error: error.message });
+            }
+        }
+    }
+
+    // Re-read: bookings may have been queued while sending
+    const remaining = readStorage(queueKey, [])
+        .filter(entry => !done.has(entry.id))
+        .map(entry => (retries.has(entry.id) ? { ...entry, attempts: retries.get(entry.id) } : entry));
+
+    writeStorage(queueKey, remaining.length > 0 ? remaining : null);
+
+    if (sent > 0) {
+        console.log(`🍎 Sent ${sent} queued booking(s)`);
+    }
+
+    return sent;
+}
+
+/**
+ * Apple-style Booking Wizard Component
+ * Multi-step repair booking inside an AppleModal dialog. Progress survives
+ * reloads through localStorage; bookings made offline are queued and sent
+ * once the connection returns. The service worker owns that queue when it
+ * controls the page; the localStorage queue only covers pages without one.
+ */
+export class AppleBookingWizard {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? $(element) : element;
+        if (!this.element) {
+            console.warn(`Booking wizard not found: ${element}`);
+            return;
+        }
+
+        this.options = {
+            endpoint: '/api/bookings',
+            storageKey: 'techfix-pro-booking',
+            queueKey: 'techfix-pro-booking-queue',
+            maxPhotos: 3,
+            maxPhotoSize: 10 * 1024 * 1024,
+            timeout: 10000,
+            progressTTL: 7 * 24 * 60 * 60 * 1000,
+            // Fixed slots; otherwise cut from the opening hours in slotLength steps
+            slots: null,
+            slotLength: 120,
+            // schema.org openingHours; the page's JSON-LD (or the chosen branch) otherwise
+            openingHours: null,
+            services: null,
+            ...options
+        };
+
+        this.state = {
+            step: 0,
+            data: {},
+            photos: [],
+            quote: null,
+            // Set on the first submit and sent with every retry
+            clientId: null,
+            isSubmitting: false,
+            reference: null
+        };
+
+        this.elements = this.cacheElements();
+        this.cleanupFunctions = [];
+        this.form = null;
+        this.openingRules = parseOpeningHours(this.options.openingHours || readOpeningHours());
+
+        this.init();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        const form = this.element.tagName === 'FORM' ? this.element : $('form', this.element);
+
+        return {
+            form,
+            steps: $$('[data-step]', this.element),
+            indicators: $$('[data-step-indicator]', this.element),
+            services: $('[data-booking-services]', this.element),
+            slots: $('[data-booking-slots]', this.element),
+            photoInput: $('input[type="file"]', this.element),
+            photoList: $('[data-booking-photos]', this.element),
+            status: $('[data-booking-status]', this.element),
+            reference: $('[data-booking-reference]', this.element),
+            back: $('[data-booking-back]', this.element),
+            next: $('[data-booking-next]', this.element),
+            submit: $('[data-booking-submit]', this.element)
+        };
+    }
+
+    /**
+     * Initialize wizard
+     */
+    init() {
+        if (!this.elements.form) {
+            console.warn('🍎 Booking wizard needs a <form>');
+            return;
+        }
+
+        this.form = createForm(this.elements.form, this.getSchema(), {
+            validateOn: 'submit',
+            retries: 0, // failed bookings are queued instead
+            submit: () => this.send(),
+            onInvalid: (errors) => this.showFirstInvalidStep(errors),
+            onError: (error) => this.announce(error.message),
+            onStateChange: (status) => this.setBusy(status === 'submitting')
+        });
+
+        this.renderServices();
+        this.renderSlots();
+        this.restoreProgress();
+        this.setupEventListeners();
+        this.showStep(this.state.step, { focus: false, animate: false });
+
+        // Bookings queued on an earlier visit
+        flushBookingQueue(this.options);
+
+        console.log('🍎 Apple Booking Wizard initialized');
+    }
+
+    /**
+     * Rules beyond the form's own attributes
+     * @returns {Object} Form schema
+     */
+    getSchema() {
+        return {
+            // Attachments are checked as they are added
+            photos: false,
+            description: {
+                messages: { minLength: min => t('booking.moreDetail', { min }) }
+            },
+            date: {
+                messages: { min: () => t('booking.dateMin') },
+                validate: value => (this.getSlots(value).length === 0
+                    ? t('booking.closedDay')
+                    : true)
+            }
+        };
+    }
+
+    /**
+     * Render issue categories as radio cards
+     */
+    renderServices() {
+        const container = this.elements.services;
+        if (!container) return;
+
+        const services = this.options.services || getServicesFromCards();
+        container.innerHTML = '';
+
+        services.forEach(({ id, title }) => {
+            const inputId = `booking-service-${id}`;
+            container.appendChild(createElement('div', { className: 'booking-option' },
+                createElement('input', { type: 'radio', name: 'service', id: inputId, value: id, required: '', 'data-label': t('booking.serviceLabel') }),
+                createElement('label', { for: inputId }, title)
+            ));
+        });
+    }
+
+    /**
+     * Time slots offered on a date, within that day's opening hours
+     * @param {string} dateValue - YYYY-MM-DD
+     * @returns {string[]} Slots ('10:00-12:00')
+     */
+    getSlots(dateValue) {
+        if (!dateValue) return [];
+
+        const day = new Date(`${dateValue}T00:00`).getDay();
+        const rules = this.openingRules.filter(rule => rule.days.includes(day));
+
+        if (rules.length === 0) return [];
+        if (this.options.slots) return this.options.slots;
+
+        const { slotLength } = this.options;
+
+        return rules.flatMap(({ opens, closes }) => {
+            const slots = [];
+            for (let start = toMinutes(opens); start + slotLength <= toMinutes(closes); start += slotLength) {
+                slots.push(`${toTimeValue(start)}-${toTimeValue(start + slotLength)}`);
+            }
+            return slots;
+        });
+    }
+
+    /**
+     * Render the chosen date's time slots and the earliest bookable date
+     */
+    renderSlots() {
+        const dateInput = $('input[name="date"]', this.element);
+        if (dateInput) {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            dateInput.min = toDateValue(tomorrow);
+        }
+
+        const container = this.elements.slots;
+        if (!container) return;
+
+        const checked = $('input[name="slot"]:checked', container);
+        const selected = checked ? checked.value : this.state.data.slot;
+
+        container.innerHTML = '';
+        this.getSlots(dateInput ? dateInput.value : '').forEach(slot => {
+            const inputId = `booking-slot-${slot.replace(/\D/g, '')}`;
+            container.appendChild(createElement('div', { className: 'booking-option' },
+                createElement('input', {
+                    type: 'radio',
+                    name: 'slot',
+                    id: inputId,
+                    value: slot,
+                    required: '',
+                    'data-label': t('booking.slotLabel'),
+                    ...(slot === selected ? { checked: '' } : {})
+                }),
+                createElement('label', { for: inputId }, slot.replace('-', ' – '))
+            ));
+        });
+    }
+
+    /**
+     * Re-render generated options in the current language, keeping choices
+     */
+    renderLocalized() {
+        const { service = '', slot = '' } = this.collectData();
+
+        this.renderServices();
+        this.renderSlots();
+        this.renderPhotos();
+        this.fillForm({ service, slot });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { form, back, next, photoInput, photoList } = this.elements;
+        const saveProgress = debounce(() => this.saveProgress(), 300);
+
+        this.cleanupFunctions.push(
+            addEvent(form, 'input change', (e) => {
+                if (e.target === photoInput) return;
+
+                this.state.data = this.collectData();
+                saveProgress();
+            })
+        );
+
+        if (back) {
+            this.cleanupFunctions.push(addEvent(back, 'click', () => this.previousStep()));
+        }
+
+        if (next) {
+            this.cleanupFunctions.push(addEvent(next, 'click', () => this.nextStep()));
+        }
+
+        // Enter in a text field continues instead of submitting early
+        this.cleanupFunctions.push(
+            addEvent(form, 'keydown', (e) => {
+                if (e.key === 'Enter' && e.target.tagName === 'INPUT' && !this.isLastStep()) {
+                    e.preventDefault();
+                    this.nextStep();
+                }
+            })
+        );
+
+        if (photoInput) {
+            this.cleanupFunctions.push(
+                addEvent(photoInput, 'change', () => this.addPhotos(photoInput.files))
+            );
+        }
+
+        if (photoList) {
+            this.cleanupFunctions.push(
+                addEvent(photoList, 'click', (e) => {
+                    const remove = e.target.closest('[data-remove-photo]');
+                    if (remove) {
+                        this.removePhoto(Number(remove.getAttribute('data-remove-photo')));
+                    }
+                })
+            );
+        }
+
+        // Slots follow the chosen day
+        const dateInput = $('input[name="date"]', form);
+        if (dateInput) {
+            this.cleanupFunctions.push(addEvent(dateInput, 'change', () => this.renderSlots()));
+        }
+
+        // Opening hours of the branch picked in the store locator
+        this.cleanupFunctions.push(
+            on('branch:change', ({ branch }) => {
+                if (this.options.openingHours || !branch.openingHours) return;
+
+                this.openingRules = parseOpeningHours(branch.openingHours);
+                this.renderSlots();
+            }, { owner: this, replay: true })
+        );
+
+        // Quotes handed over by the cost estimator
+        this.cleanupFunctions.push(
+            on('booking:prefill', (data) => this.prefill(data), { owner: this })
+        );
+
+        // Generated options follow the language
+        this.cleanupFunctions.push(
+            on('i18n:change', () => this.renderLocalized(), { owner: this })
+        );
+
+        // Send queued bookings when the connection comes back
+        this.cleanupFunctions.push(
+            addEvent(window, 'online', () => flushBookingQueue(this.options))
+        );
+
+        // Bookings the service worker sent later
+        this.cleanupFunctions.push(
+            on('network:replayed', (entry) => {
+                if (entry.tag !== 'booking') return;
+
+                if (entry.ok) {
+                    emit('booking:submitted', { reference: entry.body.reference || entry.id, queued: true, response: entry.body });
+                } else {
+                    console.warn(`🍎 Queued booking ${entry.id} was rejected:`, entry.status);
+                    emit('booking:failed', { reference: entry.id, error: entry.body.message || `Booking failed (${entry.status})` });
+                }
+            }, { owner: this })
+        );
+
+        // Start over after a finished booking
+        const modal = this.element.tagName === 'DIALOG' ? getModal(this.element) : null;
+        if (modal) {
+            modal.updateOptions({
+                onClose: () => {
+                    if (this.state.reference) this.reset();
+                }
+            });
+        }
+    }
+
+    /**
+     * Read the form into a plain object
+     * @returns {Object} Field values
+     */
+    collectData() {
+        const data = {};
+        new FormData(this.elements.form).forEach((value, key) => {
+            if (typeof value === 'string') data[key] = value.trim();
+        });
+        return data;
+    }
+
+    /**
+     * Put saved values back into the form
+     * @param {Object} data - Field values
+     */
+    fillForm(data) {
+        Object.entries(data).forEach(([name, value]) => {
+            const fields = $$(`[name="${name}"]`, this.elements.form);
+
+            fields.forEach(field => {
+                if (field.type === 'radio' || field.type === 'checkbox') {
+                    field.checked = field.value === value;
+                } else if (field.type !== 'file') {
+                    field.value = value;
+                }
+            });
+        });
+    }
+
+    /**
+     * Save step, answers and photos
+     */
+    saveProgress() {
+        if (this.state.reference) return;
+
+        const progress = {
+            step: this.state.step,
+            data: this.state.data,
+            photos: this.state.photos,
+            quote: this.state.quote,
+            clientId: this.state.clientId,
+            savedAt: Date.now()
+        };
+
+        // Photos are the bulk of it; keep the answers if storage is full
+        if (!writeStorage(this.options.storageKey, progress)) {
+            writeStorage(this.options.storageKey, { ...progress, photos: [] });
+        }
+    }
+
+    /**
+     * Restore saved progress
+     */
+    restoreProgress() {
+        const progress = readStorage(this.options.storageKey, null);
+        if (!progress) return;
+
+        if (Date.now() - (progress.savedAt || 0) > this.options.progressTTL) {
+            writeStorage(this.options.storageKey, null);
+            return;
+        }
+
+        this.state.data = progress.data || {};
+        this.state.photos = progress.photos || [];
+        this.state.quote = progress.quote || null;
+        this.state.clientId = progress.clientId || null;
+        this.fillForm(this.state.data);
+        this.renderSlots();
+        this.renderPhotos();
+
+        // Resume at the first step that is not complete yet
+        const step = Math.min(progress.step || 0, STEPS.length - 1);
+        const firstInvalid = STEPS.slice(0, step).findIndex((name, index) => !this.isStepComplete(index));
+        this.state.step = firstInvalid === -1 ? step : firstInvalid;
+    }
+
+    /**
+     * Prefill answers (e.g. from a cost estimate) and continue at the first
+     * step that still needs input, at the latest the problem description
+     * @param {Object} data - { brand, model, service, description, quote }
+     */
+    prefill(data = {}) {
+        if (this.state.reference) this.reset();
+
+        const { brand, model, service, description, quote } = data;
+        const brandSelect = $('[name="brand"]', this.elements.form);
+        const isKnownBrand = Boolean(brand && brandSelect &&
+            Array.from(brandSelect.options).some(option => option.value === brand));
+
+        const values = {
+            brand: isKnownBrand || !brand ? brand : 'Other',
+            model: isKnownBrand || !brand ? model : [brand, model].filter(Boolean).join(' '),
+            service,
+            // Never overwrite a description the user already wrote
+            description: this.state.data.description ? undefined : description
+        };
+
+        Object.keys(values).forEach(key => {
+            if (!values[key]) delete values[key];
+        });
+
+        this.fillForm(values);
+        this.state.data = this.collectData();
+        this.state.quote = quote || null;
+
+        const detailsStep = STEPS.indexOf('details');
+        const firstIncomplete = STEPS.findIndex((name, index) => !this.isStepComplete(index));
+        this.showStep(firstIncomplete === -1 ? detailsStep : Math.min(firstIncomplete, detailsStep), {
+            focus: false,
+            animate: false
+        });
+        this.saveProgress();
+    }
+
+    /**
+     * Clear saved progress and start over
+     */
+    reset() {
+        writeStorage(this.options.storageKey, null);
+
+        this.elements.form.reset();
+        this.state.data = {};
+        this.state.photos = [];
+        this.state.quote = null;
+        this.state.clientId = null;
+        this.state.reference = null;
+        this.state.isSubmitting = false;
+        this.form.clearErrors();
+
+        this.renderSlots();
+        this.renderPhotos();
+        this.showStep(0, { focus: false, animate: false });
+    }
+
+    /**
+     * Check a step without showing messages
+     * @param {number} index - Step index
+     * @returns {boolean} Step is complete
+     */
+    isStepComplete(index) {
+        const step = this.getStepElement(STEPS[index]);
+        return !step || this.form.isValid({ within: step });
+    }
+
+    /**
+     * Validate one step and show its messages
+     * @param {number} index - Step index
+     * @returns {Promise<boolean>} Step is valid
+     */
+    async validateStep(index) {
+        const step = this.getStepElement(STEPS[index]);
+        if (!step) return true;
+
+        const { valid } = await this.form.validate({ within: step });
+        return valid;
+    }
+
+    /**
+     * Go to the first step with an error (before submitting)
+     * @param {Object} errors - Messages by field name
+     */
+    showFirstInvalidStep(errors) {
+        const index = STEPS.findIndex(name => {
+            const step = this.getStepElement(name);
+            return step && Object.keys(errors).some(field => $(`[name="${field}"]`, step));
+        });
+
+        if (index !== -1 && index !== this.state.step) {
+            this.showStep(index, { focus: false });
+        }
+
+        this.announce(Object.values(errors)[0]);
+    }
+
+    /**
+     * Get a step element by name
+     * @param {string} name - Step name
+     * @returns {Element|null} Step element
+     */
+    getStepElement(name) {
+        return $(`[data-step="${name}"]`, this.element);
+    }
+
+    /**
+     * Whether the current step is the last one before submitting
+     * @returns {boolean} Is last step
+     */
+    isLastStep() {
+        return this.state.step === STEPS.length - 1;
+    }
+
+    /**
+     * Show a step
+     * @param {number|string} step - Step index or 'done'
+     * @param {Object} options - { focus, animate }
+     */
+    showStep(step, options = {}) {
+        const { focus = true, animate = true } = options;
+        const name = step === 'done' ? 'done' : STEPS[step];
+        const previous = this.state.step;
+
+        if (step !== 'done') {
+            this.state.step = step;
+        }
+
+        this.elements.steps.forEach(element => {
+            element.hidden = element.getAttribute('data-step') !== name;
+        });
+
+        this.elements.indicators.forEach(indicator => {
+            const index = STEPS.indexOf(indicator.getAttribute('data-step-indicator'));
+            const current = step === 'done' ? STEPS.length : step;
+
+            indicator.classList.toggle('is-complete', index < current);
+            indicator.classList.toggle('is-current', index === current);
+
+            if (index === current) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+
+        const { back, next, submit } = this.elements;
+        if (back) back.hidden = step === 'done' || step === 0;
+        if (next) next.hidden = step === 'done' || this.isLastStep();
+        if (submit) submit.hidden = step === 'done' || !this.isLastStep();
+
+        const stepElement = this.getStepElement(name);
+        if (!stepElement) return;
+
+        if (animate) {
+            const direction = step === 'done' || step > previous ? 1 : -1;
+            animateElement(stepElement, [
+                { opacity: 0, transform: `translateX(${direction * 16}px)` },
+                { opacity: 1, transform: 'translateX(0)' }
+            ], { duration: 250, easing: 'apple', replace: true });
+        }
+
+        if (focus) {
+            const [first] = getFocusableElements(stepElement);
+            (first || stepElement).focus({ preventScroll: true });
+        }
+
+        if (step !== 'done') {
+            const legend = $('legend', stepElement);
+            this.announce(legend
+                ? t('booking.stepNamed', { step: step + 1, total: STEPS.length, name: legend.textContent.trim() })
+                : t('booking.step', { step: step + 1, total: STEPS.length }));
+        }
+    }
+
+    /**
+     * Go to the next step when the current one is valid
+     */
+    async nextStep() {
+        if (this.isLastStep() || !(await this.validateStep(this.state.step))) return;
+
+        this.showStep(this.state.step + 1);
+        this.saveProgress();
+    }
+
+    /**
+     * Go back one step
+     */
+    previousStep() {
+        if (this.state.step === 0) return;
+
+        this.showStep(this.state.step - 1);
+        this.saveProgress();
+    }
+
+    /**
+     * Add photo attachments
+     * @param {FileList} files - Selected files
+     */
+    async addPhotos(files) {
+        const { maxPhotos, maxPhotoSize } = this.options;
+        const input = this.elements.photoInput;
+        const accepted = Array.from(files || []).filter(file => {
+            if (!file.type.startsWith('image/')) {
+                this.form.setErrors({ [input.name]: t('booking.photoType', { name: file.name }) });
+                return false;
+            }
+            if (file.size > maxPhotoSize) {
+                this.form.setErrors({ [input.name]: t('booking.photoSize', { name: file.name, size: Math.round(maxPhotoSize / 1024 / 1024) }) });
+                return false;
+            }
+            return true;
+        });
+
+        const room = maxPhotos - this.state.photos.length;
+        if (accepted.length > room) {
+            this.form.setErrors({ [input.name]: t('booking.photoCount', { max: maxPhotos }) });
+        }
+
+        try {
+            const photos = await Promise.all(accepted.slice(0, Math.max(0, room)).map(file => readPhoto(file)));
+            this.state.photos = [...this.state.photos, ...photos];
+        } catch (error) {
+            console.warn('🍎 Failed to read photo:', error);
+            this.form.setErrors({ [input.name]: t('booking.photoRead') });
+        }
+
+        input.value = '';
+        this.renderPhotos();
+        this.saveProgress();
+    }
+
+    /**
+     * Remove a photo attachment
+     * @param {number} index - Photo index
+     */
+    removePhoto(index) {
+        this.state.photos = this.state.photos.filter((photo, i) => i !== index);
+        this.renderPhotos();
+        this.saveProgress();
+
+        if (this.elements.photoInput) {
+            this.form.clearErrors([this.elements.photoInput.name]);
+            this.elements.photoInput.focus();
+        }
+    }
+
+    /**
+     * Render photo previews
+     */
+    renderPhotos() {
+        const list = this.elements.photoList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.state.photos.forEach((photo, index) => {
+            list.appendChild(createElement('li', { className: 'booking-photo' },
+                createElement('img', { src: photo.dataUrl, alt: photo.name }),
+                createElement('button', {
+                    type: 'button',
+                    className: 'booking-photo-remove',
+                    'data-remove-photo': String(index),
+                    'aria-label': t('booking.removePhoto', { name: photo.name })
+                }, '×')
+            ));
+        });
+    }
+
+    /**
+     * Build the booking payload
+     * @returns {Object} Booking
+     */
+    getPayload() {
+        const data = this.collectData();
+
+        return {
+            clientId: this.state.clientId,
+            device: { brand: data.brand, model: data.model },
+            service: data.service,
+            description: data.description,
+            photos: this.state.photos.map(({ name, type, dataUrl }) => ({ name, type, dataUrl })),
+            appointment: { date: data.date, slot: data.slot },
+            contact: { name: data.name, phone: data.phone, email: data.email || null },
+            quote: this.state.quote,
+            locale: document.documentElement.lang || 'en',
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Validate every step and send the booking (queued when offline)
+     * @returns {Promise<Object>} Form submit result
+     */
+    submit() {
+        return this.form.submit();
+    }
+
+    /**
+     * Send the booking, queueing it when it cannot reach the server
+     * (in the service worker when one controls the page, localStorage otherwise)
+     * @returns {Promise<Object>} Server response, or { reference, queued }
+     */
+    async send() {
+        if (!this.state.clientId) {
+            this.state.clientId = createClientId();
+            this.saveProgress();
+        }
+
+        const payload = this.getPayload();
+        const { endpoint, timeout } = this.options;
+
+        try {
+            const response = await submitJson(endpoint, payload, getBookingRequest(this.state.clientId, timeout));
+
+            if (response.queued) {
+                this.complete(response.reference, true);
+                emit('booking:queued', { reference: response.reference });
+                return response;
+            }
+
+            this.complete(response.reference || response.id || generateId('booking'), false);
+            emit('booking:submitted', { reference: this.state.reference, queued: false, response });
+            return response;
+        } catch (error) {
+            if (!isRetryableError(error)) {
+                console.warn('🍎 Booking rejected:', error);
+                throw error;
+            }
+
+            // The service worker answers with `queued` itself; an error means it couldn't
+            if (hasQueueWorker()) {
+                console.warn('🍎 Booking could not be sent or queued:', error);
+                throw new Error(t('booking.saveFailed'));
+            }
+
+            const id = this.state.clientId;
+            const queue = readStorage(this.options.queueKey, []).filter(entry => entry.id !== id);
+
+            if (!writeStorage(this.options.queueKey, [...queue, { id, endpoint, payload, queuedAt: Date.now(), attempts: 0 }])) {
+                throw new Error(t('booking.saveFailed'));
+            }
+
+            this.complete(id, true);
+            emit('booking:queued', { reference: id });
+            return { reference: id, queued: true };
+        }
+    }
+
+    /**
+     * Show the confirmation
+     * @param {string} reference - Booking reference
+     * @param {boolean} queued - Waiting for the connection
+     */
+    complete(reference, queued) {
+        this.state.reference = reference;
+        writeStorage(this.options.storageKey, null);
+
+        if (this.elements.reference) {
+            this.elements.reference.textContent = reference;
+        }
+
+        const done = this.getStepElement('done');
+        if (done) {
+            done.classList.toggle('is-queued', queued);
+        }
+
+        this.showStep('done');
+        this.announce(t(queued ? 'booking.queued' : 'booking.booked'));
+    }
+
+    /**
+     * Toggle the submitting state
+     * @param {boolean} busy - Is submitting
+     */
+    setBusy(busy) {
+        this.state.isSubmitting = busy;
+        this.element.setAttribute('aria-busy', String(busy));
+
+        [this.elements.back, this.elements.submit].forEach(button => {
+            if (button) button.disabled = busy;
+        });
+    }
+
+    /**
+     * Announce a message to screen readers
+     * @param {string} message - Message
+     */
+    announce(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Update options at runtime
+     * @param {Object} options - New options
+     */
+    updateOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+
+        if (options.openingHours) this.openingRules = parseOpeningHours(options.openingHours);
+
+        if (options.services) this.renderServices();
+        if (options.slots || options.slotLength || options.openingHours) this.renderSlots();
+        this.fillForm(this.state.data);
+    }
+
+    /**
+     * Get current state
+     */
+    getState() {
+        return { ...this.state, stepName: STEPS[this.state.step] };
+    }
+
+    /**
+     * Destroy wizard
+     */
+    destroy() {
+        if (this.form) {
+            this.form.destroy();
+        }
+
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+    }
+}
+
+/**
+ * Initialize a booking wizard
+ */
+export function initBookingWizard(element = '#booking-modal', options = {}) {
+    return new AppleBookingWizard(element, options);
+}
@@ -0,0 +1,454 @@
+// js/components/cost-estimator.js
+
+import { addEvent, $, createElement } from '../core/dom.js';
+import { animateElement } from '../core/animation.js';
+import { on, emit } from '../core/events.js';
+import { t, hasTranslation, getIntlLocale } from '../core/i18n.js';
+import { formatCurrency, formatCurrencyRange, formatDuration } from '../core/utils.js';
+import { openModal } from './modal.js';
+
+/**
+ * Text for a catalog key, or the price table's own (English) label
+ * @param {string} key - Catalog key
+ * @param {string} fallback - Label from the price table
+ * @returns {string} Text
+ */
+function label(key, fallback = '') {
+    return hasTranslation(key) ? t(key) : fallback;
+}
+
+/**
+ * Price tables by URL (fetched once per page)
+ */
+const priceTables = new Map();
+
+/**
+ * Load a price table
+ * @param {string} src - JSON URL
+ * @returns {Promise<Object>} Price table
+ */
+export function loadPriceTable(src) {
+    if (!priceTables.has(src)) {
+        const request = fetch(src, { headers: { Accept: 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error(`Price table request failed (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                // Allow a retry on the next mount
+                priceTables.delete(src);
+                throw error;
+            });
+
+        priceTables.set(src, request);
+    }
+
+    return priceTables.get(src);
+}
+
+/**
+ * Pick the currency for this site from the table's markets
+ * @param {Object} table - Price table
+ * @param {string} hostname - Current hostname
+ * @returns {string} ISO currency code
+ */
+export function getMarketCurrency(table, hostname = window.location.hostname) {
+    const markets = table.markets || [];
+    const market = markets.find(({ hosts = [] }) => hosts.includes(hostname)) ||
+        markets.find(({ hosts = [] }) => hosts.includes('*'));
+
+    return market ? market.currency : 'USD';
+}
+
+/**
+ * Find the most specific price entry
+ * An exact model beats a brand-wide entry, which beats the default ("*").
+ * @param {Object} table - Price table
+ * @param {Object} query - { brand, model, service, part }
+ * @returns {Object|null} Price entry
+ */
+export function findPrice(table, { brand, model, service, part }) {
+    const matches = (value, wanted) => value === '*' || value === wanted;
+    const score = entry => (entry.model !== '*' ? 4 : 0) + (entry.brand !== '*' ? 2 : 0) + (entry.part !== '*' ? 1 : 0);
+
+    return (table.prices || [])
+        .filter(entry =>
+            entry.service === service &&
+            matches(entry.part, part) &&
+            matches(entry.brand, brand) &&
+            matches(entry.model, model)
+        )
+        .sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+/**
+ * Apple-style Cost Estimator Component
+ * Instant price range, turnaround and warranty for a device and repair,
+ * driven by a JSON price table. A quote can be handed to the booking flow.
+ */
+export class AppleCostEstimator {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? $(element) : element;
+        if (!this.element) {
+            console.warn(`Cost estimator not found: ${element}`);
+            return;
+        }
+
+        this.options = {
+            src: 'data/prices.json',
+            currency: null,
+            locale: null,
+            bookingTarget: '#booking-modal',
+            ...options
+        };
+
+        this.state = {
+            table: null,
+            currency: null,
+            quote: null
+        };
+
+        this.elements = this.cacheElements();
+        this.cleanupFunctions = [];
+        this.destroyed = false;
+
+        this.init();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        return {
+            form: $('form', this.element),
+            brand: $('[name="brand"]', this.element),
+            model: $('[name="model"]', this.element),
+            service: $('[name="service"]', this.element),
+            part: $('[name="part"]', this.element),
+            result: $('[data-estimate-result]', this.element),
+            price: $('[data-estimate-price]', this.element),
+            turnaround: $('[data-estimate-turnaround]', this.element),
+            warranty: $('[data-estimate-warranty]', this.element),
+            note: $('[data-estimate-note]', this.element),
+            book: $('[data-estimate-book]', this.element)
+        };
+    }
+
+    /**
+     * Initialize estimator
+     */
+    async init() {
+        try {
+            const table = await loadPriceTable(this.options.src);
+            if (this.destroyed) return;
+
+            this.state.table = table;
+            this.state.currency = this.options.currency || getMarketCurrency(table);
+
+            this.renderOptions();
+            this.setupEventListeners();
+            this.update();
+
+            this.element.classList.add('is-ready');
+            console.log('🍎 Apple Cost Estimator initialized');
+        } catch (error) {
+            console.error('🍎 Error initializing cost estimator:', error);
+            this.element.classList.add('is-unavailable');
+        }
+    }
+
+    /**
+     * Fill a select with options
+     * @param {Element} select - Select element
+     * @param {Array} options - [{ value, label }]
+     * @param {string} placeholder - Empty option label
+     */
+    fillSelect(select, options, placeholder) {
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '';
+
+        if (placeholder) {
+            select.appendChild(createElement('option', { value: '' }, placeholder));
+        }
+
+        options.forEach(({ value, label }) => {
+            select.appendChild(createElement('option', { value }, label));
+        });
+
+        if (options.some(option => option.value === current)) {
+            select.value = current;
+        }
+
+        select.disabled = options.length === 0;
+    }
+
+    /**
+     * Render brand, model, service and part options
+     */
+    renderOptions() {
+        const { table } = this.state;
+
+        this.fillSelect(this.elements.brand,
+            Object.keys(table.brands || {}).map(brand => ({ value: brand, label: brand })),
+            t('estimator.chooseBrand'));
+
+        this.fillSelect(this.elements.service,
+            Object.entries(table.services || {}).map(([value, service]) => ({
+                value,
+                label: label(`estimator.services.${value}.title`, service.title)
+            })),
+            t('estimator.chooseService'));
+
+        this.renderModels();
+        this.renderParts();
+    }
+
+    /**
+     * Render models of the selected brand
+     */
+    renderModels() {
+        const models = (this.state.table.brands || {})[this.elements.brand?.value] || [];
+
+        this.fillSelect(this.elements.model, [
+            ...models.map(model => ({ value: model, label: model })),
+            { value: '*', label: t('estimator.otherModel') }
+        ], null);
+    }
+
+    /**
+     * Render parts of the selected service
+     */
+    renderParts() {
+        const id = this.elements.service?.value;
+        const service = (this.state.table.services || {})[id];
+        const parts = service ? Object.entries(service.parts || {}) : [];
+
+        this.fillSelect(this.elements.part, parts.map(([value, text]) => ({
+            value,
+            label: label(`estimator.services.${id}.parts.${value}`, text)
+        })), null);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { form, brand, service, book } = this.elements;
+
+        if (brand) {
+            this.cleanupFunctions.push(addEvent(brand, 'change', () => this.renderModels()));
+        }
+
+        if (service) {
+            this.cleanupFunctions.push(addEvent(service, 'change', () => this.renderParts()));
+        }
+
+        if (form) {
+            this.cleanupFunctions.push(addEvent(form, 'change', () => this.update()));
+            this.cleanupFunctions.push(
+                addEvent(form, 'submit', (e) => {
+                    e.preventDefault();
+                    this.bookQuote();
+                })
+            );
+        }
+
+        if (book && (!form || !form.contains(book))) {
+            this.cleanupFunctions.push(addEvent(book, 'click', () => this.bookQuote()));
+        }
+
+        // Service and part names, placeholders, turnaround and warranty follow the language
+        this.cleanupFunctions.push(
+            on('i18n:change', () => {
+                if (!this.state.table) return;
+                this.renderOptions();
+                this.update();
+            }, { owner: this })
+        );
+    }
+
+    /**
+     * Current selection
+     * @returns {Object} { brand, model, service, part }
+     */
+    getSelection() {
+        const { brand, model, service, part } = this.elements;
+
+        return {
+            brand: brand ? brand.value : '',
+            model: model ? model.value || '*' : '*',
+            service: service ? service.value : '',
+            part: part ? part.value : ''
+        };
+    }
+
+    /**
+     * Format a price in the active currency
+     * @param {number} amount - Amount
+     * @returns {string} Formatted price
+     */
+    formatPrice(amount) {
+        return formatCurrency(amount, this.state.currency, {
+            locale: this.options.locale || getIntlLocale(),
+            maximumFractionDigits: 0
+        });
+    }
+
+    /**
+     * Format a price range in the active currency
+     * @param {number} min - Lowest amount
+     * @param {number} max - Highest amount
+     * @returns {string} Formatted range
+     */
+    formatPriceRange(min, max) {
+        return formatCurrencyRange(min, max, this.state.currency, {
+            locale: this.options.locale || getIntlLocale(),
+            maximumFractionDigits: 0
+        });
+    }
+
+    /**
+     * Describe a turnaround range in days
+     * @param {Array} days - [min, max]
+     * @returns {string} Description
+     */
+    formatTurnaround(days) {
+        return formatDuration(days, {
+            unit: 'day',
+            locale: this.options.locale || getIntlLocale(),
+            labels: {
+                sameDay: t('duration.sameDay'),
+                sameDayTo: max => t('duration.sameDayTo', { max })
+            }
+        });
+    }
+
+    /**
+     * Describe a warranty period
+     * @param {number} months - Warranty in months
+     * @returns {string} Description
+     */
+    formatWarranty(months) {
+        if (!months) return t('estimator.noWarranty');
+        return months % 12 === 0
+            ? t('estimator.warrantyYears', { years: months / 12 })
+            : t('estimator.warrantyMonths', { months });
+    }
+
+    /**
+     * Recalculate and render the estimate
+     */
+    update() {
+        const selection = this.getSelection();
+        const { result, price, turnaround, warranty, note, book } = this.elements;
+        const ready = selection.brand && selection.service && selection.part;
+        const entry = ready ? findPrice(this.state.table, selection) : null;
+        const amount = entry && entry.available !== false && entry.price ? entry.price[this.state.currency] : null;
+
+        this.state.quote = amount ? {
+            ...selection,
+            currency: this.state.currency,
+            min: amount[0],
+            max: amount[1],
+            turnaroundDays: entry.turnaroundDays,
+            warrantyMonths: entry.warrantyMonths || 0,
+            priceTableVersion: this.state.table.version
+        } : null;
+
+        if (result) {
+            result.classList.toggle('has-quote', Boolean(this.state.quote));
+        }
+
+        if (price) {
+            price.textContent = amount ? this.formatPriceRange(amount[0], amount[1]) : '—';
+        }
+
+        if (turnaround) {
+            turnaround.textContent = amount && entry.turnaroundDays ? this.formatTurnaround(entry.turnaroundDays) : '—';
+        }
+
+        if (warranty) {
+            warranty.textContent = amount ? this.formatWarranty(entry.warrantyMonths) : '—';
+        }
+
+        if (note) {
+            if (!ready) {
+                note.textContent = t('estimator.choose');
+            } else if (!amount) {
+                const text = entry && entry.noteId ? label(`estimator.notes.${entry.noteId}`, entry.note) : entry && entry.note;
+                note.textContent = text || t('estimator.diagnose');
+            } else {
+                note.textContent = t('estimator.final');
+            }
+        }
+
+        if (book) {
+            book.disabled = !ready;
+        }
+
+        if (price && amount) {
+            animateElement(price, [{ opacity: 0.4 }, { opacity: 1 }], { duration: 200, replace: true });
+        }
+    }
+
+    /**
+     * Open the booking flow prefilled with the current quote
+     */
+    bookQuote() {
+        const selection = this.getSelection();
+        if (!selection.brand || !selection.service) return;
+
+        const { table } = this.state;
+        const partText = ((table.services || {})[selection.service]?.parts || {})[selection.part];
+        const part = partText && label(`estimator.services.${selection.service}.parts.${selection.part}`, partText);
+        const { quote } = this.state;
+
+        let description = '';
+        if (part) {
+            description = quote
+                ? t('estimator.bookingQuote', { part, price: this.formatPriceRange(quote.min, quote.max) })
+                : t('estimator.bookingPart', { part });
+        }
+
+        emit('booking:prefill', {
+            brand: selection.brand,
+            model: selection.model === '*' ? '' : selection.model,
+            service: selection.service,
+            description: description ? `${description} ` : '',
+            quote
+        });
+
+        openModal(this.options.bookingTarget, { trigger: this.elements.book });
+    }
+
+    /**
+     * Update options at runtime
+     * @param {Object} options - New options
+     */
+    updateOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+
+        if (this.state.table) {
+            this.state.currency = this.options.currency || getMarketCurrency(this.state.table);
+            this.update();
+        }
+    }
+
+    /**
+     * Get current state
+     */
+    getState() {
+        return { currency: this.state.currency, quote: this.state.quote };
+    }
+
+    /**
+     * Destroy estimator
+     */
+    destroy() {
+        this.destroyed = true;
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+    }
+}
@@ -0,0 +1,128 @@
+// js/components/language-switcher.js
+
+import { addEvent, $, $$, createElement } from '../core/dom.js';
+import { on } from '../core/events.js';
+import { SUPPORTED_LOCALES, getLocale, setLocale, t } from '../core/i18n.js';
+
+/**
+ * Apple-style Language Switcher Component
+ * One toggle button per supported locale; the choice is saved and
+ * applied to every open tab.
+ */
+export class AppleLanguageSwitcher {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? $(element) : element;
+        if (!this.element) {
+            console.warn(`Language switcher not found: ${element}`);
+            return;
+        }
+
+        this.options = {
+            locales: Object.keys(SUPPORTED_LOCALES),
+            ...options
+        };
+
+        this.cleanupFunctions = [];
+
+        this.init();
+    }
+
+    /**
+     * Initialize switcher
+     */
+    init() {
+        this.element.setAttribute('role', 'group');
+        this.render();
+
+        this.cleanupFunctions.push(
+            addEvent(this.element, 'click', (e) => {
+                const button = e.target.closest('[data-locale]');
+                if (button) this.select(button.getAttribute('data-locale'));
+            }),
+            on('i18n:change', () => this.update(), { owner: this })
+        );
+    }
+
+    /**
+     * Render one button per locale
+     */
+    render() {
+        this.element.innerHTML = '';
+
+        this.options.locales
+            .filter(locale => SUPPORTED_LOCALES[locale])
+            .forEach(locale => {
+                const { label, short } = SUPPORTED_LOCALES[locale];
+
+                this.element.appendChild(createElement('button', {
+                    type: 'button',
+                    className: 'language-switcher-option',
+                    lang: locale,
+                    title: label,
+                    'data-locale': locale
+                }, short));
+            });
+
+        this.update();
+    }
+
+    /**
+     * Reflect the active locale
+     */
+    update() {
+        const current = getLocale();
+
+        this.element.setAttribute('aria-label', t('nav.language'));
+
+        $$('[data-locale]', this.element).forEach(button => {
+            const locale = button.getAttribute('data-locale');
+            const isCurrent = locale === current;
+
+            button.setAttribute('aria-pressed', String(isCurrent));
+            button.setAttribute('aria-label', isCurrent
+                ? SUPPORTED_LOCALES[locale].label
+                : t('nav.switchTo', { language: SUPPORTED_LOCALES[locale].label }));
+        });
+    }
+
+    /**
+     * Switch to a locale
+     * @param {string} locale - Locale
+     * @returns {Promise<string>} Active locale
+     */
+    async select(locale) {
+        if (locale === getLocale()) return locale;
+
+        this.element.setAttribute('aria-busy', 'true');
+
+        try {
+            return await setLocale(locale);
+        } finally {
+            this.element.removeAttribute('aria-busy');
+            this.update();
+        }
+    }
+
+    /**
+     * Update options
+     */
+    updateOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+        this.render();
+    }
+
+    /**
+     * Destroy switcher
+     */
+    destroy() {
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+    }
+}
+
+/**
+ * Initialize every language switcher on the page
+ */
+export function initLanguageSwitchers(selector = '[data-component="language-switcher"]', options = {}) {
+    return Array.from($$(selector)).map(element => new AppleLanguageSwitcher(element, options));
+}
@@ -1,13 +1,112 @@
 // js/components/mega-menu.js
 
-import { debounce, APPLE_EASING } from '../core/utils.js';
-import { isIOS, isTouchDevice, getViewport } from '../core/device.js';
-import { addEvent, $, $$, setStyles, createElement } from '../core/dom.js';
-import { fadeIn, fadeOut, slideDown, slideUp } from '../core/animation.js';
+import { APPLE_EASING } from '../core/utils.js';
+import { isTouchDevice, getViewport } from '../core/device.js';
+import { addEvent, $, $$, setStyles, createElement, trapFocus, rovingFocus } from '../core/dom.js';
+import { slideDown, slideUp, spring } from '../core/animation.js';
+import { on } from '../core/events.js';
+import { t, hasTranslation } from '../core/i18n.js';
+import {
+    uiStore,
+    openOverlay,
+    closeOverlay,
+    isOverlayOpen
+} from '../core/store.js';
+import { lockScroll, unlockScroll, isScrollLocked } from '../core/scroll-lock.js';
+
+/**
+ * Overlay id in the shared UI store and scroll-lock owner
+ */
+const MOBILE_MENU_OVERLAY = 'mobile-menu:mega-menu';
+const SCROLL_LOCK_OWNER = 'mega-menu';
+
+/**
+ * Menu definitions by URL (fetched once per page)
+ */
+const menuDefinitions = new Map();
+
+/**
+ * Load a menu definition
+ * @param {string} src - JSON URL
+ * @returns {Promise<Object>} { menus }
+ */
+export function loadMenuDefinition(src) {
+    if (!menuDefinitions.has(src)) {
+        const request = fetch(src, { headers: { Accept: 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error(`Menu definition request failed (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                // Allow a retry on the next load
+                menuDefinitions.delete(src);
+                throw error;
+            });
+
+        menuDefinitions.set(src, request);
+    }
+
+    return menuDefinitions.get(src);
+}
+
+/**
+ * Text for a catalog key, or the definition's own label
+ * @param {string} key - Catalog key
+ * @param {string} fallback - Label from the definition
+ * @returns {string} Text
+ */
+function label(key, fallback = '') {
+    return key && hasTranslation(key) ? t(key) : fallback;
+}
+
+/**
+ * Element whose text follows the language when the key is catalogued
+ * @param {string} tag - Tag name
+ * @param {Object} attributes - Attributes
+ * @param {string} key - Catalog key
+ * @param {string} fallback - Label from the definition
+ * @returns {Element} Element
+ */
+function labelled(tag, attributes, key, fallback) {
+    const i18n = key && hasTranslation(key) ? { 'data-i18n': key } : {};
+    return createElement(tag, { ...attributes, ...i18n }, label(key, fallback));
+}
+
+/**
+ * Link contents: icon, label and badge
+ * @param {Object} link - { id, label, icon, badge }
+ * @returns {Element[]} Children
+ */
+function linkContent(link) {
+    return [
+        link.icon ? createElement('span', { className: 'apple-mega-menu-icon', 'aria-hidden': 'true' }, link.icon) : null,
+        labelled('span', { className: 'apple-mega-menu-label' }, `menu.item.${link.id}`, link.label),
+        link.badge ? labelled('span', { className: 'apple-mega-menu-badge' }, `menu.badge.${link.badge}`, link.badge) : null
+    ].filter(Boolean);
+}
+
+/**
+ * Attributes shared by every rendered link
+ * @param {Object} link - { href, modalTarget }
+ * @returns {Object} Attributes
+ */
+function linkAttributes(link) {
+    return {
+        href: link.href,
+        role: 'menuitem',
+        ...(link.modalTarget ? { 'data-modal-target': link.modalTarget } : {})
+    };
+}
 
 /**
  * Apple-style Mega Menu Component
  * Mobile-First & Responsive Design with Apple animations
+ *
+ * Menus can be rendered from a definition (options.menus, or options.src
+ * for a JSON file): one source for the desktop panels, the mobile accordion
+ * and the footer columns ([data-menu-footer="<menu id>"]). Links appear on
+ * desktop unless `desktop: false`, and in the mobile accordion and footer
+ * with `mobile: true` / `footer: true`.
  */
 export class AppleMegaMenu {
     constructor(selector = '.apple-navbar', options = {}) {
@@ -22,19 +121,39 @@ export class AppleMegaMenu {
             animationDuration: 300,
             backdropOpacity: 0.1,
             hoverDelay: 100,
+            spring: { stiffness: 260, damping: 28 },
+            // Menu definition: [{ id, label, sections, featured, footer }]
+            menus: null,
+            // JSON file with { menus } (used when `menus` is not given)
+            src: null,
             ...options
         };
 
+        // Spring keeps velocity when the pointer flicks between triggers
+        this.menuSpring = spring(this.options.spring);
+
+        // Open/closed state lives in the shared UI store
         this.state = {
             activeMenu: null,
-            isMobileMenuOpen: false,
-            isDesktop: window.innerWidth >= this.options.mobileBreakpoint,
-            openSubmenus: new Set(),
-            scrollPosition: 0
+            get isMobileMenuOpen() {
+                return isOverlayOpen(MOBILE_MENU_OVERLAY);
+            },
+            isDesktop: uiStore.getState().viewport.width >= this.options.mobileBreakpoint,
+            openSubmenus: new Set()
         };
 
         this.elements = this.cacheElements();
         this.cleanupFunctions = [];
+        this.boundTriggers = new WeakSet();
+        this.menus = [];
+
+        // Set while closeMobileMenu runs, so the overlay listener doesn't close twice
+        this.closingMobileMenu = false;
+
+        // Keyboard helpers (see setupAccessibility)
+        this.menubarFocus = null;
+        this.menuFocus = new Map();
+        this.releaseMobileFocus = null;
 
         this.init();
     }
@@ -45,6 +164,7 @@ export class AppleMegaMenu {
     cacheElements() {
         return {
             megaMenuTriggers: $$('[data-mega-menu]', this.navbar),
+            menubar: $('[role="menubar"]', this.navbar),
             megaMenus: $$('.apple-mega-menu'),
             mobileToggle: $('.apple-navbar-toggle', this.navbar),
             mobileMenu: $('.apple-mobile-menu'),
@@ -62,6 +182,12 @@ export class AppleMegaMenu {
         this.setupEventListeners();
         this.setupAccessibility();
 
+        if (this.options.menus) {
+            this.renderMenus(this.options.menus);
+        } else if (this.options.src) {
+            this.loadMenus(this.options.src);
+        }
+
         console.log('🍎 Apple Mega Menu initialized');
     }
 
@@ -69,61 +195,71 @@ export class AppleMegaMenu {
      * Setup desktop mega menu functionality
      */
     setupDesktopMegaMenu() {
-        this.elements.megaMenuTriggers.forEach(trigger => {
-            const menuId = trigger.getAttribute('data-mega-menu');
-            const megaMenu = $(`#mega-menu-${menuId}`);
+        this.elements.megaMenuTriggers.forEach(trigger => this.bindMegaMenu(trigger));
+    }
 
-            if (!megaMenu) {
-                console.warn(`Mega menu not found: mega-menu-${menuId}`);
-                return;
-            }
+    /**
+     * Wire a menubar trigger to its mega menu (once per trigger)
+     * @param {Element} trigger - Menubar item with data-mega-menu
+     */
+    bindMegaMenu(trigger) {
+        if (this.boundTriggers.has(trigger)) return;
 
-            // Hover events for desktop
-            this.cleanupFunctions.push(
-                addEvent(trigger, 'mouseenter', () => {
-                    if (this.state.isDesktop) {
-                        this.openMegaMenu(megaMenu, trigger);
-                    }
-                })
-            );
+        const menuId = trigger.getAttribute('data-mega-menu');
+        const megaMenu = $(`#mega-menu-${menuId}`);
 
-            // Keep menu open when hovering over it
-            this.cleanupFunctions.push(
-                addEvent(megaMenu, 'mouseenter', () => {
-                    if (this.state.isDesktop) {
-                        this.openMegaMenu(megaMenu, trigger);
-                    }
-                })
-            );
+        if (!megaMenu) {
+            console.warn(`Mega menu not found: mega-menu-${menuId}`);
+            return;
+        }
 
-            // Close menu when leaving trigger
-            this.cleanupFunctions.push(
-                addEvent(trigger, 'mouseleave', () => {
-                    if (this.state.isDesktop) {
-                        this.scheduleClose(megaMenu, trigger);
-                    }
-                })
-            );
+        this.boundTriggers.add(trigger);
 
-            // Close menu when leaving menu
-            this.cleanupFunctions.push(
-                addEvent(megaMenu, 'mouseleave', () => {
-                    if (this.state.isDesktop) {
-                        this.scheduleClose(megaMenu, trigger);
-                    }
-                })
-            );
+        // Hover events for desktop
+        this.cleanupFunctions.push(
+            addEvent(trigger, 'mouseenter', () => {
+                if (this.state.isDesktop) {
+                    this.openMegaMenu(megaMenu, trigger);
+                }
+            })
+        );
 
-            // Click handling for mobile fallback
-            this.cleanupFunctions.push(
-                addEvent(trigger, 'click', (e) => {
-                    if (!this.state.isDesktop) {
-                        e.preventDefault();
-                        this.toggleMobileMenu();
-                    }
-                })
-            );
-        });
+        // Keep menu open when hovering over it
+        this.cleanupFunctions.push(
+            addEvent(megaMenu, 'mouseenter', () => {
+                if (this.state.isDesktop) {
+                    this.openMegaMenu(megaMenu, trigger);
+                }
+            })
+        );
+
+        // Close menu when leaving trigger
+        this.cleanupFunctions.push(
+            addEvent(trigger, 'mouseleave', () => {
+                if (this.state.isDesktop) {
+                    this.scheduleClose(megaMenu, trigger);
+                }
+            })
+        );
+
+        // Close menu when leaving menu
+        this.cleanupFunctions.push(
+            addEvent(megaMenu, 'mouseleave', () => {
+                if (this.state.isDesktop) {
+                    this.scheduleClose(megaMenu, trigger);
+                }
+            })
+        );
+
+        // Click handling for mobile fallback
+        this.cleanupFunctions.push(
+            addEvent(trigger, 'click', (e) => {
+                if (!this.state.isDesktop) {
+                    e.preventDefault();
+                    this.toggleMobileMenu();
+                }
+            })
+        );
     }
 
     /**
@@ -150,28 +286,21 @@ export class AppleMegaMenu {
 
         // Set active state
         this.state.activeMenu = megaMenu;
+        openOverlay(`mega-menu:${megaMenu.id}`);
         trigger.setAttribute('aria-expanded', 'true');
+        megaMenu.setAttribute('aria-hidden', 'false');
 
         // Add backdrop
         this.addMegaMenuBackdrop();
 
-        // Animate menu opening
-        setStyles(megaMenu, {
-            display: 'block',
-            opacity: '0',
-            transform: 'translateY(-10px)'
-        });
+        // Continue from the current position if the menu is still closing
+        const isVisible = megaMenu.classList.contains('active');
 
+        setStyles(megaMenu, { display: 'block' });
         megaMenu.classList.add('active');
 
-        // Use animation system for smooth opening
-        await fadeIn(megaMenu, {
-            duration: this.options.animationDuration,
-            easing: 'apple'
-        });
-
-        setStyles(megaMenu, {
-            transform: 'translateY(0)'
+        await this.menuSpring.animate(megaMenu, { opacity: 1, translateY: 0 }, {
+            from: isVisible ? undefined : { opacity: 0, translateY: -10 }
         });
     }
 
@@ -182,13 +311,17 @@ export class AppleMegaMenu {
         if (!megaMenu.classList.contains('active')) return;
 
         trigger.setAttribute('aria-expanded', 'false');
+        megaMenu.setAttribute('aria-hidden', 'true');
 
         // Animate menu closing
-        await fadeOut(megaMenu, {
-            duration: this.options.animationDuration / 2,
-            easing: 'apple'
+        const { cancelled } = await this.menuSpring.animate(megaMenu, {
+            opacity: 0,
+            translateY: -10
         });
 
+        // Reopened while closing - leave the menu as it is
+        if (cancelled) return;
+
         megaMenu.classList.remove('active');
         setStyles(megaMenu, {
             display: '',
@@ -198,6 +331,7 @@ export class AppleMegaMenu {
 
         if (this.state.activeMenu === megaMenu) {
             this.state.activeMenu = null;
+            closeOverlay(`mega-menu:${megaMenu.id}`);
             this.removeMegaMenuBackdrop();
         }
     }
@@ -282,18 +416,20 @@ export class AppleMegaMenu {
             })
         );
 
-        // Setup mobile submenu toggles
-        this.elements.mobileNavItems.forEach(item => {
-            const trigger = $('.apple-mobile-nav-link', item);
-            if (trigger) {
-                this.cleanupFunctions.push(
-                    addEvent(trigger, 'click', (e) => {
+        // Submenu toggles, delegated so rendered menus need no rebinding
+        if (this.elements.mobileMenu) {
+            this.cleanupFunctions.push(
+                addEvent(this.elements.mobileMenu, 'click', (e) => {
+                    const trigger = e.target.closest('.apple-mobile-nav-link');
+                    const item = trigger && trigger.parentElement;
+
+                    if (item && item.classList.contains('has-submenu')) {
                         e.preventDefault();
                         this.toggleMobileSubmenu(item);
-                    })
-                );
-            }
-        });
+                    }
+                })
+            );
+        }
     }
 
     /**
@@ -313,12 +449,24 @@ export class AppleMegaMenu {
     async openMobileMenu() {
         if (!this.elements.mobileMenu || !this.elements.mobileToggle) return;
 
-        this.state.isMobileMenuOpen = true;
-        this.state.scrollPosition = window.pageYOffset;
+        // Reopened while closing: the pending close is cancelled by slideDown
+        this.closingMobileMenu = false;
+
+        // Closes any other mobile menu (e.g. the navbar's) through the store
+        openOverlay(MOBILE_MENU_OVERLAY);
 
         // Update toggle state
         this.elements.mobileToggle.classList.add('active');
         this.elements.mobileToggle.setAttribute('aria-expanded', 'true');
+        this.elements.mobileMenu.setAttribute('aria-hidden', 'false');
+
+        // Keep Tab inside the menu; focus returns to the toggle on close
+        if (!this.releaseMobileFocus) {
+            this.releaseMobileFocus = trapFocus(this.elements.mobileMenu, {
+                initialFocus: false,
+                returnFocus: this.elements.mobileToggle
+            });
+        }
 
         // Prevent body scroll (iOS-safe)
         this.preventBodyScroll();
@@ -332,11 +480,14 @@ export class AppleMegaMenu {
         this.elements.mobileMenu.classList.add('active');
 
         // Smooth slide down animation
-        await slideDown(this.elements.mobileMenu, {
+        const { cancelled } = await slideDown(this.elements.mobileMenu, {
             duration: 400,
-            easing: 'apple'
+            easing: 'apple',
+            replace: true
         });
 
+        if (cancelled) return;
+
         setStyles(this.elements.mobileMenu, {
             transform: 'translateY(0)'
         });
@@ -352,20 +503,45 @@ export class AppleMegaMenu {
      * Close mobile menu
      */
     async closeMobileMenu() {
-        if (!this.elements.mobileMenu || !this.elements.mobileToggle) return;
+        if (!this.elements.mobileMenu || !this.elements.mobileToggle || this.closingMobileMenu) return;
 
-        this.state.isMobileMenuOpen = false;
+        this.closingMobileMenu = true;
+
+        try {
+            await this.runCloseMobileMenu();
+        } finally {
+            this.closingMobileMenu = false;
+        }
+    }
 
+    /**
+     * Close mobile menu (guarded by closeMobileMenu)
+     */
+    async runCloseMobileMenu() {
         // Update toggle state
         this.elements.mobileToggle.classList.remove('active');
         this.elements.mobileToggle.setAttribute('aria-expanded', 'false');
+        this.elements.mobileMenu.setAttribute('aria-hidden', 'true');
+
+        closeOverlay(MOBILE_MENU_OVERLAY);
+
+        // Only move focus back when it was inside the menu
+        if (this.releaseMobileFocus) {
+            this.releaseMobileFocus({
+                restoreFocus: this.elements.mobileMenu.contains(document.activeElement)
+            });
+            this.releaseMobileFocus = null;
+        }
 
         // Animate menu closing
-        await slideUp(this.elements.mobileMenu, {
+        const { cancelled } = await slideUp(this.elements.mobileMenu, {
             duration: 300,
-            easing: 'apple'
+            easing: 'apple',
+            replace: true
         });
 
+        if (cancelled) return;
+
         this.elements.mobileMenu.classList.remove('active');
         setStyles(this.elements.mobileMenu, {
             display: '',
@@ -395,7 +571,8 @@ export class AppleMegaMenu {
 
             await slideUp(submenu, {
                 duration: 300,
-                easing: 'apple'
+                easing: 'apple',
+                replace: true
             });
         } else {
             // Open submenu
@@ -405,7 +582,8 @@ export class AppleMegaMenu {
 
             await slideDown(submenu, {
                 duration: 300,
-                easing: 'apple'
+                easing: 'apple',
+                replace: true
             });
         }
     }
@@ -425,69 +603,56 @@ export class AppleMegaMenu {
     }
 
     /**
-     * Prevent body scroll for mobile menu
+     * Prevent body scroll for mobile menu (the menu itself stays scrollable)
      */
     preventBodyScroll() {
-        if (isIOS()) {
-            // iOS-specific scroll prevention
-            setStyles(document.body, {
-                position: 'fixed',
-                width: '100%',
-                top: `-${this.state.scrollPosition}px`
-            });
-        } else {
-            // Standard scroll prevention
-            setStyles(document.body, {
-                overflow: 'hidden'
-            });
-        }
+        if (isScrollLocked(SCROLL_LOCK_OWNER)) return;
+
+        lockScroll(SCROLL_LOCK_OWNER, { allow: [this.elements.mobileMenu] });
     }
 
     /**
      * Restore body scroll
      */
     restoreBodyScroll() {
-        if (isIOS()) {
-            // iOS-specific scroll restoration
-            setStyles(document.body, {
-                position: '',
-                width: '',
-                top: ''
-            });
-            window.scrollTo(0, this.state.scrollPosition);
-        } else {
-            // Standard scroll restoration
-            setStyles(document.body, {
-                overflow: ''
-            });
-        }
+        unlockScroll(SCROLL_LOCK_OWNER);
     }
 
     /**
      * Setup event listeners
      */
     setupEventListeners() {
-        // Handle viewport changes
-        const handleResize = debounce(() => {
-            const wasDesktop = this.state.isDesktop;
-            this.state.isDesktop = window.innerWidth >= this.options.mobileBreakpoint;
+        // Handle viewport changes (from the shared UI store)
+        this.cleanupFunctions.push(
+            uiStore.select(
+                ({ viewport }) => viewport.width >= this.options.mobileBreakpoint,
+                (isDesktop) => {
+                    this.state.isDesktop = isDesktop;
 
-            // Close menus when switching between mobile/desktop
-            if (wasDesktop !== this.state.isDesktop) {
-                this.closeAllMegaMenus();
-                this.closeMobileMenu();
-            }
-        }, 100);
+                    // Close menus when switching between mobile/desktop
+                    this.closeAllMegaMenus();
+                    this.closeMobileMenu();
+                }
+            )
+        );
 
+        // Another component took over the mobile menu slot
         this.cleanupFunctions.push(
-            addEvent(window, 'resize', handleResize)
+            uiStore.select(
+                () => isOverlayOpen(MOBILE_MENU_OVERLAY),
+                (isOpen) => {
+                    if (!isOpen && !this.closingMobileMenu && this.elements.mobileMenu &&
+                        this.elements.mobileMenu.classList.contains('active')) {
+                        this.closeMobileMenu();
+                    }
+                }
+            )
         );
 
         // Handle orientation change
         this.cleanupFunctions.push(
             addEvent(window, 'orientationchange', () => {
                 setTimeout(() => {
-                    handleResize();
                     if (this.state.isMobileMenuOpen) {
                         // Recalculate menu height after orientation change
                         this.updateMobileMenuHeight();
@@ -496,6 +661,16 @@ export class AppleMegaMenu {
             })
         );
 
+        // Close menus when the router swaps pages
+        this.cleanupFunctions.push(
+            on('route:start', () => {
+                this.closeAllMegaMenus();
+                if (this.state.isMobileMenuOpen) {
+                    this.closeMobileMenu();
+                }
+            }, { owner: this })
+        );
+
         // Escape key handling
         this.cleanupFunctions.push(
             addEvent(document, 'keydown', (e) => {
@@ -525,75 +700,154 @@ export class AppleMegaMenu {
 
     /**
      * Setup accessibility features
+     * Desktop navigation follows the WAI-ARIA menubar pattern: arrow keys,
+     * Home/End and typeahead in the menubar and in each mega menu.
      */
     setupAccessibility() {
-        // Arrow key navigation in mega menus
-        this.elements.megaMenus.forEach(menu => {
+        if (this.elements.menubar) {
+            this.menubarFocus = rovingFocus(this.elements.menubar, {
+                itemSelector: '[role="menuitem"]',
+                orientation: 'horizontal'
+            });
+            this.cleanupFunctions.push(() => this.menubarFocus.destroy());
+
             this.cleanupFunctions.push(
-                addEvent(menu, 'keydown', (e) => {
-                    this.handleMegaMenuKeyNavigation(e, menu);
+                addEvent(this.elements.menubar, 'keydown', (e) => {
+                    this.handleMenubarKeydown(e);
                 })
             );
+        }
+
+        this.elements.megaMenus.forEach(menu => this.setupMenuAccessibility(menu));
+    }
+
+    /**
+     * Keyboard navigation inside one mega menu (once per menu)
+     * @param {Element} menu - Mega menu
+     */
+    setupMenuAccessibility(menu) {
+        if (this.menuFocus.has(menu)) return;
+
+        const menuFocus = rovingFocus(menu, {
+            itemSelector: '[role="menuitem"]',
+            orientation: 'vertical'
         });
+        this.menuFocus.set(menu, menuFocus);
 
-        // Tab navigation in mobile menu
-        if (this.elements.mobileMenu) {
-            this.cleanupFunctions.push(
-                addEvent(this.elements.mobileMenu, 'keydown', (e) => {
-                    this.handleMobileMenuKeyNavigation(e);
-                })
-            );
+        this.cleanupFunctions.push(() => {
+            menuFocus.destroy();
+            this.menuFocus.delete(menu);
+        });
+
+        this.cleanupFunctions.push(
+            addEvent(menu, 'keydown', (e) => {
+                this.handleMegaMenuKeydown(e, menu);
+            })
+        );
+    }
+
+    /**
+     * Get the trigger that opens a mega menu
+     * @param {Element} menu - Mega menu
+     * @returns {Element|null} Trigger
+     */
+    getMenuTrigger(menu) {
+        return $(`[data-mega-menu="${menu.id.replace('mega-menu-', '')}"]`, this.navbar);
+    }
+
+    /**
+     * Get the mega menu a trigger opens
+     * @param {Element} trigger - Menubar item
+     * @returns {Element|null} Mega menu
+     */
+    getTriggerMenu(trigger) {
+        const menuId = trigger && trigger.getAttribute('data-mega-menu');
+        return menuId ? $(`#mega-menu-${menuId}`) : null;
+    }
+
+    /**
+     * Open a trigger's mega menu and focus its first or last item
+     * @param {Element} trigger - Menubar item with a mega menu
+     * @param {string} position - 'first' | 'last'
+     */
+    openMenuFromKeyboard(trigger, position = 'first') {
+        const menu = this.getTriggerMenu(trigger);
+        if (!menu) return;
+
+        this.openMegaMenu(menu, trigger);
+
+        const menuFocus = this.menuFocus.get(menu);
+        if (menuFocus) {
+            if (position === 'last') {
+                menuFocus.focusLast();
+            } else {
+                menuFocus.focusFirst();
+            }
         }
     }
 
     /**
-     * Handle keyboard navigation in mega menu
+     * Menubar keys not covered by roving focus (opening mega menus)
+     * @param {KeyboardEvent} e - Keyboard event
      */
-    handleMegaMenuKeyNavigation(e, menu) {
-        const focusableElements = $$('a[href], button:not([disabled])', menu);
-        const currentIndex = Array.from(focusableElements).indexOf(document.activeElement);
+    handleMenubarKeydown(e) {
+        const trigger = e.target.closest('[data-mega-menu]');
+        if (!trigger || !this.state.isDesktop) return;
 
         switch (e.key) {
             case 'ArrowDown':
+            case 'Enter':
+            case ' ':
                 e.preventDefault();
-                const nextIndex = (currentIndex + 1) % focusableElements.length;
-                focusableElements[nextIndex]?.focus();
+                this.openMenuFromKeyboard(trigger, 'first');
                 break;
 
             case 'ArrowUp':
                 e.preventDefault();
-                const prevIndex = currentIndex > 0 ? currentIndex - 1 : focusableElements.length - 1;
-                focusableElements[prevIndex]?.focus();
-                break;
-
-            case 'Home':
-                e.preventDefault();
-                focusableElements[0]?.focus();
-                break;
-
-            case 'End':
-                e.preventDefault();
-                focusableElements[focusableElements.length - 1]?.focus();
+                this.openMenuFromKeyboard(trigger, 'last');
                 break;
         }
     }
 
     /**
-     * Handle keyboard navigation in mobile menu
+     * Mega menu keys not covered by roving focus
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {Element} menu - Mega menu
      */
-    handleMobileMenuKeyNavigation(e) {
-        if (e.key === 'Tab') {
-            const focusableElements = $$('a[href], button:not([disabled])', this.elements.mobileMenu);
-            const firstElement = focusableElements[0];
-            const lastElement = focusableElements[focusableElements.length - 1];
+    handleMegaMenuKeydown(e, menu) {
+        const trigger = this.getMenuTrigger(menu);
+        if (!trigger) return;
 
-            if (e.shiftKey && document.activeElement === firstElement) {
+        switch (e.key) {
+            case 'Escape':
                 e.preventDefault();
-                lastElement?.focus();
-            } else if (!e.shiftKey && document.activeElement === lastElement) {
+                this.closeMegaMenu(menu, trigger);
+                if (this.menubarFocus) this.menubarFocus.focusItem(trigger);
+                break;
+
+            case 'ArrowRight':
+            case 'ArrowLeft': {
                 e.preventDefault();
-                firstElement?.focus();
+                if (!this.menubarFocus) break;
+
+                // Move along the menubar, opening the neighbour's menu if it has one
+                const items = this.menubarFocus.getItems();
+                const step = e.key === 'ArrowRight' ? 1 : -1;
+                const next = items[(items.indexOf(trigger) + step + items.length) % items.length];
+
+                this.closeMegaMenu(menu, trigger);
+                this.menubarFocus.focusItem(next);
+
+                if (this.getTriggerMenu(next)) {
+                    this.openMenuFromKeyboard(next, 'first');
+                }
+                break;
             }
+
+            case 'Tab':
+                // Leave the menubar entirely
+                this.closeAllMegaMenus();
+                break;
         }
     }
 
@@ -609,6 +863,220 @@ export class AppleMegaMenu {
         }
     }
 
+    /**
+     * Load a menu definition and render it
+     * @param {string} src - JSON URL
+     * @returns {Promise<boolean>} Rendered
+     */
+    async loadMenus(src) {
+        this.elements.megaMenus.forEach(menu => menu.classList.add('loading'));
+
+        try {
+            const definition = await loadMenuDefinition(src);
+            if (this.destroyed) return false;
+
+            this.renderMenus(definition.menus || []);
+            return true;
+        } catch (error) {
+            console.warn('🍎 Menu definition unavailable:', error);
+            return false;
+        } finally {
+            this.elements.megaMenus.forEach(menu => menu.classList.remove('loading'));
+        }
+    }
+
+    /**
+     * Render menus from a definition
+     * @param {Array} menus - [{ id, label, i18n, href, sections, featured, footer }]
+     */
+    renderMenus(menus) {
+        // Menus rendered earlier but no longer defined
+        const ids = new Set(menus.map(menu => menu.id));
+        $$('[data-menu-rendered]').forEach(element => {
+            if (!ids.has(element.getAttribute('data-menu-rendered'))) {
+                element.remove();
+            }
+        });
+
+        this.closeAllMegaMenus();
+        this.closeAllMobileSubmenus();
+
+        menus.forEach(menu => {
+            this.renderDesktopMenu(menu);
+            this.renderMobileMenu(menu);
+            this.renderFooterLinks(menu);
+        });
+
+        this.menus = menus;
+
+        // Pick up triggers and panels created for new menus
+        this.elements = { ...this.cacheElements(), backdrop: this.elements.backdrop };
+        this.elements.megaMenuTriggers.forEach(trigger => this.bindMegaMenu(trigger));
+        this.elements.megaMenus.forEach(menu => this.setupMenuAccessibility(menu));
+
+        // Rendered items join the roving tabindex: one tab stop per menu
+        if (this.menubarFocus) {
+            const current = this.menubarFocus.getCurrent();
+            this.menubarFocus.setCurrent(current && current.isConnected ? current : null);
+        }
+        this.menuFocus.forEach(menuFocus => menuFocus.setCurrent());
+    }
+
+    /**
+     * Render a menubar trigger and its desktop panel
+     * @param {Object} menu - Menu definition
+     */
+    renderDesktopMenu(menu) {
+        if (!$(`[data-mega-menu="${menu.id}"]`, this.navbar) && this.elements.menubar) {
+            const triggers = $$('[data-mega-menu]', this.elements.menubar);
+            const after = triggers.length ? triggers[triggers.length - 1].closest('li') : null;
+            const item = createElement('li', { className: 'apple-nav-item', role: 'none', 'data-menu-rendered': menu.id },
+                createElement('a', {
+                    href: menu.href || `#${menu.id}`,
+                    className: 'apple-nav-link',
+                    role: 'menuitem',
+                    'aria-haspopup': 'true',
+                    'aria-expanded': 'false',
+                    'data-mega-menu': menu.id
+                }, labelled('span', {}, menu.i18n, menu.label))
+            );
+
+            this.elements.menubar.insertBefore(item, after ? after.nextSibling : this.elements.menubar.firstChild);
+        }
+
+        let panel = $(`#mega-menu-${menu.id}`);
+        if (!panel) {
+            panel = createElement('div', {
+                className: 'apple-mega-menu',
+                id: `mega-menu-${menu.id}`,
+                role: 'menu',
+                'aria-hidden': 'true',
+                'data-menu-rendered': menu.id
+            });
+            this.navbar.appendChild(panel);
+        }
+
+        panel.setAttribute('aria-label', label(menu.menuI18n, menu.menuLabel || menu.label));
+        if (menu.menuI18n && hasTranslation(menu.menuI18n)) {
+            panel.setAttribute('data-i18n-attr', `aria-label:${menu.menuI18n}`);
+        }
+
+        const content = createElement('div', { className: 'apple-mega-menu-content' });
+
+        (menu.sections || []).forEach(section => {
+            const links = (section.links || []).filter(link => link.desktop !== false);
+            if (!links.length) return;
+
+            content.appendChild(createElement('div', { className: 'apple-mega-menu-section' },
+                labelled('h3', {}, `menu.heading.${section.id}`, section.heading),
+                createElement('ul', { role: 'none' },
+                    ...links.map(link => createElement('li', {},
+                        createElement('a', linkAttributes(link), ...linkContent(link))
+                    ))
+                )
+            ));
+        });
+
+        if (menu.featured) {
+            content.appendChild(this.renderFeatured(menu.featured));
+        }
+
+        panel.innerHTML = '';
+        panel.appendChild(content);
+    }
+
+    /**
+     * Render a featured promo column
+     * @param {Object} featured - { id, icon, badge, title, text, cta, href, modalTarget }
+     * @returns {Element} Section
+     */
+    renderFeatured(featured) {
+        const key = `menu.featured.${featured.id}`;
+
+        return createElement('div', { className: 'apple-mega-menu-section apple-mega-menu-featured' },
+            createElement('a', { ...linkAttributes(featured), className: 'apple-mega-menu-promo' },
+                ...[
+                    featured.icon ? createElement('span', { className: 'apple-mega-menu-promo-icon', 'aria-hidden': 'true' }, featured.icon) : null,
+                    featured.badge ? labelled('span', { className: 'apple-mega-menu-badge' }, `menu.badge.${featured.badge}`, featured.badge) : null,
+                    labelled('strong', { className: 'apple-mega-menu-promo-title' }, `${key}.title`, featured.title),
+                    featured.text ? labelled('span', { className: 'apple-mega-menu-promo-text' }, `${key}.text`, featured.text) : null,
+                    featured.cta ? labelled('span', { className: 'apple-mega-menu-promo-cta' }, `${key}.cta`, featured.cta) : null
+                ].filter(Boolean)
+            )
+        );
+    }
+
+    /**
+     * Render a mobile accordion item
+     * @param {Object} menu - Menu definition
+     */
+    renderMobileMenu(menu) {
+        const container = this.elements.mobileMenu && $('.apple-mobile-menu-content', this.elements.mobileMenu);
+        if (!container) return;
+
+        const links = (menu.sections || []).flatMap(section => section.links || []).filter(link => link.mobile);
+
+        let item = $(`[data-mobile-menu="${menu.id}"]`, container);
+        if (!item) {
+            const items = $$('[data-mobile-menu]', container);
+            item = createElement('div', {
+                className: 'apple-mobile-nav-item has-submenu',
+                'data-mobile-menu': menu.id,
+                'data-menu-rendered': menu.id
+            });
+            container.insertBefore(item, items.length ? items[items.length - 1].nextSibling : container.firstChild);
+        }
+
+        const submenu = createElement('div', {
+            className: 'apple-mobile-submenu',
+            role: 'menu',
+            'aria-label': label(menu.submenuI18n, menu.submenuLabel || menu.label)
+        }, ...links.map(link => createElement('div', { className: 'apple-mobile-submenu-item' },
+            createElement('a', { ...linkAttributes(link), className: 'apple-mobile-submenu-link' }, ...linkContent(link))
+        )));
+
+        if (menu.submenuI18n && hasTranslation(menu.submenuI18n)) {
+            submenu.setAttribute('data-i18n-attr', `aria-label:${menu.submenuI18n}`);
+        }
+
+        item.innerHTML = '';
+        item.append(
+            createElement('a', {
+                href: menu.href || `#${menu.id}`,
+                className: 'apple-mobile-nav-link',
+                role: 'menuitem',
+                'aria-haspopup': 'true',
+                'aria-expanded': 'false'
+            },
+            labelled('span', {}, menu.i18n, menu.label),
+            createElement('div', { className: 'apple-mobile-nav-arrow', 'aria-hidden': 'true' })),
+            submenu
+        );
+    }
+
+    /**
+     * Render a footer column ([data-menu-footer="<menu id>"])
+     * @param {Object} menu - Menu definition
+     */
+    renderFooterLinks(menu) {
+        const column = $(`[data-menu-footer="${menu.id}"]`);
+        if (!column) return;
+
+        const links = (menu.sections || []).flatMap(section => section.links || []).filter(link => link.footer);
+        const heading = menu.footer || {};
+
+        column.innerHTML = '';
+        column.append(
+            labelled('h4', {}, heading.i18n || menu.i18n, heading.heading || menu.label),
+            createElement('ul', {}, ...links.map(link => createElement('li', {},
+                labelled('a', {
+                    href: link.href,
+                    ...(link.modalTarget ? { 'data-modal-target': link.modalTarget } : {})
+                }, `menu.item.${link.id}`, link.label)
+            )))
+        );
+    }
+
     /**
      * Get current state
      */
@@ -621,12 +1089,26 @@ export class AppleMegaMenu {
      */
     updateOptions(newOptions) {
         this.options = { ...this.options, ...newOptions };
+
+        if (newOptions.spring) {
+            this.menuSpring = spring(this.options.spring);
+        }
+
+        if (newOptions.menus) {
+            this.renderMenus(newOptions.menus);
+        } else if (newOptions.src) {
+            this.loadMenus(newOptions.src);
+        }
     }
 
     /**
      * Destroy mega menu instance
      */
     destroy() {
+        // Owned by AppleNavbar and also registered globally
+        if (this.destroyed) return;
+        this.destroyed = true;
+
         // Clean up event listeners
         this.cleanupFunctions.forEach(cleanup => cleanup());
         this.cleanupFunctions = [];
@@ -0,0 +1,432 @@
+// js/components/modal.js
+
+import { generateId } from '../core/utils.js';
+import { addEvent, $, trapFocus } from '../core/dom.js';
+import { fadeIn, fadeOut, scaleElement } from '../core/animation.js';
+import { on, emit } from '../core/events.js';
+import { lockScroll, unlockScroll } from '../core/scroll-lock.js';
+
+/**
+ * Open modals, topmost last
+ */
+const modalStack = [];
+
+/**
+ * Modal instance per <dialog>
+ */
+const instances = new WeakMap();
+
+/**
+ * Apple-style Modal Component
+ * Built on <dialog>: the browser's top layer handles stacking and makes the
+ * page behind inert; this adds animation, focus return and scroll locking.
+ */
+export class AppleModal {
+    constructor(target, options = {}) {
+        this.dialog = typeof target === 'string' ? $(target) : target;
+        if (!this.dialog || this.dialog.tagName !== 'DIALOG') {
+            console.warn(`Modal dialog not found: ${target}`);
+            return;
+        }
+
+        // One instance per dialog
+        const existing = instances.get(this.dialog);
+        if (existing) {
+            existing.updateOptions(options);
+            return existing;
+        }
+
+        this.options = {
+            closeOnEscape: true,
+            closeOnBackdrop: true,
+            lockScroll: true,
+            animationDuration: 300,
+            initialFocus: null,
+            onOpen: null,
+            onClose: null,
+            ...options
+        };
+
+        this.state = {
+            isOpen: false,
+            isClosing: false,
+            trigger: null,
+            returnValue: undefined
+        };
+
+        this.id = this.dialog.id || generateId('apple-modal');
+        this.cleanupFunctions = [];
+        this.releaseFocus = null;
+        this.closedPromise = null;
+        this.resolveClosed = null;
+
+        instances.set(this.dialog, this);
+        this.init();
+    }
+
+    /**
+     * Initialize modal
+     */
+    init() {
+        this.dialog.classList.add('apple-modal');
+
+        // Escape: <dialog> fires cancel on the topmost modal only
+        this.cleanupFunctions.push(
+            addEvent(this.dialog, 'cancel', (e) => {
+                e.preventDefault();
+                if (this.options.closeOnEscape) {
+                    this.close();
+                }
+            })
+        );
+
+        // Backdrop clicks land on the dialog itself, outside its box
+        this.cleanupFunctions.push(
+            addEvent(this.dialog, 'click', (e) => {
+                if (!this.options.closeOnBackdrop || e.target !== this.dialog) return;
+
+                const rect = this.dialog.getBoundingClientRect();
+                const isInside = e.clientX >= rect.left && e.clientX <= rect.right &&
+                    e.clientY >= rect.top && e.clientY <= rect.bottom;
+
+                if (!isInside) {
+                    this.close();
+                }
+            })
+        );
+
+        // Close buttons and <form method="dialog">
+        this.cleanupFunctions.push(
+            addEvent(this.dialog, 'click', (e) => {
+                const closeButton = e.target.closest('[data-modal-close]');
+                if (closeButton && this.dialog.contains(closeButton)) {
+                    e.preventDefault();
+                    this.close(closeButton.getAttribute('data-modal-close') || undefined);
+                }
+            })
+        );
+
+        this.cleanupFunctions.push(
+            addEvent(this.dialog, 'submit', (e) => {
+                if (e.target.getAttribute('method') === 'dialog') {
+                    e.preventDefault();
+                    this.close(e.submitter ? e.submitter.value : undefined);
+                }
+            })
+        );
+    }
+
+    /**
+     * Update options at runtime
+     * @param {Object} options - New options
+     */
+    updateOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Run the open/close animation (instant under reduced motion)
+     * @param {boolean} opening - Direction
+     * @returns {Promise} Resolves with { cancelled } when finished
+     */
+    animate(opening) {
+        const options = {
+            duration: opening ? this.options.animationDuration : this.options.animationDuration * 0.7,
+            easing: 'apple'
+        };
+
+        // The fade replaces whatever is running; the scale joins it on transform
+        const fade = opening
+            ? fadeIn(this.dialog, { ...options, replace: true })
+            : fadeOut(this.dialog, { ...options, replace: true, hide: false });
+
+        if (opening && !this.dialog.style.transform) {
+            this.dialog.style.transform = 'scale(0.96)';
+        }
+
+        const scale = scaleElement(this.dialog, opening ? 1 : 0.96, options);
+
+        return Promise.all([fade.finished, scale.finished])
+            .then(results => ({ cancelled: results.some(result => result.cancelled) }));
+    }
+
+    /**
+     * Open the modal
+     * @param {Element} trigger - Element to return focus to (default: active element)
+     * @returns {Promise<AppleModal>} Resolves once the open animation ends
+     */
+    async open(trigger = document.activeElement) {
+        if (this.state.isOpen && !this.state.isClosing) return this;
+
+        this.state.isOpen = true;
+        this.state.isClosing = false;
+        this.state.trigger = trigger;
+        this.state.returnValue = undefined;
+
+        if (!this.closedPromise) {
+            this.closedPromise = new Promise(resolve => {
+                this.resolveClosed = resolve;
+            });
+        }
+
+        if (!this.dialog.open) {
+            if (typeof this.dialog.showModal === 'function') {
+                this.dialog.showModal();
+            } else {
+                // No native modal support: emulate the inert page behind it
+                this.dialog.setAttribute('open', '');
+            }
+        }
+
+        if (!modalStack.includes(this)) {
+            modalStack.push(this);
+        }
+        document.documentElement.classList.add('has-modal');
+
+        if (this.options.lockScroll) {
+            lockScroll(`modal:${this.id}`, { allow: [this.dialog] });
+        }
+
+        if (!this.releaseFocus) {
+            this.releaseFocus = trapFocus(this.dialog, {
+                initialFocus: this.options.initialFocus || $('[autofocus]', this.dialog),
+                returnFocus: trigger,
+                inert: typeof this.dialog.showModal !== 'function'
+            });
+        }
+
+        this.dialog.setAttribute('aria-modal', 'true');
+        this.dialog.classList.add('is-open');
+
+        const result = this.animate(true);
+
+        emit('modal:open', { id: this.id, modal: this });
+        if (typeof this.options.onOpen === 'function') {
+            this.options.onOpen(this);
+        }
+
+        await result;
+        return this;
+    }
+
+    /**
+     * Close the modal
+     * @param {*} returnValue - Value passed to whenClosed() and onClose
+     * @returns {Promise<*>} Resolves with returnValue once hidden
+     */
+    async close(returnValue) {
+        if (!this.state.isOpen || this.state.isClosing) {
+            return this.state.isClosing ? this.whenClosed() : returnValue;
+        }
+
+        this.state.isClosing = true;
+        this.state.returnValue = returnValue;
+        this.dialog.classList.remove('is-open');
+
+        const { cancelled } = await this.animate(false);
+
+        // Reopened while closing
+        if (cancelled || !this.state.isClosing) return this.whenClosed();
+
+        this.finishClose();
+        return returnValue;
+    }
+
+    /**
+     * Hide the dialog and release focus, scroll and stack entries
+     */
+    finishClose() {
+        const { returnValue } = this.state;
+
+        this.state.isOpen = false;
+        this.state.isClosing = false;
+
+        if (this.dialog.open) {
+            if (typeof this.dialog.close === 'function') {
+                this.dialog.close();
+            } else {
+                this.dialog.removeAttribute('open');
+            }
+        }
+
+        // fadeIn shows the element inline; the closed <dialog> must hide again
+        this.dialog.style.display = '';
+        this.dialog.style.opacity = '';
+        this.dialog.style.transform = '';
+
+        const index = modalStack.indexOf(this);
+        if (index !== -1) modalStack.splice(index, 1);
+        if (modalStack.length === 0) {
+            document.documentElement.classList.remove('has-modal');
+        }
+
+        unlockScroll(`modal:${this.id}`, { force: true });
+
+        if (this.releaseFocus) {
+            this.releaseFocus();
+            this.releaseFocus = null;
+        }
+
+        emit('modal:close', { id: this.id, modal: this, returnValue });
+        if (typeof this.options.onClose === 'function') {
+            this.options.onClose(returnValue, this);
+        }
+
+        if (this.resolveClosed) {
+            this.resolveClosed(returnValue);
+        }
+        this.closedPromise = null;
+        this.resolveClosed = null;
+    }
+
+    /**
+     * Promise for the current (or next) close
+     * @returns {Promise<*>} Resolves with the close returnValue
+     */
+    whenClosed() {
+        if (!this.state.isOpen) return Promise.resolve(this.state.returnValue);
+        return this.closedPromise;
+    }
+
+    /**
+     * Toggle the modal
+     * @param {Element} trigger - Element to return focus to
+     * @returns {Promise} open() or close() promise
+     */
+    toggle(trigger) {
+        return this.state.isOpen ? this.close() : this.open(trigger);
+    }
+
+    /**
+     * Check whether this is the topmost open modal
+     * @returns {boolean} Is topmost
+     */
+    isTopmost() {
+        return modalStack[modalStack.length - 1] === this;
+    }
+
+    /**
+     * Get current state
+     */
+    getState() {
+        return { ...this.state, id: this.id, isTopmost: this.isTopmost() };
+    }
+
+    /**
+     * Destroy modal
+     */
+    destroy() {
+        if (this.state.isOpen) {
+            this.finishClose();
+        }
+
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+
+        this.dialog.classList.remove('apple-modal', 'is-open');
+        instances.delete(this.dialog);
+    }
+}
+
+/**
+ * Get (or create) the modal for a dialog
+ * @param {string|Element} target - Selector or <dialog>
+ * @param {Object} options - Modal options
+ * @returns {AppleModal|null} Modal instance
+ */
+export function getModal(target, options = {}) {
+    const dialog = typeof target === 'string' ? $(target) : target;
+    if (!dialog) return null;
+
+    const modal = instances.get(dialog) || new AppleModal(dialog, options);
+    return modal.dialog ? modal : null;
+}
+
+/**
+ * Open a modal by selector or element
+ * @param {string|Element} target - Selector or <dialog>
+ * @param {Object} options - { trigger, ...modal options }
+ * @returns {Promise<AppleModal|null>} Resolves once open
+ */
+export function openModal(target, options = {}) {
+    const { trigger, ...modalOptions } = options;
+    const modal = getModal(target, modalOptions);
+
+    if (!modal) {
+        console.warn(`Modal not found: ${target}`);
+        return Promise.resolve(null);
+    }
+
+    return modal.open(trigger);
+}
+
+/**
+ * Close the topmost modal
+ * @param {*} returnValue - Close value
+ * @returns {Promise<*>} Resolves once closed
+ */
+export function closeTopModal(returnValue) {
+    const modal = modalStack[modalStack.length - 1];
+    return modal ? modal.close(returnValue) : Promise.resolve(undefined);
+}
+
+/**
+ * Get open modals, topmost last
+ * @returns {AppleModal[]} Open modals
+ */
+export function getOpenModals() {
+    return [...modalStack];
+}
+
+/**
+ * Open modals from [data-modal-target] links and buttons
+ * Options can be set on the dialog as data attributes
+ * (data-close-on-backdrop="false").
+ * @param {Object} options - Default modal options
+ * @returns {Object} Controller { open, closeTop, getOpenModals, destroy }
+ */
+export function initModals(options = {}) {
+    const cleanupFunctions = [];
+
+    cleanupFunctions.push(
+        addEvent(document, 'click', (e) => {
+            const trigger = e.target.closest('[data-modal-target]');
+            if (!trigger) return;
+
+            const selector = trigger.getAttribute('data-modal-target') || trigger.getAttribute('href');
+            const dialog = selector && $(selector);
+            if (!dialog || dialog.tagName !== 'DIALOG') return;
+
+            e.preventDefault();
+
+            const dialogOptions = {};
+            ['closeOnEscape', 'closeOnBackdrop', 'lockScroll'].forEach(key => {
+                if (dialog.dataset[key] !== undefined) {
+                    dialogOptions[key] = dialog.dataset[key] !== 'false';
+                }
+            });
+
+            openModal(dialog, { ...options, ...dialogOptions, trigger });
+        })
+    );
+
+    // Page content is about to be replaced
+    cleanupFunctions.push(
+        on('route:start', () => {
+            getOpenModals().reverse().forEach(modal => modal.close());
+        })
+    );
+
+    console.log('🍎 Apple Modals initialized');
+
+    return {
+        open: (target, openOptions) => openModal(target, { ...options, ...openOptions }),
+        closeTop: closeTopModal,
+        getOpenModals,
+        destroy: () => {
+            getOpenModals().forEach(modal => modal.destroy());
+            cleanupFunctions.forEach(cleanup => cleanup());
+            cleanupFunctions.length = 0;
+        }
+    };
+}
@@ -1,11 +1,26 @@
 // js/components/navbar.js
 
 import { debounce, APPLE_EASING } from '../core/utils.js';
-import { isIOS, isTouchDevice, getViewport } from '../core/device.js';
-import { addEvent, $, $$ } from '../core/dom.js';
+import { isTouchDevice } from '../core/device.js';
+import { addEvent, $, $$, trapFocus } from '../core/dom.js';
 import { scrollToElement } from '../core/animation.js';
+import { observeIntersection } from '../core/observers.js';
+import { on, emit } from '../core/events.js';
+import {
+    uiStore,
+    openOverlay,
+    closeOverlay,
+    isOverlayOpen
+} from '../core/store.js';
+import { lockScroll, unlockScroll, isScrollLocked } from '../core/scroll-lock.js';
 import { AppleMegaMenu } from './mega-menu.js';
 
+/**
+ * Overlay id in the shared UI store and scroll-lock owner
+ */
+const MOBILE_MENU_OVERLAY = 'mobile-menu:navbar';
+const SCROLL_LOCK_OWNER = 'navbar';
+
 /**
  * Apple-style Navbar Component
  * Provides smooth scrolling, mobile menu, and Apple-like interactions
@@ -23,23 +38,34 @@ export class AppleNavbar {
             mobileBreakpoint: 734,
             hideOnScroll: true,
             smoothScroll: true,
+            scrollSpy: true,
+            sectionSelector: 'main section[id]',
+            activeClass: 'active',
+            updateHash: true,
+            megaMenu: true,
             ...options
         };
 
+        // Open/closed state lives in the shared UI store
         this.state = {
-            isOpen: false,
+            get isOpen() {
+                return isOverlayOpen(MOBILE_MENU_OVERLAY);
+            },
             isScrolled: false,
             lastScrollY: 0,
-            isVisible: true
+            isVisible: true,
+            activeSection: null
         };
 
         this.elements = this.cacheElements();
         this.cleanupFunctions = [];
+        this.releaseFocusTrap = null;
 
         this.init();
 
         // Initialize mega menu if apple-navbar class is present
-        if (this.navbar.classList.contains('apple-navbar')) {
+        // (megaMenu: false when the caller creates it as a dependent component)
+        if (this.options.megaMenu && this.navbar.classList.contains('apple-navbar')) {
             this.megaMenu = new AppleMegaMenu(selector, options.megaMenuOptions);
         }
     }
@@ -52,7 +78,13 @@ export class AppleNavbar {
             toggler: $('.navbar-toggler', this.navbar),
             collapse: $('.navbar-collapse', this.navbar),
             navLinks: $$('.navbar-nav .nav-link', this.navbar),
-            brand: $('.navbar-brand', this.navbar)
+            brand: $('.navbar-brand', this.navbar),
+            // Nav links, mega-menu triggers and mobile links pointing at sections
+            spyLinks: [
+                ...$$('.nav-link, .apple-nav-link', this.navbar),
+                ...$$('.apple-mobile-nav-link')
+            ].filter(link => (link.getAttribute('href') || '').length > 1 &&
+                link.getAttribute('href').startsWith('#'))
         };
     }
 
@@ -66,6 +98,10 @@ export class AppleNavbar {
         this.setupKeyboardNavigation();
         this.setupEventListeners();
 
+        if (this.options.scrollSpy) {
+            this.setupScrollSpy();
+        }
+
         console.log('🍎 Apple Navbar initialized');
     }
 
@@ -75,7 +111,7 @@ export class AppleNavbar {
     setupScrollBehavior() {
         const handleScroll = debounce(() => {
             const currentScrollY = window.pageYOffset;
-            const viewport = getViewport();
+            const { viewport } = uiStore.getState();
 
             // Update scroll state
             this.state.isScrolled = currentScrollY > 10;
@@ -133,6 +169,18 @@ export class AppleNavbar {
                 }, 100);
             })
         );
+
+        // Another component took over the mobile menu slot
+        this.cleanupFunctions.push(
+            uiStore.select(
+                () => isOverlayOpen(MOBILE_MENU_OVERLAY),
+                (isOpen) => {
+                    if (!isOpen && this.elements.collapse.classList.contains('show')) {
+                        this.closeMobileMenu();
+                    }
+                }
+            )
+        );
     }
 
     /**
@@ -176,15 +224,10 @@ export class AppleNavbar {
     setupKeyboardNavigation() {
         this.cleanupFunctions.push(
             addEvent(document, 'keydown', (e) => {
-                // Escape key closes menu
+                // Escape key closes menu (Tab is kept inside by trapFocus)
                 if (e.key === 'Escape' && this.state.isOpen) {
                     this.closeMobileMenu();
                 }
-
-                // Tab navigation in mobile menu
-                if (e.key === 'Tab' && this.state.isOpen) {
-                    this.handleTabNavigation(e);
-                }
             })
         );
     }
@@ -193,24 +236,122 @@ export class AppleNavbar {
      * Setup event listeners
      */
     setupEventListeners() {
-        // Resize handler
-        const handleResize = debounce(() => {
-            const viewport = getViewport();
+        // Viewport changes (from the shared UI store)
+        this.cleanupFunctions.push(
+            uiStore.select(({ viewport }) => viewport.isDesktop, (isDesktop) => {
+                if (!isDesktop) return;
 
-            // Close mobile menu on resize to desktop
-            if (viewport.isDesktop && this.state.isOpen) {
-                this.closeMobileMenu();
-            }
+                // Close mobile menu on resize to desktop
+                if (this.state.isOpen) {
+                    this.closeMobileMenu();
+                }
 
-            // Reset navbar transform on resize
-            if (viewport.isDesktop) {
+                // Reset navbar transform on resize
                 this.showNavbar();
-            }
-        }, 100);
+            })
+        );
+    }
 
+    /**
+     * Setup scroll-spy: highlight the link of the section under the navbar
+     */
+    setupScrollSpy() {
+        this.observeSections();
+
+        // The router swaps <main>, so observe the new page's sections
         this.cleanupFunctions.push(
-            addEvent(window, 'resize', handleResize)
+            on('route:change', () => {
+                this.elements.spyLinks = this.elements.spyLinks.filter(link => link.isConnected);
+                this.observeSections();
+            }, { owner: this })
         );
+
+        this.cleanupFunctions.push(() => {
+            if (this.sectionObserver) {
+                this.sectionObserver.disconnect();
+                this.sectionObserver = null;
+            }
+        });
+    }
+
+    /**
+     * Observe page sections for scroll-spy
+     */
+    observeSections() {
+        if (this.sectionObserver) {
+            this.sectionObserver.disconnect();
+            this.sectionObserver = null;
+        }
+
+        this.sections = $$(this.options.sectionSelector);
+        this.visibleSections = new Set();
+        this.setActiveSection(null);
+
+        if (this.sections.length === 0) return;
+
+        // Band between the navbar and 40% down the viewport
+        const navbarHeight = this.navbar.offsetHeight || 0;
+
+        this.sectionObserver = observeIntersection(this.sections, (entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.visibleSections.add(entry.target);
+                } else {
+                    this.visibleSections.delete(entry.target);
+                }
+            });
+
+            // Topmost section in document order wins
+            const current = this.sections.find(section => this.visibleSections.has(section));
+            if (current) {
+                this.setActiveSection(current);
+            }
+        }, {
+            threshold: 0,
+            rootMargin: `-${navbarHeight}px 0px -60% 0px`,
+            reportExits: true
+        });
+    }
+
+    /**
+     * Mark the active section's links and announce the change
+     * @param {Element|null} section - Section now under the navbar
+     */
+    setActiveSection(section) {
+        const previous = this.state.activeSection;
+        if (previous === section) return;
+
+        this.state.activeSection = section;
+        const hash = section ? `#${section.id}` : null;
+
+        this.elements.spyLinks.forEach(link => {
+            const isActive = hash !== null && link.getAttribute('href') === hash;
+
+            link.classList.toggle(this.options.activeClass, isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        if (!section) return;
+
+        if (this.options.updateHash && window.history.replaceState) {
+            // The first section is the top of the page: keep the URL clean
+            const base = `${window.location.pathname}${window.location.search}`;
+            const url = section === this.sections[0] ? base : `${base}${hash}`;
+
+            if (url !== `${base}${window.location.hash}`) {
+                window.history.replaceState(window.history.state, '', url);
+            }
+        }
+
+        emit('section:change', {
+            id: section.id,
+            section,
+            previousId: previous ? previous.id : null
+        });
     }
 
     /**
@@ -275,14 +416,13 @@ export class AppleNavbar {
      * Open mobile menu with Apple-style animation
      */
     openMobileMenu() {
-        this.state.isOpen = true;
+        // Closes any other mobile menu (e.g. the mega menu's) through the store
+        openOverlay(MOBILE_MENU_OVERLAY);
         this.elements.collapse.classList.add('show');
         document.body.classList.add('menu-open');
 
-        // Prevent scroll on iOS
-        if (isIOS()) {
-            this.preventBodyScroll();
-        }
+        // Prevent page scroll behind the menu
+        this.preventBodyScroll();
 
         // Apple-style animation
         this.elements.collapse.style.opacity = '0';
@@ -300,6 +440,14 @@ export class AppleNavbar {
             setTimeout(() => firstLink.focus(), 300);
         }
 
+        // Keep Tab inside the menu; focus returns to the toggler on close
+        if (!this.releaseFocusTrap) {
+            this.releaseFocusTrap = trapFocus(this.elements.collapse, {
+                initialFocus: false,
+                returnFocus: this.elements.toggler
+            });
+        }
+
         // Update ARIA attributes
         this.elements.toggler.setAttribute('aria-expanded', 'true');
     }
@@ -308,12 +456,10 @@ export class AppleNavbar {
      * Close mobile menu with Apple-style animation
      */
     closeMobileMenu() {
-        this.state.isOpen = false;
+        closeOverlay(MOBILE_MENU_OVERLAY);
 
-        // Restore scroll on iOS
-        if (isIOS()) {
-            this.restoreBodyScroll();
-        }
+        // Restore page scroll
+        this.restoreBodyScroll();
 
         document.body.classList.remove('menu-open');
 
@@ -329,34 +475,18 @@ export class AppleNavbar {
             this.elements.collapse.style.transform = '';
         }, 200);
 
+        // Only move focus back when it was inside the menu
+        if (this.releaseFocusTrap) {
+            this.releaseFocusTrap({
+                restoreFocus: this.elements.collapse.contains(document.activeElement)
+            });
+            this.releaseFocusTrap = null;
+        }
+
         // Update ARIA attributes
         this.elements.toggler.setAttribute('aria-expanded', 'false');
     }
 
-    /**
-     * Handle tab navigation in mobile menu
-     */
-    handleTabNavigation(e) {
-        const focusableElements = this.elements.collapse.querySelectorAll(
-            'a[href], button:not([disabled])'
-        );
-
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-
-        if (e.shiftKey) {
-            if (document.activeElement === firstElement) {
-                e.preventDefault();
-                lastElement.focus();
-            }
-        } else {
-            if (document.activeElement === lastElement) {
-                e.preventDefault();
-                firstElement.focus();
-            }
-        }
-    }
-
     /**
      * Hide navbar (mobile)
      */
@@ -380,23 +510,19 @@ export class AppleNavbar {
     }
 
     /**
-     * Prevent body scroll (iOS)
+     * Prevent body scroll (the collapse itself stays scrollable)
      */
     preventBodyScroll() {
-        this.scrollPosition = window.pageYOffset;
-        document.body.style.position = 'fixed';
-        document.body.style.width = '100%';
-        document.body.style.top = `-${this.scrollPosition}px`;
+        if (isScrollLocked(SCROLL_LOCK_OWNER)) return;
+
+        lockScroll(SCROLL_LOCK_OWNER, { allow: [this.elements.collapse] });
     }
 
     /**
-     * Restore body scroll (iOS)
+     * Restore body scroll
      */
     restoreBodyScroll() {
-        document.body.style.position = '';
-        document.body.style.width = '';
-        document.body.style.top = '';
-        window.scrollTo(0, this.scrollPosition || 0);
+        unlockScroll(SCROLL_LOCK_OWNER);
     }
 
     /**
@@ -413,7 +539,10 @@ export class AppleNavbar {
      * Get current state
      */
     getState() {
-        return { ...this.state };
+        return {
+            ...this.state,
+            activeSection: this.state.activeSection ? this.state.activeSection.id : null
+        };
     }
 
     /**
@@ -434,6 +563,7 @@ export class AppleNavbar {
         // Remove classes
         document.body.classList.remove('menu-open');
         this.navbar.classList.remove('navbar-scrolled');
+        this.setActiveSection(null);
 
         // Reset styles
         this.navbar.style.transform = '';
@@ -446,10 +576,17 @@ export class AppleNavbar {
         }
 
         // Restore body scroll if needed
-        if (isIOS() && this.state.isOpen) {
+        if (this.state.isOpen) {
             this.restoreBodyScroll();
         }
 
+        closeOverlay(MOBILE_MENU_OVERLAY);
+
+        if (this.releaseFocusTrap) {
+            this.releaseFocusTrap({ restoreFocus: false });
+            this.releaseFocusTrap = null;
+        }
+
         // Clean up mega menu
         if (this.megaMenu) {
             this.megaMenu.destroy();
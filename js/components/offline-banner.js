@@ -0,0 +1,171 @@
+// js/components/offline-banner.js
+
+import { addEvent, $ } from '../core/dom.js';
+import { on } from '../core/events.js';
+import { networkStore, replayQueuedRequests } from '../core/offline.js';
+import { t } from '../core/i18n.js';
+
+/**
+ * Apple-style Offline Banner Component
+ * Announces lost and restored connectivity and how many form posts are
+ * waiting to be sent, with a manual retry where Background Sync is missing.
+ */
+export class AppleOfflineBanner {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? $(element) : element;
+        if (!this.element) {
+            console.warn(`Offline banner not found: ${element}`);
+            return;
+        }
+
+        this.options = {
+            noticeDuration: 4000,
+            // Overrides by key; catalog messages (offline.*) otherwise
+            messages: {},
+            ...options
+        };
+
+        this.elements = {
+            message: $('[data-offline-message]', this.element),
+            retry: $('[data-offline-retry]', this.element)
+        };
+
+        this.cleanupFunctions = [];
+        this.hideTimer = null;
+        this.notice = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize banner
+     */
+    init() {
+        const { retry } = this.elements;
+
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+
+        if (retry) {
+            this.cleanupFunctions.push(addEvent(retry, 'click', () => this.retry()));
+        }
+
+        this.cleanupFunctions.push(
+            networkStore.subscribe((state, previous) => this.handleChange(state, previous)),
+            on('i18n:change', () => this.render(networkStore.getState()), { owner: this })
+        );
+
+        this.render(networkStore.getState());
+    }
+
+    /**
+     * React to network status changes
+     * @param {Object} state - Network status
+     * @param {Object} previous - Previous status
+     */
+    handleChange(state, previous) {
+        if (state.online && !previous.online) {
+            this.flash('online');
+            return;
+        }
+
+        // The queue only shrinks when posts were delivered
+        if (state.online && state.queued < previous.queued) {
+            this.flash('sent', previous.queued - state.queued);
+            return;
+        }
+
+        this.render(state);
+    }
+
+    /**
+     * Show a short-lived notice, then fall back to the current status
+     * @param {string} key - Message key
+     * @param {number} count - Count for plural messages
+     */
+    flash(key, count) {
+        clearTimeout(this.hideTimer);
+        this.notice = { key, count };
+        this.render(networkStore.getState());
+
+        this.hideTimer = setTimeout(() => {
+            this.notice = null;
+            this.render(networkStore.getState());
+        }, this.options.noticeDuration);
+    }
+
+    /**
+     * Get a message
+     * @param {string} key - Message key
+     * @param {number} count - Count for plural messages
+     * @returns {string} Message
+     */
+    message(key, count) {
+        const message = this.options.messages[key];
+        if (message === undefined) return t(`offline.${key}`, { count });
+        return typeof message === 'function' ? message(count) : message;
+    }
+
+    /**
+     * Render the banner for a status
+     * @param {Object} state - Network status
+     */
+    render(state) {
+        const { message, retry } = this.elements;
+        let text = '';
+
+        if (!state.online) {
+            text = this.message('offline');
+            if (state.queued > 0) text += ` ${this.message('queued', state.queued)}`;
+        } else if (state.replaying) {
+            text = this.message('sending', state.queued);
+        } else if (this.notice) {
+            text = this.message(this.notice.key, this.notice.count);
+            if (state.queued > 0) text += ` ${this.message('queued', state.queued)}`;
+        } else if (state.queued > 0) {
+            text = this.message('queued', state.queued);
+        }
+
+        if (message) message.textContent = text;
+
+        if (retry) {
+            // Background Sync replays on its own; the button is the fallback
+            retry.hidden = !(state.online && state.queued > 0 && !state.backgroundSync);
+            retry.disabled = state.replaying;
+        }
+
+        this.element.hidden = !text;
+        this.element.classList.toggle('is-offline', !state.online);
+    }
+
+    /**
+     * Send queued requests now
+     */
+    retry() {
+        return replayQueuedRequests();
+    }
+
+    /**
+     * Update options
+     */
+    updateOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+        this.render(networkStore.getState());
+    }
+
+    /**
+     * Destroy banner
+     */
+    destroy() {
+        clearTimeout(this.hideTimer);
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+    }
+}
+
+/**
+ * Initialize an offline banner
+ */
+export function initOfflineBanner(element = '[data-component="offline-banner"]', options = {}) {
+    return new AppleOfflineBanner(element, options);
+}
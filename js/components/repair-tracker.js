@@ -0,0 +1,642 @@
+// js/components/repair-tracker.js
+
+import { addEvent, $, createElement } from '../core/dom.js';
+import { observeVisibility } from '../core/observers.js';
+import { on, emit } from '../core/events.js';
+import { t, getIntlLocale } from '../core/i18n.js';
+import { getIntlFormatter, formatRelativeTime } from '../core/utils.js';
+import { submitJson } from '../core/forms.js';
+
+/**
+ * Repair stage; label and description follow the active language
+ * @param {string} id - Status id
+ * @returns {Object} { id, label, description }
+ */
+const stage = id => ({
+    id,
+    get label() { return t(`tracker.status.${id}.label`); },
+    get description() { return t(`tracker.status.${id}.description`); }
+});
+
+/**
+ * Repair stages, in order
+ */
+export const REPAIR_STATUSES = ['received', 'diagnosing', 'awaiting-parts', 'repairing', 'qa', 'ready'].map(stage);
+
+const READY_STATUS = 'ready';
+
+/**
+ * Fetch a ticket
+ * @param {string} url - Ticket URL
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<Object>} Ticket
+ */
+function fetchTicket(url, timeout) {
+    return submitJson(url, null, { method: 'GET', timeout, cache: 'no-store' });
+}
+
+/**
+ * Apple-style Repair Tracker Component
+ * Looks up a repair ticket by number plus phone or email and follows it
+ * through the workshop, live over Server-Sent Events or by polling. Only the
+ * ticket number is remembered; the phone or email is asked for again.
+ */
+export class AppleRepairTracker {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? $(element) : element;
+        if (!this.element) {
+            console.warn(`Repair tracker not found: ${element}`);
+            return;
+        }
+
+        this.options = {
+            endpoint: '/api/tickets',
+            live: 'auto', // 'auto' (SSE, falling back to polling), 'sse', 'poll' or false
+            pollInterval: 30000,
+            timeout: 10000,
+            notify: true,
+            storageKey: 'techfix-pro-tracking',
+            ...options
+        };
+
+        this.state = {
+            ticket: null,
+            contact: null,
+            data: null,
+            status: null,
+            mode: null,
+            isLoading: false,
+            notifyWhenReady: false
+        };
+
+        this.elements = this.cacheElements();
+        this.cleanupFunctions = [];
+        this.eventSource = null;
+        this.pollTimer = null;
+        this.isVisible = !document.hidden;
+        this.destroyed = false;
+
+        this.init();
+    }
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        return {
+            form: $('form', this.element),
+            ticket: $('[name="ticket"]', this.element),
+            contact: $('[name="contact"]', this.element),
+            submit: $('[type="submit"]', this.element),
+            result: $('[data-tracker-result]', this.element),
+            summary: $('[data-tracker-summary]', this.element),
+            timeline: $('[data-tracker-timeline]', this.element),
+            updated: $('[data-tracker-updated]', this.element),
+            notify: $('[data-tracker-notify]', this.element),
+            clear: $('[data-tracker-clear]', this.element),
+            status: $('[data-tracker-status]', this.element)
+        };
+    }
+
+    /**
+     * Initialize tracker
+     */
+    init() {
+        try {
+            this.setupEventListeners();
+
+            // Links from SMS/email: ?ticket=TFP-0001&contact=...
+            const params = new URLSearchParams(window.location.search);
+            const saved = this.readSaved();
+            const ticket = params.get('ticket') || (saved && saved.ticket);
+            const contact = params.get('contact');
+
+            if (ticket && this.elements.ticket) this.elements.ticket.value = ticket;
+            if (contact && this.elements.contact) this.elements.contact.value = contact;
+
+            if (ticket && contact) {
+                this.track(ticket, contact);
+            }
+
+            console.log('🍎 Apple Repair Tracker initialized');
+        } catch (error) {
+            console.error('🍎 Error initializing repair tracker:', error);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { form, notify, clear } = this.elements;
+
+        if (form) {
+            this.cleanupFunctions.push(
+                addEvent(form, 'submit', (e) => {
+                    e.preventDefault();
+                    this.handleSubmit();
+                })
+            );
+        }
+
+        if (notify) {
+            this.cleanupFunctions.push(addEvent(notify, 'click', () => this.enableNotifications()));
+        }
+
+        if (clear) {
+            this.cleanupFunctions.push(addEvent(clear, 'click', () => this.reset()));
+        }
+
+        // Polling pauses in background tabs and catches up on return
+        this.cleanupFunctions.push(
+            observeVisibility(({ isVisible }) => {
+                const becameVisible = isVisible && !this.isVisible;
+                this.isVisible = isVisible;
+
+                if (becameVisible && this.state.mode === 'poll') {
+                    this.refresh();
+                }
+            })
+        );
+
+        // Timeline labels and dates follow the language
+        this.cleanupFunctions.push(
+            on('i18n:change', () => this.render(), { owner: this })
+        );
+    }
+
+    /**
+     * Validate the form and start tracking
+     */
+    handleSubmit() {
+        const ticket = this.elements.ticket ? this.elements.ticket.value.trim() : '';
+        const contact = this.elements.contact ? this.elements.contact.value.trim() : '';
+
+        if (!ticket || !contact) {
+            this.announce(t('tracker.missing'));
+            (ticket ? this.elements.contact : this.elements.ticket)?.focus();
+            return;
+        }
+
+        this.track(ticket, contact);
+    }
+
+    /**
+     * Saved ticket from a previous visit
+     * @returns {Object|null} { ticket }
+     */
+    readSaved() {
+        try {
+            const stored = localStorage.getItem(this.options.storageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember (or forget) the tracked ticket
+     * The customer's phone or email is personal data and stays out of storage.
+     * @param {Object|null} value - { ticket }
+     */
+    writeSaved(value) {
+        try {
+            if (value) {
+                localStorage.setItem(this.options.storageKey, JSON.stringify(value));
+            } else {
+                localStorage.removeItem(this.options.storageKey);
+            }
+        } catch (error) {
+            console.warn('Could not save to localStorage:', error);
+        }
+    }
+
+    /**
+     * Build the URL of a ticket resource
+     * EventSource cannot send headers, so the contact travels in the query
+     * string for both the lookup and the live stream.
+     * @param {string} suffix - Path after the ticket ("/events")
+     * @returns {string} URL
+     */
+    getTicketUrl(suffix = '') {
+        const { ticket, contact } = this.state;
+        const query = new URLSearchParams({ contact });
+        return `${this.options.endpoint}/${encodeURIComponent(ticket)}${suffix}?${query}`;
+    }
+
+    /**
+     * Look up a ticket and follow its updates
+     * @param {string} ticket - Ticket number
+     * @param {string} contact - Phone or email used when booking
+     * @returns {Promise<Object|null>} Ticket
+     */
+    async track(ticket, contact) {
+        this.stopLive();
+
+        this.state.ticket = ticket.toUpperCase();
+        this.state.contact = contact;
+        this.state.data = null;
+        this.state.status = null;
+
+        this.setLoading(true);
+        this.announce(t('tracker.looking'));
+
+        // A newer lookup (or a cleared form) owns the result and loading state
+        const url = this.getTicketUrl();
+        const isCurrent = () => !this.destroyed && this.state.ticket !== null && this.getTicketUrl() === url;
+
+        try {
+            const data = await fetchTicket(url, this.options.timeout);
+            if (!isCurrent()) return null;
+
+            this.writeSaved({ ticket: this.state.ticket });
+            this.applyTicket(data);
+            this.startLive();
+            return data;
+        } catch (error) {
+            if (isCurrent()) this.showError(error);
+            return null;
+        } finally {
+            if (isCurrent()) this.setLoading(false);
+        }
+    }
+
+    /**
+     * Fetch the ticket once more (polling and manual refresh)
+     * @returns {Promise<Object|null>} Ticket
+     */
+    async refresh() {
+        if (!this.state.ticket) return null;
+
+        const url = this.getTicketUrl();
+
+        try {
+            const data = await fetchTicket(url, this.options.timeout);
+
+            // Another ticket was looked up (or the form cleared) meanwhile
+            if (this.destroyed || this.state.ticket === null || this.getTicketUrl() !== url) return null;
+
+            this.applyTicket(data);
+            return data;
+        } catch (error) {
+            // Keep showing the last known status through blips
+            console.warn('🍎 Repair status refresh failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Start live updates unless the repair is finished
+     */
+    startLive() {
+        const { live } = this.options;
+        if (!live || this.state.status === READY_STATUS) return;
+
+        if (live !== 'poll' && 'EventSource' in window) {
+            this.startStream();
+        } else if (live !== 'sse') {
+            this.startPolling();
+        }
+    }
+
+    /**
+     * Follow the ticket over Server-Sent Events
+     */
+    startStream() {
+        const source = new EventSource(this.getTicketUrl('/events'));
+        this.eventSource = source;
+        this.state.mode = 'sse';
+
+        source.addEventListener('status', (event) => {
+            try {
+                this.applyTicket(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('🍎 Invalid repair status event:', error);
+            }
+        });
+
+        source.onerror = () => {
+            // EventSource retries by itself unless the server refused the stream
+            if (source.readyState !== EventSource.CLOSED) return;
+
+            this.stopLive();
+            if (this.options.live !== 'sse') {
+                this.startPolling();
+            }
+        };
+    }
+
+    /**
+     * Follow the ticket by polling
+     */
+    startPolling() {
+        this.state.mode = 'poll';
+
+        const schedule = () => {
+            this.pollTimer = setTimeout(async () => {
+                if (this.isVisible) {
+                    await this.refresh();
+                }
+
+                if (this.state.mode === 'poll' && this.state.status !== READY_STATUS) {
+                    schedule();
+                }
+            }, this.options.pollInterval);
+        };
+
+        schedule();
+    }
+
+    /**
+     * Stop live updates
+     */
+    stopLive() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.state.mode = null;
+    }
+
+    /**
+     * Apply a ticket from the API
+     * @param {Object} data - { ticket, status, device, history, updatedAt, estimatedReady }
+     */
+    applyTicket(data) {
+        if (!data || !data.status) return;
+
+        const previous = this.state.status;
+        this.state.data = data;
+        this.state.status = data.status;
+
+        this.render();
+
+        if (previous === data.status) return;
+
+        const current = REPAIR_STATUSES.find(({ id }) => id === data.status);
+        emit('repair:status', { ticket: this.state.ticket, status: data.status, previous, data });
+
+        if (previous) {
+            this.announce(t('tracker.updatedStatus', { status: current ? current.label : data.status }));
+        } else {
+            this.announce(current ? `${current.label}. ${current.description}` : '');
+        }
+
+        if (data.status === READY_STATUS) {
+            this.stopLive();
+
+            // Only notify about a change seen live, not a ticket that was already ready
+            if (previous) {
+                this.notifyReady(data);
+            }
+        }
+    }
+
+    /**
+     * Format a timestamp for the timeline
+     * @param {string} value - ISO date
+     * @returns {string} Formatted date
+     */
+    formatTime(value) {
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+
+        return getIntlFormatter('DateTimeFormat', getIntlLocale(), {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit'
+        }).format(date);
+    }
+
+    /**
+     * Render the summary and the timeline
+     */
+    render() {
+        const { data } = this.state;
+        const { result, summary, timeline, updated, notify } = this.elements;
+        if (!data) return;
+
+        const currentIndex = REPAIR_STATUSES.findIndex(({ id }) => id === data.status);
+        const history = new Map((data.history || []).map(entry => [entry.status, entry]));
+
+        if (summary) {
+            const device = data.device ? [data.device.brand, data.device.model].filter(Boolean).join(' ') : '';
+            summary.textContent = device ? `${device} · ${this.state.ticket}` : this.state.ticket;
+        }
+
+        if (timeline) {
+            timeline.innerHTML = '';
+
+            REPAIR_STATUSES.forEach((step, index) => {
+                const entry = history.get(step.id);
+                const isCurrent = index === currentIndex;
+                const isComplete = index < currentIndex;
+                // Not every repair waits for parts
+                const isSkipped = isComplete && !entry && step.id === 'awaiting-parts';
+
+                const item = createElement('li', {
+                    className: [
+                        'tracker-step',
+                        isComplete ? 'is-complete' : '',
+                        isCurrent ? 'is-current' : '',
+                        isSkipped ? 'is-skipped' : ''
+                    ].filter(Boolean).join(' ')
+                });
+
+                if (isCurrent) {
+                    item.setAttribute('aria-current', 'step');
+                }
+
+                item.appendChild(createElement('span', { className: 'tracker-step-label' }, step.label));
+
+                if (entry && entry.at) {
+                    item.appendChild(createElement('time', { className: 'tracker-step-time', datetime: entry.at }, this.formatTime(entry.at)));
+                }
+
+                if (isCurrent) {
+                    item.appendChild(createElement('p', { className: 'tracker-step-note' }, (entry && entry.note) || step.description));
+                }
+
+                timeline.appendChild(item);
+            });
+        }
+
+        if (updated) {
+            const parts = [];
+            if (data.estimatedReady && data.status !== READY_STATUS) {
+                parts.push(t('tracker.estimatedReady', { time: this.formatTime(data.estimatedReady) }));
+            }
+            if (data.updatedAt) {
+                parts.push(t('tracker.lastUpdate', { time: formatRelativeTime(data.updatedAt, { locale: getIntlLocale() }) }));
+            }
+            updated.textContent = parts.join(' · ');
+        }
+
+        if (notify) {
+            notify.hidden = !this.canNotify() || data.status === READY_STATUS;
+            notify.disabled = this.state.notifyWhenReady;
+            notify.textContent = t(this.state.notifyWhenReady ? 'tracker.notifying' : 'tracker.notify');
+        }
+
+        if (result) {
+            result.hidden = false;
+            result.setAttribute('data-status', data.status);
+        }
+    }
+
+    /**
+     * Check whether browser notifications can be offered
+     * @returns {boolean} Can notify
+     */
+    canNotify() {
+        return Boolean(this.options.notify) && 'Notification' in window && Notification.permission !== 'denied';
+    }
+
+    /**
+     * Ask for notification permission (must run from a user gesture)
+     * @returns {Promise<boolean>} Permission granted
+     */
+    async enableNotifications() {
+        if (!this.canNotify()) return false;
+
+        try {
+            const permission = Notification.permission === 'granted'
+                ? 'granted'
+                : await Notification.requestPermission();
+
+            this.state.notifyWhenReady = permission === 'granted';
+        } catch (error) {
+            console.warn('🍎 Notification permission failed:', error);
+            this.state.notifyWhenReady = false;
+        }
+
+        this.render();
+        return this.state.notifyWhenReady;
+    }
+
+    /**
+     * Tell the customer their laptop is ready
+     * @param {Object} data - Ticket
+     */
+    notifyReady(data) {
+        if (!this.state.notifyWhenReady || Notification.permission !== 'granted') return;
+
+        try {
+            const device = data.device ? [data.device.brand, data.device.model].filter(Boolean).join(' ') : t('tracker.laptop');
+            const notification = new Notification(t('tracker.readyTitle'), {
+                body: t('tracker.readyBody', { device, ticket: this.state.ticket }),
+                tag: `repair-${this.state.ticket}`
+            });
+
+            notification.onclick = () => {
+                window.focus();
+                this.element.scrollIntoView({ block: 'start' });
+                notification.close();
+            };
+        } catch (error) {
+            console.warn('🍎 Could not show notification:', error);
+        }
+    }
+
+    /**
+     * Show a lookup error
+     * @param {Error} error - Error
+     */
+    showError(error) {
+        if (this.elements.result) {
+            this.elements.result.hidden = true;
+        }
+
+        if (error.status === 404) {
+            this.announce(t('tracker.notFound'));
+        } else {
+            console.error('🍎 Repair lookup failed:', error);
+            this.announce(t('tracker.unavailable'));
+        }
+    }
+
+    /**
+     * Toggle the loading state
+     * @param {boolean} loading - Is loading
+     */
+    setLoading(loading) {
+        this.state.isLoading = loading;
+        this.element.setAttribute('aria-busy', String(loading));
+
+        if (this.elements.submit) {
+            this.elements.submit.disabled = loading;
+        }
+    }
+
+    /**
+     * Announce a message to screen readers
+     * @param {string} message - Message
+     */
+    announce(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Stop tracking and clear the form
+     */
+    reset() {
+        this.stopLive();
+        this.writeSaved(null);
+        this.setLoading(false);
+
+        this.state.ticket = null;
+        this.state.contact = null;
+        this.state.data = null;
+        this.state.status = null;
+        this.state.notifyWhenReady = false;
+
+        if (this.elements.form) this.elements.form.reset();
+        if (this.elements.result) this.elements.result.hidden = true;
+        this.announce('');
+
+        this.elements.ticket?.focus();
+    }
+
+    /**
+     * Update options at runtime
+     * @param {Object} options - New options
+     */
+    updateOptions(options = {}) {
+        const restart = this.state.mode && ('live' in options || 'endpoint' in options || 'pollInterval' in options);
+        this.options = { ...this.options, ...options };
+
+        if (restart) {
+            this.stopLive();
+            this.startLive();
+        }
+    }
+
+    /**
+     * Get current state
+     */
+    getState() {
+        return { ...this.state };
+    }
+
+    /**
+     * Destroy tracker
+     */
+    destroy() {
+        this.destroyed = true;
+        this.stopLive();
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+    }
+}
+
+/**
+ * Initialize a repair tracker
+ */
+export function initRepairTracker(element = '#track', options = {}) {
+    return new AppleRepairTracker(element, options);
+}
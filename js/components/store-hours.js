@@ -0,0 +1,567 @@
+// js/components/store-hours.js
+
+import { addEvent, $, $$, createElement } from '../core/dom.js';
+import { on, emit } from '../core/events.js';
+import { t, getLocale, getIntlLocale, translatePage } from '../core/i18n.js';
+import { getIntlFormatter, formatDuration, parseOpeningHours, toMinutes } from '../core/utils.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Holiday tables by URL (fetched once per page)
+ */
+const holidayTables = new Map();
+
+/**
+ * Load a holiday table
+ * @param {string} src - JSON URL
+ * @returns {Promise<Object>} { markets: [{ hosts, country, timeZone }], overrides: [{ date, country, closed | opens/closes, name }] }
+ */
+export function loadHolidays(src) {
+    if (!holidayTables.has(src)) {
+        const request = fetch(src, { headers: { Accept: 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error(`Holiday table request failed (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                // Allow a retry on the next mount
+                holidayTables.delete(src);
+                throw error;
+            });
+
+        holidayTables.set(src, request);
+    }
+
+    return holidayTables.get(src);
+}
+
+/**
+ * Pick this site's market (country and time zone) from the holiday table
+ * @param {Object} table - Holiday table
+ * @param {string} hostname - Current hostname
+ * @returns {Object} { country, timeZone }, empty when no market matches
+ */
+export function getHolidayMarket(table, hostname = window.location.hostname) {
+    const markets = table.markets || [];
+    const market = markets.find(({ hosts = [] }) => hosts.includes(hostname)) ||
+        markets.find(({ hosts = [] }) => hosts.includes('*'));
+
+    return market || {};
+}
+
+/**
+ * Holiday overrides that apply in a country (entries without one apply everywhere)
+ * @param {Array} overrides - Overrides from the holiday table
+ * @param {string} country - ISO country code, or null for all
+ * @returns {Array} Overrides
+ */
+export function getCountryOverrides(overrides, country) {
+    return country ? overrides.filter(entry => !entry.country || entry.country === country) : overrides;
+}
+
+/**
+ * Read openingHours from the page's JSON-LD
+ * @param {string} selector - JSON-LD script selector
+ * @returns {string|string[]|null} openingHours value
+ */
+export function readOpeningHours(selector = 'script[type="application/ld+json"]') {
+    for (const script of $$(selector)) {
+        try {
+            const data = JSON.parse(script.textContent);
+            const nodes = [].concat(data['@graph'] || data);
+            const business = nodes.find(node => node && node.openingHours);
+            if (business) return business.openingHours;
+        } catch (error) {
+            console.warn('🍎 Invalid JSON-LD block:', error);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Date, weekday and minutes since midnight in a time zone
+ * @param {Date} now - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', day: 0-6, minutes }
+ */
+function getZonedTime(now, timeZone) {
+    const parts = getIntlFormatter('DateTimeFormat', 'en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).reduce((values, { type, value }) => ({ ...values, [type]: value }), {});
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: WEEKDAYS.indexOf(parts.weekday),
+        minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+    };
+}
+
+/**
+ * Shift a calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add
+ * @returns {Object} { date, day }
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+
+    return { date: shifted.toISOString().slice(0, 10), day: shifted.getUTCDay() };
+}
+
+/**
+ * Opening intervals for one date, holiday overrides first
+ * @param {Array} rules - Parsed opening hours
+ * @param {Array} overrides - Holiday overrides
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} day - Weekday, 0 = Sunday
+ * @returns {Object} { intervals: [{ opens, closes, start, end }], override }
+ */
+function getSchedule(rules, overrides, date, day) {
+    const override = overrides.find(entry => entry.date === date) || null;
+    const intervals = override
+        ? (override.closed ? [] : [{ opens: override.opens, closes: override.closes }])
+        : rules.filter(rule => rule.days.includes(day)).map(({ opens, closes }) => ({ opens, closes }));
+
+    return {
+        override,
+        intervals: intervals
+            .map(interval => {
+                const start = toMinutes(interval.opens);
+                const end = toMinutes(interval.closes);
+                // 22:00-02:00 runs past midnight
+                return { ...interval, start, end: end <= start ? end + 1440 : end };
+            })
+            .sort((a, b) => a.start - b.start)
+    };
+}
+
+/**
+ * Whether the shop is open, and when that changes
+ * @param {Array} rules - Parsed opening hours
+ * @param {Array} overrides - Holiday overrides
+ * @param {Object} options - { now, timeZone, lookahead: days to search for the next opening }
+ * @returns {Object} { open, closes, closesIn } or { open, opens, opensIn, dayOffset, date }, plus today's override
+ */
+export function getOpeningStatus(rules, overrides = [], options = {}) {
+    const { now = new Date(), timeZone = 'UTC', lookahead = 14 } = options;
+    const today = getZonedTime(now, timeZone);
+    const schedule = getSchedule(rules, overrides, today.date, today.day);
+    const yesterday = addDays(today.date, -1);
+
+    const current = schedule.intervals.find(({ start, end }) => today.minutes >= start && today.minutes < end) ||
+        getSchedule(rules, overrides, yesterday.date, yesterday.day).intervals
+            .filter(({ end }) => end > 1440 && today.minutes < end - 1440)
+            .map(interval => ({ ...interval, end: interval.end - 1440 }))[0];
+
+    if (current) {
+        return { open: true, closes: current.closes, closesIn: current.end - today.minutes, override: schedule.override };
+    }
+
+    for (let offset = 0; offset <= lookahead; offset++) {
+        const { date, day } = addDays(today.date, offset);
+        const next = getSchedule(rules, overrides, date, day).intervals
+            .find(({ start }) => offset > 0 || start > today.minutes);
+
+        if (next) {
+            return {
+                open: false,
+                opens: next.opens,
+                opensIn: offset * 1440 + next.start - today.minutes,
+                dayOffset: offset,
+                date,
+                override: schedule.override
+            };
+        }
+    }
+
+    return { open: false, opens: null, opensIn: null, override: schedule.override };
+}
+
+/**
+ * Apple-style Store Hours Component
+ * Open/closed status with a countdown in the shop's time zone, read from the
+ * LocalBusiness JSON-LD with holiday overrides from a JSON file. While the
+ * shop is closed, "Call now" CTAs ([data-call-cta]) become "Leave a message".
+ * Follows the branch picked in the store locator (branch:change).
+ */
+export class AppleStoreHours {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? $(element) : element;
+        if (!this.element) {
+            console.warn(`Store hours not found: ${element}`);
+            return;
+        }
+
+        this.options = {
+            openingHours: null,
+            source: 'script[type="application/ld+json"]',
+            holidays: 'data/holidays.json',
+            // Until a branch is picked (default: the site market's zone);
+            // without any zone the widget says hours are unavailable
+            timeZone: null,
+            // Holidays marked for another country are ignored (default: the site market's)
+            country: null,
+            closingSoon: 60,
+            openingSoon: 180,
+            holidayNotice: 14,
+            ctaSelector: '[data-call-cta]',
+            messageTarget: '#booking-modal',
+            messageHref: 'contact.html',
+            ...options
+        };
+
+        this.state = {
+            rules: [],
+            overrides: [],
+            timeZone: null,
+            country: null,
+            status: null
+        };
+
+        this.elements = {
+            status: $('[data-hours-status]', this.element),
+            detail: $('[data-hours-detail]', this.element),
+            list: $('[data-hours-list]', this.element),
+            zone: $('[data-hours-zone]', this.element)
+        };
+
+        this.cleanupFunctions = [];
+        this.tickTimer = null;
+        this.destroyed = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize widget
+     */
+    async init() {
+        // Only the open/closed label is announced; the countdown and the
+        // weekly list re-render every minute and would be read out each time
+        if (this.elements.status) {
+            this.elements.status.setAttribute('aria-live', 'polite');
+        }
+
+        let holidays = {};
+        if (this.options.holidays) {
+            try {
+                holidays = await loadHolidays(this.options.holidays);
+            } catch (error) {
+                console.warn('🍎 Holiday overrides unavailable:', error);
+            }
+            if (this.destroyed) return;
+        }
+
+        this.state.rules = parseOpeningHours(this.options.openingHours || readOpeningHours(this.options.source));
+        this.state.overrides = holidays.overrides || [];
+        const market = getHolidayMarket(holidays);
+        this.state.timeZone = this.options.timeZone || market.timeZone || null;
+        this.state.country = this.options.country || market.country || null;
+
+        this.cleanupFunctions.push(
+            on('i18n:change', () => this.render(), { owner: this }),
+            // The locator may have picked a branch before the holidays loaded
+            on('branch:change', ({ branch }) => this.setBranch(branch), { owner: this, replay: true }),
+            addEvent(document, 'visibilitychange', () => {
+                if (!document.hidden) this.tick();
+            })
+        );
+
+        this.tick();
+    }
+
+    /**
+     * Show a branch's hours
+     * @param {Object} branch - Branch from the store locator
+     */
+    setBranch(branch) {
+        this.state.rules = parseOpeningHours(branch.openingHours);
+        this.state.timeZone = branch.timeZone || this.state.timeZone;
+        this.state.country = branch.address ? branch.address.addressCountry : this.state.country;
+        this.tick();
+    }
+
+    /**
+     * Holiday overrides for the shop's country
+     * @returns {Array} Overrides
+     */
+    getOverrides() {
+        return getCountryOverrides(this.state.overrides, this.state.country);
+    }
+
+    /**
+     * Re-render, then again at the start of the next minute
+     */
+    tick() {
+        clearTimeout(this.tickTimer);
+        this.render();
+        this.tickTimer = setTimeout(() => this.tick(), 60000 - (Date.now() % 60000) + 50);
+    }
+
+    /**
+     * Format a shop time ('18:00')
+     * @param {string} time - Time
+     * @returns {string} Localized time
+     */
+    formatTime(time) {
+        const minutes = toMinutes(time) % 1440;
+
+        return getIntlFormatter('DateTimeFormat', getIntlLocale(), { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+            .format(Date.UTC(2024, 0, 1, Math.floor(minutes / 60), minutes % 60));
+    }
+
+    /**
+     * Format a countdown ('2 hr 15 min')
+     * @param {number} minutes - Minutes
+     * @returns {string} Countdown
+     */
+    formatCountdown(minutes) {
+        const locale = getIntlLocale();
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+
+        return [
+            hours ? formatDuration(hours, { unit: 'hour', unitDisplay: 'short', locale }) : '',
+            rest || !hours ? formatDuration(Math.max(rest, 1), { unit: 'minute', unitDisplay: 'short', locale }) : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Name a day relative to today ('tomorrow', 'Monday')
+     * @param {number} offset - Days from today
+     * @param {string} date - 'YYYY-MM-DD'
+     * @returns {string} Day
+     */
+    formatDay(offset, date) {
+        const locale = getIntlLocale();
+        if (offset < 2) {
+            return getIntlFormatter('RelativeTimeFormat', locale, { numeric: 'auto' }).format(offset, 'day');
+        }
+
+        return getIntlFormatter('DateTimeFormat', locale, { weekday: 'long', timeZone: 'UTC' }).format(new Date(`${date}T12:00:00Z`));
+    }
+
+    /**
+     * Holiday name in the active language
+     * @param {Object} override - Holiday override
+     * @returns {string} Name
+     */
+    holidayName(override) {
+        const { name = '' } = override;
+        return typeof name === 'object' ? name[getLocale()] || name.en || '' : name;
+    }
+
+    /**
+     * Describe the current status
+     * @param {Object} status - Opening status
+     * @returns {string} Detail line
+     */
+    describe(status) {
+        const { override } = status;
+        const parts = [];
+
+        if (status.open) {
+            parts.push(t('hours.closesIn', { duration: this.formatCountdown(status.closesIn), time: this.formatTime(status.closes) }));
+            if (override) parts.push(t('hours.specialHours', { name: this.holidayName(override) }));
+        } else {
+            if (override && override.closed) parts.push(t('hours.holiday', { name: this.holidayName(override) }));
+
+            if (status.opens === null) {
+                parts.push(t('hours.temporarilyClosed'));
+            } else if (status.opensIn <= this.options.openingSoon) {
+                parts.push(t('hours.opensIn', { duration: this.formatCountdown(status.opensIn), time: this.formatTime(status.opens) }));
+            } else {
+                parts.push(t('hours.opensOn', { day: this.formatDay(status.dayOffset, status.date), time: this.formatTime(status.opens) }));
+            }
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Render the weekly hours and upcoming holidays
+     */
+    renderList() {
+        const { list } = this.elements;
+        if (!list) return;
+
+        const locale = getIntlLocale();
+        const dayFormatter = getIntlFormatter('DateTimeFormat', locale, { weekday: 'short', timeZone: 'UTC' });
+        const dateFormatter = getIntlFormatter('DateTimeFormat', locale, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+        const dayName = day => dayFormatter.format(new Date(Date.UTC(2024, 0, 7 + day)));
+        const today = getZonedTime(new Date(), this.state.timeZone);
+
+        list.innerHTML = '';
+
+        // Monday first, one row per day
+        [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+            const intervals = this.state.rules.filter(rule => rule.days.includes(day));
+            const hours = intervals.length
+                ? intervals.map(({ opens, closes }) => `${this.formatTime(opens)} – ${this.formatTime(closes)}`).join(', ')
+                : t('hours.closed');
+
+            list.appendChild(createElement('li', { className: day === today.day ? 'is-today' : '' },
+                createElement('span', { className: 'store-hours-day' }, dayName(day)),
+                createElement('span', { className: 'store-hours-time' }, hours)
+            ));
+        });
+
+        const last = addDays(today.date, this.options.holidayNotice).date;
+        this.getOverrides()
+            .filter(({ date }) => date >= today.date && date <= last)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(override => {
+                const hours = override.closed
+                    ? t('hours.closed')
+                    : `${this.formatTime(override.opens)} – ${this.formatTime(override.closes)}`;
+
+                list.appendChild(createElement('li', { className: 'is-holiday' },
+                    createElement('span', { className: 'store-hours-day' }, dateFormatter.format(new Date(`${override.date}T12:00:00Z`))),
+                    createElement('span', { className: 'store-hours-time' }, `${hours} (${this.holidayName(override)})`)
+                ));
+            });
+    }
+
+    /**
+     * Render the status, the weekly hours and the CTAs
+     */
+    render() {
+        const { status: statusElement, detail, zone } = this.elements;
+
+        // No rules, or no zone to read them in (holiday table down, no branch yet)
+        if (!this.state.rules.length || !this.state.timeZone) {
+            const text = t('hours.unavailable');
+            if (statusElement && statusElement.textContent !== text) statusElement.textContent = text;
+            if (detail) detail.textContent = '';
+            return;
+        }
+
+        const status = getOpeningStatus(this.state.rules, this.getOverrides(), { timeZone: this.state.timeZone });
+        const closingSoon = status.open && status.closesIn <= this.options.closingSoon;
+        const previous = this.state.status;
+        this.state.status = status;
+
+        this.element.classList.toggle('is-open', status.open);
+        this.element.classList.toggle('is-closed', !status.open);
+        this.element.classList.toggle('is-closing-soon', closingSoon);
+
+        if (statusElement) {
+            const text = t(closingSoon ? 'hours.closingSoon' : status.open ? 'hours.open' : 'hours.closed');
+            if (statusElement.textContent !== text) statusElement.textContent = text;
+        }
+
+        if (detail) {
+            detail.textContent = this.describe(status);
+        }
+
+        if (zone) {
+            // Hours are the shop's; say so to visitors elsewhere
+            const visitorZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const zoneName = getIntlFormatter('DateTimeFormat', getIntlLocale(), { timeZone: this.state.timeZone, timeZoneName: 'long' })
+                .formatToParts(new Date()).find(({ type }) => type === 'timeZoneName');
+
+            zone.hidden = visitorZone === this.state.timeZone;
+            zone.textContent = zone.hidden ? '' : t('hours.timeZone', { zone: zoneName ? zoneName.value : this.state.timeZone });
+        }
+
+        this.renderList();
+        this.updateCtas(status.open);
+
+        if (!previous || previous.open !== status.open) {
+            emit('hours:change', { ...status, timeZone: this.state.timeZone });
+        }
+    }
+
+    /**
+     * Point the call CTAs at the phone while open, at a message while closed
+     * @param {boolean} open - Shop is open
+     */
+    updateCtas(open) {
+        $$(this.options.ctaSelector).forEach(link => {
+            if (!link.hasAttribute('data-call-href')) {
+                link.setAttribute('data-call-href', link.getAttribute('href'));
+                link.setAttribute('data-call-markup', link.innerHTML);
+                if (link.hasAttribute('data-i18n')) link.setAttribute('data-call-i18n', link.getAttribute('data-i18n'));
+            }
+
+            if (link.classList.contains('is-message-cta') === !open) return;
+
+            if (open) {
+                this.restoreCta(link);
+            } else {
+                link.classList.add('is-message-cta');
+                link.setAttribute('href', this.options.messageHref);
+                if (this.options.messageTarget) link.setAttribute('data-modal-target', this.options.messageTarget);
+                link.setAttribute('data-i18n', 'hours.leaveMessage');
+                link.textContent = t('hours.leaveMessage');
+            }
+        });
+    }
+
+    /**
+     * Turn a CTA back into a phone link
+     * @param {Element} link - CTA
+     */
+    restoreCta(link) {
+        link.classList.remove('is-message-cta');
+        link.setAttribute('href', link.getAttribute('data-call-href'));
+        link.removeAttribute('data-modal-target');
+        link.innerHTML = link.getAttribute('data-call-markup');
+
+        if (link.hasAttribute('data-call-i18n')) {
+            link.setAttribute('data-i18n', link.getAttribute('data-call-i18n'));
+            translatePage(link);
+        } else {
+            link.removeAttribute('data-i18n');
+        }
+    }
+
+    /**
+     * Update options
+     */
+    updateOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+
+        if (options.openingHours || options.source) {
+            this.state.rules = parseOpeningHours(this.options.openingHours || readOpeningHours(this.options.source));
+        }
+        if (options.timeZone) {
+            this.state.timeZone = options.timeZone;
+        }
+        if (options.country) {
+            this.state.country = options.country;
+        }
+
+        this.tick();
+    }
+
+    /**
+     * Destroy widget
+     */
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.tickTimer);
+        $$(this.options.ctaSelector).forEach(link => {
+            if (link.classList.contains('is-message-cta')) this.restoreCta(link);
+        });
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+    }
+}
+
+/**
+ * Initialize a store hours widget
+ */
+export function initStoreHours(element = '[data-component="store-hours"]', options = {}) {
+    return new AppleStoreHours(element, options);
+}
@@ -0,0 +1,604 @@
+// js/components/store-locator.js
+
+import { addEvent, $, $$, createElement } from '../core/dom.js';
+import { on, emit } from '../core/events.js';
+import { t, getIntlLocale } from '../core/i18n.js';
+import {
+    getIntlFormatter,
+    formatOpeningHours,
+    parseOpeningHours,
+    normalizePhone,
+    formatPhone,
+    toTelHref
+} from '../core/utils.js';
+import { getOpeningStatus, loadHolidays, getCountryOverrides } from './store-hours.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Postcode shapes per country (US ZIP or ZIP+4, Indonesian kode pos)
+ */
+const POSTCODE_PATTERNS = {
+    US: /^\d{5}(?:-\d{4})?$/,
+    ID: /^\d{5}$/
+};
+
+/**
+ * Branch lists by URL (fetched once per page)
+ */
+const branchLists = new Map();
+
+/**
+ * Load a branch list
+ * @param {string} src - JSON URL
+ * @returns {Promise<Object>} { defaultBranch, markets, branches, postcodes }
+ */
+export function loadBranches(src) {
+    if (!branchLists.has(src)) {
+        const request = fetch(src, { headers: { Accept: 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error(`Branch list request failed (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                // Allow a retry on the next mount
+                branchLists.delete(src);
+                throw error;
+            });
+
+        branchLists.set(src, request);
+    }
+
+    return branchLists.get(src);
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+export function getDistance(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.latitude - from.latitude);
+    const dLon = radians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Pick this site's market from the branch list
+ * @param {Object} data - Branch list
+ * @param {string} hostname - Current hostname
+ * @returns {Object} { country, defaultBranch }, empty when no market matches
+ */
+export function getBranchMarket(data, hostname = window.location.hostname) {
+    const markets = data.markets || [];
+    const market = markets.find(({ hosts = [] }) => hosts.includes(hostname)) ||
+        markets.find(({ hosts = [] }) => hosts.includes('*'));
+
+    return market || {};
+}
+
+/**
+ * Approximate a postcode's location from a prefix table
+ * US and Indonesian postcodes are both five digits, so a postcode is only
+ * looked up in one country; the longest matching prefix wins.
+ * @param {Array} postcodes - [{ country, prefix, geo: [latitude, longitude] }]
+ * @param {string} postcode - Typed postcode
+ * @param {string} country - Country the postcode belongs to
+ * @returns {Object|null} { latitude, longitude, country }
+ */
+export function locatePostcode(postcodes, postcode, country) {
+    const digits = String(postcode || '').replace(/\s+/g, '');
+    const pattern = POSTCODE_PATTERNS[country];
+    if (!digits || !pattern || !pattern.test(digits)) return null;
+
+    const match = postcodes
+        .filter(entry => entry.country === country && digits.startsWith(entry.prefix))
+        .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+    return match ? { latitude: match.geo[0], longitude: match.geo[1], country: match.country } : null;
+}
+
+/**
+ * Rewrite the LocalBusiness JSON-LD for a branch
+ * @param {Object} branch - Branch
+ * @param {string} selector - JSON-LD script selector
+ */
+export function applyBranchToJsonLd(branch, selector = 'script[type="application/ld+json"]') {
+    for (const script of $$(selector)) {
+        let data;
+        try {
+            data = JSON.parse(script.textContent);
+        } catch (error) {
+            continue;
+        }
+
+        if (data['@type'] !== 'LocalBusiness') continue;
+
+        Object.assign(data, {
+            '@id': `${branch.url}/#${branch.id}`,
+            name: branch.name,
+            brand: { '@type': 'Brand', name: branch.brand },
+            url: branch.url,
+            email: branch.email,
+            telephone: normalizePhone(branch.telephone) || branch.telephone,
+            address: { '@type': 'PostalAddress', ...branch.address },
+            geo: { '@type': 'GeoCoordinates', latitude: branch.geo.latitude, longitude: branch.geo.longitude },
+            openingHours: branch.openingHours
+        });
+
+        if (data.serviceArea) {
+            data.serviceArea = { ...data.serviceArea, name: branch.address.addressLocality };
+        }
+
+        script.textContent = JSON.stringify(data, null, 4);
+        return;
+    }
+}
+
+/**
+ * Apple-style Store Locator Component
+ * Branches from a JSON list, nearest first by geolocation or a typed
+ * postcode; no map service involved. The chosen branch is remembered and
+ * drives the page's phone links and LocalBusiness JSON-LD.
+ */
+export class AppleStoreLocator {
+    constructor(element, options = {}) {
+        this.element = typeof element === 'string' ? $(element) : element;
+        if (!this.element) {
+            console.warn(`Store locator not found: ${element}`);
+            return;
+        }
+
+        this.options = {
+            src: 'data/branches.json',
+            // Holiday overrides for the open/closed badges (null to skip)
+            holidays: 'data/holidays.json',
+            storageKey: 'techfix-pro-branch',
+            // 'kilometer' or 'mile'; miles for en-US otherwise
+            unit: null,
+            directionsUrl: 'https://www.google.com/maps/dir/?api=1&destination={latitude},{longitude}',
+            geolocationTimeout: 10000,
+            jsonLd: 'script[type="application/ld+json"]',
+            phoneSelector: 'a[href^="tel:"], [data-call-href]',
+            ...options
+        };
+
+        this.state = {
+            branches: [],
+            postcodes: [],
+            overrides: [],
+            // Site market's country, for postcodes before a branch is picked
+            country: null,
+            origin: null,
+            selected: null
+        };
+
+        this.elements = {
+            form: $('[data-locator-form]', this.element),
+            postcode: $('[name="postcode"]', this.element),
+            locate: $('[data-locator-locate]', this.element),
+            status: $('[data-locator-status]', this.element),
+            list: $('[data-locator-list]', this.element)
+        };
+
+        this.cleanupFunctions = [];
+        this.tickTimer = null;
+        this.destroyed = false;
+
+        this.init();
+    }
+
+    /**
+     * Initialize locator
+     */
+    async init() {
+        let data;
+
+        // Badges fall back to the weekly hours without the holiday table
+        const holidays = this.options.holidays
+            ? loadHolidays(this.options.holidays).catch(error => {
+                console.warn('🍎 Holiday overrides unavailable:', error);
+                return {};
+            })
+            : Promise.resolve({});
+
+        try {
+            data = await loadBranches(this.options.src);
+        } catch (error) {
+            console.error('🍎 Branch list unavailable:', error);
+            this.setStatus(t('locator.unavailable'));
+            return;
+        }
+
+        this.state.overrides = (await holidays).overrides || [];
+        if (this.destroyed) return;
+
+        this.state.branches = data.branches || [];
+        this.state.postcodes = data.postcodes || [];
+        const market = getBranchMarket(data);
+        this.state.country = market.country || null;
+
+        this.setupEventListeners();
+
+        const saved = this.getSavedBranch();
+        const initial = this.getBranch(saved) || this.getBranch(market.defaultBranch) ||
+            this.getBranch(data.defaultBranch) || this.state.branches[0];
+        if (initial) {
+            this.select(initial.id, { persist: false });
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const { form, locate, list } = this.elements;
+
+        if (form) {
+            this.cleanupFunctions.push(addEvent(form, 'submit', (e) => {
+                e.preventDefault();
+                this.searchPostcode(this.elements.postcode ? this.elements.postcode.value : '');
+            }));
+        }
+
+        if (locate) {
+            this.cleanupFunctions.push(addEvent(locate, 'click', () => this.locate()));
+        }
+
+        if (list) {
+            this.cleanupFunctions.push(addEvent(list, 'click', (e) => {
+                const button = e.target.closest('[data-branch-select]');
+                if (button) this.select(button.getAttribute('data-branch-select'));
+            }));
+        }
+
+        this.cleanupFunctions.push(
+            on('i18n:change', () => this.render(), { owner: this }),
+            addEvent(document, 'visibilitychange', () => {
+                if (!document.hidden) this.tick();
+            })
+        );
+
+        this.tick();
+    }
+
+    /**
+     * Refresh the open/closed badges, then again at the start of the next minute
+     */
+    tick() {
+        clearTimeout(this.tickTimer);
+        this.updateStatuses();
+        this.tickTimer = setTimeout(() => this.tick(), 60000 - (Date.now() % 60000) + 50);
+    }
+
+    /**
+     * Whether a branch is open now, holidays included
+     * @param {Object} branch - Branch
+     * @returns {Object} Opening status
+     */
+    getBranchStatus(branch) {
+        const overrides = getCountryOverrides(this.state.overrides, branch.address.addressCountry);
+        return getOpeningStatus(parseOpeningHours(branch.openingHours), overrides, { timeZone: branch.timeZone });
+    }
+
+    /**
+     * Update the badges in place (re-rendering the list would drop focus)
+     */
+    updateStatuses() {
+        if (!this.elements.list) return;
+
+        $$('[data-branch-status]', this.elements.list).forEach(badge => {
+            const branch = this.getBranch(badge.getAttribute('data-branch-status'));
+            if (!branch) return;
+
+            const { open } = this.getBranchStatus(branch);
+            badge.className = `locator-branch-status ${open ? 'is-open' : 'is-closed'}`;
+            badge.textContent = t(open ? 'hours.open' : 'hours.closed');
+        });
+    }
+
+    /**
+     * Find a branch
+     * @param {string} id - Branch id
+     * @returns {Object|undefined} Branch
+     */
+    getBranch(id) {
+        return this.state.branches.find(branch => branch.id === id);
+    }
+
+    /**
+     * Saved branch id
+     * @returns {string|null} Branch id
+     */
+    getSavedBranch() {
+        try {
+            return localStorage.getItem(this.options.storageKey);
+        } catch (error) {
+            console.warn('Could not access localStorage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Show a status message
+     * @param {string} message - Message
+     */
+    setStatus(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+
+    /**
+     * Sort by the visitor's position
+     * @returns {Promise<boolean>} Position found
+     */
+    async locate() {
+        if (!('geolocation' in navigator)) {
+            this.setStatus(t('locator.geoUnsupported'));
+            return false;
+        }
+
+        const { locate } = this.elements;
+        if (locate) locate.disabled = true;
+        this.element.setAttribute('aria-busy', 'true');
+        this.setStatus(t('locator.locating'));
+
+        try {
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, {
+                    enableHighAccuracy: false,
+                    timeout: this.options.geolocationTimeout,
+                    maximumAge: 10 * 60 * 1000
+                });
+            });
+
+            this.state.origin = {
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                source: 'geolocation'
+            };
+            this.render();
+            this.setStatus(t('locator.sortedByLocation'));
+            return true;
+        } catch (error) {
+            // 1 = PERMISSION_DENIED
+            this.setStatus(t(error && error.code === 1 ? 'locator.geoDenied' : 'locator.geoFailed'));
+            return false;
+        } finally {
+            if (locate) locate.disabled = false;
+            this.element.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Sort by a typed postcode
+     * @param {string} postcode - Postcode
+     * @returns {boolean} Postcode recognised
+     */
+    searchPostcode(postcode) {
+        const value = String(postcode || '').trim();
+        if (!value) {
+            this.setStatus(t('locator.postcodeRequired'));
+            return false;
+        }
+
+        // Postcodes are read in the chosen branch's country, else the site's
+        const selected = this.getBranch(this.state.selected);
+        const country = selected ? selected.address.addressCountry : this.state.country;
+        const origin = locatePostcode(this.state.postcodes, value, country);
+
+        if (!origin) {
+            this.setStatus(t('locator.postcodeUnknown', { postcode: value }));
+            return false;
+        }
+
+        this.state.origin = { ...origin, source: 'postcode' };
+        this.render();
+        this.setStatus(t('locator.sortedByPostcode', { postcode: value }));
+        return true;
+    }
+
+    /**
+     * Branches with their distance, nearest first once an origin is known
+     * @returns {Array} [{ branch, distance }]
+     */
+    getSortedBranches() {
+        const { origin } = this.state;
+        const entries = this.state.branches.map(branch => ({
+            branch,
+            distance: origin ? getDistance(origin, branch.geo) : null
+        }));
+
+        return origin ? entries.sort((a, b) => a.distance - b.distance) : entries;
+    }
+
+    /**
+     * Format a distance in the locale's unit
+     * @param {number} km - Distance in km
+     * @returns {string} Distance, e.g. '3.2 mi'
+     */
+    formatDistance(km) {
+        const locale = getIntlLocale();
+        const unit = this.options.unit || (locale === 'en-US' ? 'mile' : 'kilometer');
+        const value = unit === 'mile' ? km * 0.621371 : km;
+
+        return getIntlFormatter('NumberFormat', locale, {
+            style: 'unit',
+            unit,
+            unitDisplay: 'short',
+            maximumFractionDigits: value < 10 ? 1 : 0
+        }).format(value);
+    }
+
+    /**
+     * Display form of a branch's phone number
+     * @param {Object} branch - Branch
+     * @returns {string} Phone number
+     */
+    formatBranchPhone(branch) {
+        return branch.displayPhone || formatPhone(branch.telephone, { country: branch.address.addressCountry, style: 'national' });
+    }
+
+    /**
+     * Render one branch
+     * @param {Object} branch - Branch
+     * @param {number|null} distance - Distance in km
+     * @returns {Element} List item
+     */
+    renderBranch(branch, distance) {
+        const { address, geo } = branch;
+        const isSelected = branch.id === this.state.selected;
+        const status = this.getBranchStatus(branch);
+        const directions = this.options.directionsUrl
+            .replace('{latitude}', geo.latitude)
+            .replace('{longitude}', geo.longitude);
+
+        const heading = createElement('div', { className: 'locator-branch-heading' },
+            createElement('h3', { className: 'locator-branch-name' }, branch.name),
+            createElement('span', {
+                className: `locator-branch-status ${status.open ? 'is-open' : 'is-closed'}`,
+                'data-branch-status': branch.id
+            },
+                t(status.open ? 'hours.open' : 'hours.closed'))
+        );
+
+        if (distance !== null) {
+            heading.appendChild(createElement('span', { className: 'locator-branch-distance' },
+                t('locator.distance', { distance: this.formatDistance(distance) })));
+        }
+
+        return createElement('li', { className: `locator-branch${isSelected ? ' is-selected' : ''}` },
+            heading,
+            createElement('p', { className: 'locator-branch-brand' }, branch.brand),
+            createElement('address', { className: 'locator-branch-address' },
+                [address.streetAddress, address.addressLocality, `${address.addressRegion} ${address.postalCode}`].filter(Boolean).join(', ')),
+            createElement('p', { className: 'locator-branch-hours' },
+                formatOpeningHours(branch.openingHours, { locale: getIntlLocale() }).join(' · ')),
+            createElement('div', { className: 'locator-branch-actions' },
+                createElement('a', { href: toTelHref(branch.telephone), className: 'locator-branch-phone' }, this.formatBranchPhone(branch)),
+                createElement('a', {
+                    href: directions,
+                    className: 'locator-branch-directions',
+                    target: '_blank',
+                    rel: 'noopener'
+                }, t('locator.directions')),
+                createElement('button', {
+                    type: 'button',
+                    className: `btn ${isSelected ? 'btn-secondary' : 'btn-primary'}`,
+                    'data-branch-select': branch.id,
+                    'aria-pressed': String(isSelected)
+                }, t(isSelected ? 'locator.selected' : 'locator.choose'))
+            )
+        );
+    }
+
+    /**
+     * Render the branch list
+     */
+    render() {
+        const { list } = this.elements;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.getSortedBranches().forEach(({ branch, distance }) => {
+            list.appendChild(this.renderBranch(branch, distance));
+        });
+    }
+
+    /**
+     * Choose a branch
+     * @param {string} id - Branch id
+     * @param {Object} options - { persist: remember the choice (default true) }
+     * @returns {Object|null} Branch
+     */
+    select(id, options = {}) {
+        const { persist = true } = options;
+        const branch = this.getBranch(id);
+        if (!branch) {
+            console.warn(`🍎 Unknown branch: ${id}`);
+            return null;
+        }
+
+        this.state.selected = branch.id;
+
+        if (persist) {
+            try {
+                localStorage.setItem(this.options.storageKey, branch.id);
+            } catch (error) {
+                console.warn('Could not save to localStorage:', error);
+            }
+        }
+
+        this.applyBranch(branch);
+        this.render();
+        emit('branch:change', { branch });
+
+        return branch;
+    }
+
+    /**
+     * Point the page's phone links, phone numbers and JSON-LD at a branch
+     * @param {Object} branch - Branch
+     */
+    applyBranch(branch) {
+        const href = toTelHref(branch.telephone);
+        const phone = this.formatBranchPhone(branch);
+
+        $$(this.options.phoneSelector).forEach(link => {
+            if (this.elements.list && this.elements.list.contains(link)) return;
+
+            // Call CTAs parked as "Leave a message" keep their number aside
+            if (link.hasAttribute('data-call-href')) link.setAttribute('data-call-href', href);
+            if ((link.getAttribute('href') || '').startsWith('tel:')) link.setAttribute('href', href);
+        });
+
+        // data-branch-phone="📞 {phone}"
+        $$('[data-branch-phone]').forEach(element => {
+            const text = (element.getAttribute('data-branch-phone') || '{phone}').replace('{phone}', phone);
+
+            if (element.hasAttribute('data-call-markup')) {
+                const holder = document.createElement('span');
+                holder.textContent = text;
+                element.setAttribute('data-call-markup', holder.innerHTML);
+            }
+            if (!element.classList.contains('is-message-cta')) {
+                element.textContent = text;
+            }
+        });
+
+        applyBranchToJsonLd(branch, this.options.jsonLd);
+    }
+
+    /**
+     * Update options
+     */
+    updateOptions(options = {}) {
+        this.options = { ...this.options, ...options };
+        this.render();
+    }
+
+    /**
+     * Destroy locator
+     */
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.tickTimer);
+        this.cleanupFunctions.forEach(cleanup => cleanup());
+        this.cleanupFunctions = [];
+    }
+}
+
+/**
+ * Initialize a store locator
+ */
+export function initStoreLocator(element = '[data-component="store-locator"]', options = {}) {
+    return new AppleStoreLocator(element, options);
+}
@@ -1,6 +1,6 @@
 // js/core/animation.js
 
-import { APPLE_EASING, easings, raf, cancelRaf, clamp, lerp } from './utils.js';
+import { APPLE_EASING, easings, raf, cancelRaf, clamp, lerp, generateId, debounce } from './utils.js';
 import { prefersReducedMotion } from './device.js';
 
 /**
@@ -10,27 +10,222 @@ import { prefersReducedMotion } from './device.js';
 
 /**
  * Animation store for managing active animations
+ * Maps animation IDs to their handles; entries are removed once they settle
  */
 const activeAnimations = new Map();
 
+/**
+ * Running animation handles per element (used for replacement)
+ */
+const elementAnimations = new WeakMap();
+
 /**
  * Default animation options
  */
 const defaultOptions = {
     duration: 300,
     easing: 'apple',
-    fill: 'forwards'
+    fill: 'forwards',
+    delay: 0,
+    replace: false
 };
 
+/**
+ * Create and register a controllable animation handle
+ * Handles are thenable, so existing `await` / `.then()` callers keep working.
+ * `finished` resolves with `{ id, cancelled }` once the animation settles.
+ * @param {Element|null} element - Animated element (null for scroll/groups)
+ * @param {Object} controls - cancel/finish/pause/resume implementations
+ * @param {Object} options - Handle options (type, onComplete)
+ * @returns {Object} Handle plus settle/fail functions
+ */
+function registerAnimation(element, controls, options = {}) {
+    const { type = 'animation', onComplete = null } = options;
+    const id = generateId(type);
+
+    let settled = false;
+    let paused = false;
+    let resolveFinished = null;
+    let rejectFinished = null;
+
+    const finished = new Promise((resolve, reject) => {
+        resolveFinished = resolve;
+        rejectFinished = reject;
+    });
+
+    const unregister = () => {
+        activeAnimations.delete(id);
+
+        if (element) {
+            const running = elementAnimations.get(element);
+            if (running) {
+                running.delete(handle);
+                if (running.size === 0) elementAnimations.delete(element);
+            }
+        }
+    };
+
+    const settle = (cancelled = false) => {
+        if (settled) return;
+        settled = true;
+
+        unregister();
+
+        if (!cancelled && typeof onComplete === 'function') {
+            try {
+                onComplete();
+            } catch (error) {
+                console.error('🍎 Animation onComplete failed:', error);
+            }
+        }
+
+        resolveFinished({ id, cancelled });
+    };
+
+    // Work tied to the animation failed (e.g. a page transition callback)
+    const fail = (error) => {
+        if (settled) return;
+        settled = true;
+
+        unregister();
+        rejectFinished(error);
+    };
+
+    const handle = {
+        id,
+        element,
+        finished,
+
+        get playState() {
+            if (settled) return 'finished';
+            return paused ? 'paused' : 'running';
+        },
+
+        cancel() {
+            if (!settled) {
+                controls.cancel();
+                settle(true);
+            }
+            return handle;
+        },
+
+        finish() {
+            if (!settled) {
+                controls.finish();
+                settle(false);
+            }
+            return handle;
+        },
+
+        pause() {
+            if (!settled && !paused) {
+                paused = true;
+                controls.pause();
+            }
+            return handle;
+        },
+
+        resume() {
+            if (!settled && paused) {
+                paused = false;
+                controls.resume();
+            }
+            return handle;
+        },
+
+        then(onFulfilled, onRejected) {
+            return finished.then(onFulfilled, onRejected);
+        },
+
+        catch(onRejected) {
+            return finished.catch(onRejected);
+        }
+    };
+
+    activeAnimations.set(id, handle);
+
+    if (element) {
+        if (!elementAnimations.has(element)) {
+            elementAnimations.set(element, new Set());
+        }
+        elementAnimations.get(element).add(handle);
+    }
+
+    return { handle, settle, fail };
+}
+
+/**
+ * Create a handle that has already settled (reduced motion, missing element)
+ * @param {Object} options - Handle options (type, onComplete)
+ * @returns {Object} Settled animation handle
+ */
+function createSettledHandle(options = {}) {
+    const noop = () => {};
+    const { handle, settle } = registerAnimation(null, {
+        cancel: noop,
+        finish: noop,
+        pause: noop,
+        resume: noop
+    }, options);
+
+    settle(false);
+    return handle;
+}
+
+/**
+ * Combine several handles into one group handle
+ * @param {Array} handles - Child animation handles
+ * @param {Object} options - Handle options (type, onComplete)
+ * @returns {Object} Group animation handle
+ */
+function createGroupHandle(handles, options = {}) {
+    const { handle, settle } = registerAnimation(null, {
+        cancel: () => handles.forEach(child => child.cancel()),
+        finish: () => handles.forEach(child => child.finish()),
+        pause: () => handles.forEach(child => child.pause()),
+        resume: () => handles.forEach(child => child.resume())
+    }, { type: 'group', ...options });
+
+    Promise.all(handles.map(child => child.finished))
+        .then(results => settle(results.some(result => result.cancelled)))
+        .catch(() => settle(true));
+
+    return handle;
+}
+
+/**
+ * Cancel every animation currently running on an element
+ * Current styles are committed first so the element doesn't jump
+ * @param {Element} element - Target element
+ */
+export function cancelElementAnimations(element) {
+    const running = element && elementAnimations.get(element);
+    if (!running) return;
+
+    Array.from(running).forEach(handle => handle.cancel());
+}
+
+/**
+ * Get active animation handles, optionally filtered by element
+ * @param {Element} element - Optional element filter
+ * @returns {Array} Animation handles
+ */
+export function getActiveAnimations(element) {
+    if (element) {
+        return Array.from(elementAnimations.get(element) || []);
+    }
+    return Array.from(activeAnimations.values());
+}
+
 /**
  * Smooth scroll to element with Apple-style easing
  * @param {Element|string} target - Target element or selector
  * @param {Object} options - Scroll options
- * @returns {Promise} Promise that resolves when scroll completes
+ * @returns {Object} Animation handle
  */
 export function scrollToElement(target, options = {}) {
     const element = typeof target === 'string' ? document.querySelector(target) : target;
-    if (!element) return Promise.reject(new Error('Target element not found'));
+    if (!element) return createSettledHandle({ type: 'scroll' });
 
     const {
         duration = 600,
@@ -46,7 +241,7 @@ export function scrollToElement(target, options = {}) {
             top: targetPosition,
             behavior: 'smooth'
         });
-        return Promise.resolve();
+        return createSettledHandle({ type: 'scroll' });
     }
 
     return animateScroll(element.offsetTop + offset, duration, easing);
@@ -57,74 +252,84 @@ export function scrollToElement(target, options = {}) {
  * @param {number} targetPosition - Target scroll position
  * @param {number} duration - Animation duration
  * @param {string} easing - Easing function name
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Animation handle
  */
 export function animateScroll(targetPosition, duration = 600, easing = 'apple') {
-    return new Promise((resolve) => {
-        const startPosition = window.pageYOffset;
-        const distance = targetPosition - startPosition;
-        let startTime = null;
-        let animationId = null;
+    const startPosition = window.pageYOffset;
+    const distance = targetPosition - startPosition;
+    let startTime = null;
+    let elapsedBeforePause = 0;
+    let animationId = null;
+
+    const { handle, settle } = registerAnimation(null, {
+        cancel: () => cancelRaf(animationId),
+        finish: () => {
+            cancelRaf(animationId);
+            window.scrollTo(0, targetPosition);
+        },
+        pause: () => {
+            cancelRaf(animationId);
+            if (startTime !== null) {
+                elapsedBeforePause += performance.now() - startTime;
+            }
+            startTime = null;
+        },
+        resume: () => {
+            animationId = raf(animate);
+        }
+    }, { type: 'scroll' });
 
-        function animate(currentTime) {
-            if (startTime === null) startTime = currentTime;
-            const elapsed = currentTime - startTime;
-            const progress = clamp(elapsed / duration, 0, 1);
+    function animate(currentTime) {
+        if (startTime === null) startTime = currentTime;
+        const elapsed = elapsedBeforePause + currentTime - startTime;
+        const progress = clamp(elapsed / duration, 0, 1);
 
-            const easedProgress = easings[easing] ? easings[easing](progress) : progress;
-            const currentPosition = startPosition + (distance * easedProgress);
+        const easedProgress = easings[easing] ? easings[easing](progress) : progress;
+        const currentPosition = startPosition + (distance * easedProgress);
 
-            window.scrollTo(0, currentPosition);
+        window.scrollTo(0, currentPosition);
 
-            if (progress < 1) {
-                animationId = raf(animate);
-            } else {
-                resolve();
-            }
+        if (progress < 1) {
+            animationId = raf(animate);
+        } else {
+            settle(false);
         }
+    }
 
-        animationId = raf(animate);
+    animationId = raf(animate);
 
-        // Store animation for potential cancellation
-        const animationKey = `scroll-${Date.now()}`;
-        activeAnimations.set(animationKey, {
-            cancel: () => {
-                if (animationId) {
-                    cancelRaf(animationId);
-                    resolve();
-                }
-            }
-        });
-    });
+    return handle;
 }
 
 /**
  * Animate element properties with Web Animations API fallback
  * @param {Element} element - Target element
  * @param {Object} keyframes - Animation keyframes
- * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @param {Object} options - Animation options (duration, easing, fill, delay,
+ *                           replace, onComplete)
+ * @returns {Object} Animation handle
  */
 export function animateElement(element, keyframes, options = {}) {
-    if (!element) return Promise.reject(new Error('Element is required'));
+    if (!element) return createSettledHandle();
 
     const config = { ...defaultOptions, ...options };
 
+    // Stop whatever is already running on this element
+    if (config.replace) {
+        cancelElementAnimations(element);
+    }
+
     // Check for reduced motion preference
     if (prefersReducedMotion()) {
         // Apply final state immediately
         const finalFrame = Array.isArray(keyframes) ? keyframes[keyframes.length - 1] : keyframes;
         Object.assign(element.style, finalFrame);
-        return Promise.resolve();
+        return createSettledHandle({ onComplete: config.onComplete });
     }
 
     // Use Web Animations API if available
     if (element.animate && typeof element.animate === 'function') {
-        return element.animate(keyframes, {
-            duration: config.duration,
-            easing: config.easing === 'apple' ? APPLE_EASING : config.easing,
-            fill: config.fill
-        }).finished;
+        return webAnimate(element, keyframes, config);
     }
 
     // Fallback to manual animation
@@ -132,70 +337,119 @@ export function animateElement(element, keyframes, options = {}) {
 }
 
 /**
- * Manual animation fallback
+ * Web Animations API driver
  * @param {Element} element - Target element
  * @param {Object} keyframes - Animation keyframes
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Animation handle
  */
-function manualAnimate(element, keyframes, options) {
-    return new Promise((resolve, reject) => {
-        if (!element) {
-            reject(new Error('Element is required'));
-            return;
-        }
+function webAnimate(element, keyframes, options) {
+    const animation = element.animate(keyframes, {
+        duration: options.duration,
+        delay: options.delay,
+        easing: options.easing === 'apple' ? APPLE_EASING : options.easing,
+        fill: options.fill
+    });
+
+    const { handle, settle } = registerAnimation(element, {
+        cancel: () => {
+            // Keep the in-flight visual state instead of snapping back
+            if (typeof animation.commitStyles === 'function') {
+                try {
+                    animation.commitStyles();
+                } catch (error) {
+                    // Element may no longer be rendered
+                }
+            }
+            animation.cancel();
+        },
+        finish: () => animation.finish(),
+        pause: () => animation.pause(),
+        resume: () => animation.play()
+    }, { type: 'element', onComplete: options.onComplete });
+
+    handle.animation = animation;
 
-        const { duration, easing } = options;
-        const startTime = performance.now();
-        let animationId = null;
+    animation.finished
+        .then(() => settle(false))
+        .catch(() => settle(true));
+
+    return handle;
+}
 
-        // Get initial styles
-        const initialStyles = {};
-        const targetStyles = Array.isArray(keyframes) ? keyframes[keyframes.length - 1] : keyframes;
+/**
+ * Manual animation fallback
+ * @param {Element} element - Target element
+ * @param {Object} keyframes - Animation keyframes
+ * @param {Object} options - Animation options
+ * @returns {Object} Animation handle
+ */
+function manualAnimate(element, keyframes, options) {
+    const { duration, easing, delay = 0 } = options;
+    let startTime = null;
+    let elapsedBeforePause = 0;
+    let animationId = null;
+
+    // Start from the first keyframe, or the computed style for single frames
+    const frames = Array.isArray(keyframes) ? keyframes : [keyframes];
+    const targetStyles = frames[frames.length - 1];
+    const initialStyles = {};
+
+    Object.keys(targetStyles).forEach(prop => {
+        initialStyles[prop] = frames.length > 1 && frames[0][prop] !== undefined
+            ? frames[0][prop]
+            : getComputedStyle(element)[prop] || `0${getUnit(targetStyles[prop])}`;
+    });
 
+    const applyProgress = (easedProgress) => {
         Object.keys(targetStyles).forEach(prop => {
-            initialStyles[prop] = parseFloat(getComputedStyle(element)[prop]) || 0;
+            element.style[prop] = interpolateValue(initialStyles[prop], targetStyles[prop], easedProgress);
         });
+    };
 
-        function animate(currentTime) {
-            const elapsed = currentTime - startTime;
-            const progress = clamp(elapsed / duration, 0, 1);
+    const { handle, settle } = registerAnimation(element, {
+        cancel: () => cancelRaf(animationId),
+        finish: () => {
+            cancelRaf(animationId);
+            applyProgress(1);
+        },
+        pause: () => {
+            cancelRaf(animationId);
+            if (startTime !== null) {
+                elapsedBeforePause += performance.now() - startTime;
+            }
+            startTime = null;
+        },
+        resume: () => {
+            animationId = raf(animate);
+        }
+    }, { type: 'element', onComplete: options.onComplete });
 
-            const easedProgress = easings[easing] ? easings[easing](progress) : progress;
+    function animate(currentTime) {
+        if (startTime === null) startTime = currentTime;
+        const elapsed = elapsedBeforePause + currentTime - startTime - delay;
 
-            // Apply interpolated styles
-            Object.keys(targetStyles).forEach(prop => {
-                const startValue = initialStyles[prop];
-                const endValue = parseFloat(targetStyles[prop]);
-                const currentValue = lerp(startValue, endValue, easedProgress);
+        // Still waiting for the delay to pass
+        if (elapsed < 0) {
+            animationId = raf(animate);
+            return;
+        }
 
-                if (prop.includes('transform')) {
-                    element.style[prop] = targetStyles[prop];
-                } else {
-                    element.style[prop] = `${currentValue}${getUnit(targetStyles[prop])}`;
-                }
-            });
+        const progress = duration > 0 ? clamp(elapsed / duration, 0, 1) : 1;
+        const easedProgress = easings[easing] ? easings[easing](progress) : progress;
 
-            if (progress < 1) {
-                animationId = raf(animate);
-            } else {
-                resolve();
-            }
+        applyProgress(easedProgress);
+
+        if (progress < 1) {
+            animationId = raf(animate);
+        } else {
+            settle(false);
         }
+    }
 
-        animationId = raf(animate);
+    animationId = raf(animate);
 
-        // Store animation for potential cancellation
-        const animationKey = `element-${Date.now()}`;
-        activeAnimations.set(animationKey, {
-            cancel: () => {
-                if (animationId) {
-                    cancelRaf(animationId);
-                    resolve();
-                }
-            }
-        });
-    });
+    return handle;
 }
 
 /**
@@ -208,14 +462,29 @@ function getUnit(value) {
     return match ? match[0] : '';
 }
 
+/**
+ * Compose a helper's cleanup with a caller-supplied onComplete
+ * @param {Function} cleanup - Helper cleanup
+ * @param {Object} options - Caller options
+ * @returns {Function} Combined onComplete callback
+ */
+function withCleanup(cleanup, options) {
+    return () => {
+        cleanup();
+        if (typeof options.onComplete === 'function') {
+            options.onComplete();
+        }
+    };
+}
+
 /**
  * Fade in element
  * @param {Element} element - Target element
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Animation handle
  */
 export function fadeIn(element, options = {}) {
-    if (!element) return Promise.resolve();
+    if (!element) return createSettledHandle();
 
     element.style.opacity = '0';
     element.style.display = element.style.display || 'block';
@@ -230,18 +499,22 @@ export function fadeIn(element, options = {}) {
  * Fade out element
  * @param {Element} element - Target element
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Animation handle
  */
 export function fadeOut(element, options = {}) {
-    if (!element) return Promise.resolve();
+    if (!element) return createSettledHandle();
 
     return animateElement(element, [
         { opacity: 1 },
         { opacity: 0 }
-    ], { duration: 300, ...options }).then(() => {
-        if (options.hide !== false) {
-            element.style.display = 'none';
-        }
+    ], {
+        duration: 300,
+        ...options,
+        onComplete: withCleanup(() => {
+            if (options.hide !== false) {
+                element.style.display = 'none';
+            }
+        }, options)
     });
 }
 
@@ -249,10 +522,10 @@ export function fadeOut(element, options = {}) {
  * Slide down element (Apple-style)
  * @param {Element} element - Target element
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Animation handle
  */
 export function slideDown(element, options = {}) {
-    if (!element) return Promise.resolve();
+    if (!element) return createSettledHandle();
 
     const originalHeight = element.scrollHeight;
     element.style.height = '0px';
@@ -262,9 +535,14 @@ export function slideDown(element, options = {}) {
     return animateElement(element, [
         { height: '0px', opacity: 0 },
         { height: `${originalHeight}px`, opacity: 1 }
-    ], { duration: 400, easing: 'apple', ...options }).then(() => {
-        element.style.height = '';
-        element.style.overflow = '';
+    ], {
+        duration: 400,
+        easing: 'apple',
+        ...options,
+        onComplete: withCleanup(() => {
+            element.style.height = '';
+            element.style.overflow = '';
+        }, options)
     });
 }
 
@@ -272,10 +550,10 @@ export function slideDown(element, options = {}) {
  * Slide up element (Apple-style)
  * @param {Element} element - Target element
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Animation handle
  */
 export function slideUp(element, options = {}) {
-    if (!element) return Promise.resolve();
+    if (!element) return createSettledHandle();
 
     const originalHeight = element.scrollHeight;
     element.style.height = `${originalHeight}px`;
@@ -284,12 +562,17 @@ export function slideUp(element, options = {}) {
     return animateElement(element, [
         { height: `${originalHeight}px`, opacity: 1 },
         { height: '0px', opacity: 0 }
-    ], { duration: 400, easing: 'apple', ...options }).then(() => {
-        if (options.hide !== false) {
-            element.style.display = 'none';
-        }
-        element.style.height = '';
-        element.style.overflow = '';
+    ], {
+        duration: 400,
+        easing: 'apple',
+        ...options,
+        onComplete: withCleanup(() => {
+            if (options.hide !== false) {
+                element.style.display = 'none';
+            }
+            element.style.height = '';
+            element.style.overflow = '';
+        }, options)
     });
 }
 
@@ -298,10 +581,10 @@ export function slideUp(element, options = {}) {
  * @param {Element} element - Target element
  * @param {number} scale - Target scale
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Animation handle
  */
 export function scaleElement(element, scale = 1, options = {}) {
-    if (!element) return Promise.resolve();
+    if (!element) return createSettledHandle();
 
     return animateElement(element, [
         { transform: element.style.transform || 'scale(1)' },
@@ -314,27 +597,26 @@ export function scaleElement(element, scale = 1, options = {}) {
  * @param {NodeList|Array} elements - Elements to animate
  * @param {Object} keyframes - Animation keyframes
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when all animations complete
+ * @returns {Object} Group animation handle
  */
 export function staggerAnimation(elements, keyframes, options = {}) {
-    const { stagger = 100, ...animationOptions } = options;
+    const { stagger = 100, delay = 0, onComplete, ...animationOptions } = options;
 
-    const animations = Array.from(elements).map((element, index) => {
-        return new Promise(resolve => {
-            setTimeout(() => {
-                animateElement(element, keyframes, animationOptions).then(resolve);
-            }, index * stagger);
-        });
-    });
+    const handles = Array.from(elements)
+        .filter(element => element)
+        .map((element, index) => animateElement(element, keyframes, {
+            ...animationOptions,
+            delay: delay + index * stagger
+        }));
 
-    return Promise.all(animations);
+    return createGroupHandle(handles, { type: 'stagger', onComplete });
 }
 
 /**
  * Entrance animation for elements (Apple-style fade up)
  * @param {Element|NodeList} elements - Elements to animate
  * @param {Object} options - Animation options
- * @returns {Promise} Promise that resolves when animation completes
+ * @returns {Object} Group animation handle
  */
 export function entranceAnimation(elements, options = {}) {
     const elementList = elements.length ? Array.from(elements) : [elements];
@@ -357,153 +639,1780 @@ export function entranceAnimation(elements, options = {}) {
         duration: 600,
         easing: 'apple',
         stagger: 150,
-        ...options
-    }).then(() => {
-        // Clean up will-change
-        elementList.forEach(element => {
-            if (element) {
-                element.style.willChange = 'auto';
-            }
-        });
+        ...options,
+        onComplete: withCleanup(() => {
+            // Clean up will-change
+            elementList.forEach(element => {
+                if (element) {
+                    element.style.willChange = 'auto';
+                }
+            });
+        }, options)
     });
 }
 
 /**
- * Parallax animation controller
- * @param {Element} element - Element to animate
- * @param {Object} options - Parallax options
- * @returns {Function} Cleanup function
+ * Interpolate between two CSS values
+ * Numbers inside matching value templates (e.g. "translateY(40px)") are lerped
+ * @param {string|number} from - Start value
+ * @param {string|number} to - End value
+ * @param {number} progress - Progress (0-1)
+ * @returns {string|number} Interpolated value
  */
-export function createParallax(element, options = {}) {
-    if (!element || prefersReducedMotion()) {
-        return () => {};
+function interpolateValue(from, to, progress) {
+    if (typeof from === 'number' && typeof to === 'number') {
+        return lerp(from, to, progress);
     }
 
-    const {
-        speed = 0.5,
-        direction = 'vertical',
-        offset = 0
-    } = options;
+    const numberPattern = /-?\d*\.?\d+(?:e[-+]?\d+)?/gi;
+    const fromString = String(from);
+    const toString = String(to);
+    const fromNumbers = fromString.match(numberPattern) || [];
+    const toNumbers = toString.match(numberPattern) || [];
 
-    let ticking = false;
+    // Different value shapes can't be interpolated, so snap halfway
+    if (fromString.replace(numberPattern, '#') !== toString.replace(numberPattern, '#') ||
+        fromNumbers.length !== toNumbers.length) {
+        return progress < 0.5 ? from : to;
+    }
 
-    function updateParallax() {
-        const scrolled = window.pageYOffset;
-        const elementTop = element.offsetTop;
-        const elementHeight = element.offsetHeight;
-        const windowHeight = window.innerHeight;
+    let index = 0;
+    return toString.replace(numberPattern, () => {
+        const value = lerp(parseFloat(fromNumbers[index]), parseFloat(toNumbers[index]), progress);
+        index++;
+        return `${Math.round(value * 1000) / 1000}`;
+    });
+}
 
-        // Check if element is in view
-        if (scrolled + windowHeight > elementTop && scrolled < elementTop + elementHeight) {
-            const yPos = (scrolled - elementTop + offset) * speed;
+/**
+ * Apply keyframes to an element at a given progress without WAAPI
+ * Honours keyframe `offset`s; frames without one are spaced evenly
+ * @param {Element} element - Target element
+ * @param {Array|Object} keyframes - Animation keyframes
+ * @param {number} progress - Eased progress (0-1)
+ */
+function applyKeyframesAt(element, keyframes, progress) {
+    const frames = Array.isArray(keyframes) ? keyframes : [keyframes];
+    const lastFrame = frames[frames.length - 1];
+    const offsets = frames.map((frame, index) => {
+        if (typeof frame.offset === 'number') return frame.offset;
+        return frames.length > 1 ? index / (frames.length - 1) : 1;
+    });
 
-            if (direction === 'vertical') {
-                element.style.transform = `translate3d(0, ${yPos}px, 0)`;
-            } else {
-                element.style.transform = `translate3d(${yPos}px, 0, 0)`;
-            }
-        }
+    Object.keys(lastFrame).forEach(prop => {
+        if (prop === 'offset' || prop === 'easing' || prop === 'composite') return;
 
-        ticking = false;
-    }
+        // Find the pair of frames around the current progress
+        let fromIndex = 0;
+        for (let i = 0; i < frames.length; i++) {
+            if (frames[i][prop] !== undefined && offsets[i] <= progress) fromIndex = i;
+        }
 
-    function onScroll() {
-        if (!ticking) {
-            raf(updateParallax);
-            ticking = true;
+        let toIndex = frames.length - 1;
+        for (let i = frames.length - 1; i > fromIndex; i--) {
+            if (frames[i][prop] !== undefined && offsets[i] >= progress) toIndex = i;
         }
+
+        const from = frames[fromIndex][prop] !== undefined ? frames[fromIndex][prop] : lastFrame[prop];
+        const span = offsets[toIndex] - offsets[fromIndex];
+        const localProgress = span > 0 ? clamp((progress - offsets[fromIndex]) / span, 0, 1) : 1;
+
+        element.style[prop] = interpolateValue(from, frames[toIndex][prop], localProgress);
+    });
+}
+
+/**
+ * Resolve a timeline position into an absolute start time
+ * Supports numbers, "+=200", "-=200", "<" (previous start), ">" (previous end),
+ * label names and label offsets like "intro+=100"
+ * @param {number|string} position - Position descriptor
+ * @param {Object} context - Timeline duration, labels and previous step
+ * @returns {number} Absolute start time in milliseconds
+ */
+function resolvePosition(position, { duration, labels, previous }) {
+    if (position === undefined || position === null) return duration;
+    if (typeof position === 'number') return Math.max(0, position);
+
+    const previousStart = previous ? previous.start : 0;
+    const previousEnd = previous ? previous.start + previous.duration : 0;
+
+    if (position === '<') return previousStart;
+    if (position === '>') return previousEnd;
+
+    const match = String(position).match(/^([^+-]*)([+-]=)(\d*\.?\d+)$/);
+    if (match) {
+        const [, label, operator, amount] = match;
+        let base = duration;
+        if (label === '<') base = previousStart;
+        else if (label === '>') base = previousEnd;
+        else if (label) base = labels.has(label) ? labels.get(label) : duration;
+
+        const offset = parseFloat(amount) * (operator === '-=' ? -1 : 1);
+        return Math.max(0, base + offset);
     }
 
-    window.addEventListener('scroll', onScroll, { passive: true });
+    if (labels.has(position)) return labels.get(position);
 
-    return () => {
-        window.removeEventListener('scroll', onScroll);
-        if (element) {
-            element.style.transform = '';
-        }
-    };
+    console.warn(`Unknown timeline position: ${position}`);
+    return duration;
 }
 
 /**
- * Apple-style page transition
- * @param {Function} callback - Function to execute during transition
- * @param {Object} options - Transition options
- * @returns {Promise} Promise that resolves when transition completes
+ * Create an animation timeline (Apple-style sequencing)
+ * Steps can be chained, overlapped with offsets ("-=200"), labelled, and the
+ * whole timeline can be paused, resumed, reversed, seeked and scrubbed.
+ * Like other handles, `finished` resolves with `{ id, cancelled }`.
+ * @param {Object} options - Timeline options
+ * @returns {Object} Timeline controller
  */
-export function pageTransition(callback, options = {}) {
+export function createTimeline(options = {}) {
     const {
-        duration = 500,
-        overlay = true
+        defaults = {},
+        autoplay = false,
+        onUpdate = null,
+        onComplete = null
     } = options;
 
-    const transitionElement = document.createElement('div');
-    transitionElement.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: ${overlay ? 'rgba(0, 0, 0, 0.8)' : 'transparent'};
-        z-index: 9999;
-        opacity: 0;
-        pointer-events: none;
-    `;
+    const timelineId = generateId('timeline');
+    const steps = [];
+    const labels = new Map();
+
+    let currentTime = 0;
+    let direction = 1;
+    let playing = false;
+    let frameId = null;
+    let lastTick = null;
+    let resolveFinished = null;
+    let settled = false;
+    let finished = createFinishedPromise();
+
+    function createFinishedPromise() {
+        settled = false;
+        return new Promise(resolve => {
+            resolveFinished = resolve;
+        });
+    }
 
-    document.body.appendChild(transitionElement);
+    function settle(cancelled) {
+        if (settled) return;
+        settled = true;
+        resolveFinished({ id: timelineId, cancelled });
+    }
 
-    return fadeIn(transitionElement, { duration: duration / 2 })
-        .then(() => {
-            if (typeof callback === 'function') {
-                return callback();
-            }
-        })
-        .then(() => fadeOut(transitionElement, { duration: duration / 2 }))
-        .then(() => {
-            if (transitionElement.parentNode) {
-                transitionElement.parentNode.removeChild(transitionElement);
+    function getDuration() {
+        return steps.reduce((max, step) => Math.max(max, step.start + step.duration), 0);
+    }
+
+    /**
+     * Render a single step at the given timeline time
+     */
+    function renderStep(step, time) {
+        if (step.paused) return;
+
+        const localTime = clamp(time - step.start, 0, step.duration);
+
+        if (step.type === 'call') {
+            const reached = time >= step.start;
+            if (reached && !step.fired && direction > 0) {
+                step.fired = true;
+                step.callback();
+            } else if (!reached) {
+                step.fired = false;
             }
-        });
-}
+            return;
+        }
 
-/**
- * Cancel all active animations
- */
-export function cancelAllAnimations() {
-    activeAnimations.forEach(animation => {
-        if (animation.cancel) {
-            animation.cancel();
+        if (step.animation) {
+            step.animation.currentTime = localTime;
+        } else {
+            const progress = step.duration > 0 ? localTime / step.duration : 1;
+            const easingFn = easings[step.easing] || easings.apple;
+            applyKeyframesAt(step.element, step.keyframes, easingFn(progress));
         }
-    });
-    activeAnimations.clear();
-}
 
-/**
- * Cancel specific animation
- * @param {string} animationId - Animation ID to cancel
- */
-export function cancelAnimation(animationId) {
-    const animation = activeAnimations.get(animationId);
-    if (animation && animation.cancel) {
-        animation.cancel();
-        activeAnimations.delete(animationId);
+        if (localTime >= step.duration && !step.completed) {
+            step.completed = true;
+            step.resolve();
+        }
     }
-}
 
-/**
- * Initialize animation system
- */
-export function initAnimationSystem() {
-    // Clean up animations on page unload
-    window.addEventListener('beforeunload', cancelAllAnimations);
+    function render(time) {
+        currentTime = clamp(time, 0, getDuration());
+        steps.forEach(step => renderStep(step, currentTime));
 
-    // Pause animations when page is hidden
-    document.addEventListener('visibilitychange', () => {
-        if (document.hidden) {
-            document.body.classList.add('page-hidden');
-        } else {
-            document.body.classList.remove('page-hidden');
+        if (typeof onUpdate === 'function') {
+            const duration = getDuration();
+            onUpdate(duration > 0 ? currentTime / duration : 1, currentTime);
         }
-    });
+    }
+
+    function complete() {
+        stopClock();
+        activeAnimations.delete(timelineId);
+
+        if (typeof onComplete === 'function') {
+            onComplete(timeline);
+        }
+
+        settle(false);
+    }
+
+    function tick(now) {
+        if (!playing) return;
+
+        if (lastTick === null) lastTick = now;
+        const delta = now - lastTick;
+        lastTick = now;
+
+        render(currentTime + delta * direction);
+
+        const duration = getDuration();
+        if ((direction > 0 && currentTime >= duration) || (direction < 0 && currentTime <= 0)) {
+            complete();
+            return;
+        }
+
+        frameId = raf(tick);
+    }
+
+    function stopClock() {
+        playing = false;
+        lastTick = null;
+        if (frameId) {
+            cancelRaf(frameId);
+            frameId = null;
+        }
+    }
+
+    /**
+     * Build the controllable handle returned for every step
+     */
+    function createStepHandle(step) {
+        return {
+            id: step.id,
+            get start() { return step.start; },
+            get duration() { return step.duration; },
+            finished: step.finished,
+
+            pause() {
+                if (!step.paused) {
+                    step.pausedAt = clamp(currentTime - step.start, 0, step.duration);
+                    step.paused = true;
+                }
+                return this;
+            },
+
+            resume() {
+                if (step.paused) {
+                    step.paused = false;
+                    step.start = Math.max(0, currentTime - step.pausedAt);
+                }
+                return this;
+            },
+
+            seek(time) {
+                timeline.seek(step.start + clamp(time, 0, step.duration));
+                return this;
+            },
+
+            cancel() {
+                const index = steps.indexOf(step);
+                if (index !== -1) steps.splice(index, 1);
+                if (step.animation) step.animation.cancel();
+                step.resolve();
+                return this;
+            },
+
+            // Chain back into the timeline
+            add: (...args) => timeline.add(...args),
+            call: (...args) => timeline.call(...args),
+            addLabel: (...args) => timeline.addLabel(...args)
+        };
+    }
+
+    function registerStep(step) {
+        step.id = generateId('timeline-step');
+        step.finished = new Promise(resolve => {
+            step.resolve = resolve;
+        });
+        steps.push(step);
+
+        // Render the step's initial state so pending steps don't flash
+        // (callbacks wait for playback to reach them)
+        if (step.type !== 'call') {
+            renderStep(step, currentTime);
+        }
+
+        return createStepHandle(step);
+    }
+
+    const timeline = {
+        id: timelineId,
+
+        /**
+         * Add an element animation to the timeline
+         * @param {Element} element - Target element
+         * @param {Array|Object} keyframes - Animation keyframes
+         * @param {Object} stepOptions - Duration and easing
+         * @param {number|string} position - Start position
+         * @returns {Object} Step handle
+         */
+        add(element, keyframes, stepOptions = {}, position) {
+            if (!element) {
+                console.warn('Timeline step skipped: element is required');
+                return createStepHandle({ start: 0, duration: 0, finished: Promise.resolve(), resolve: () => {} });
+            }
+
+            const config = { ...defaultOptions, ...defaults, ...stepOptions };
+            const start = resolvePosition(position, {
+                duration: getDuration(),
+                labels,
+                previous: steps[steps.length - 1]
+            });
+
+            const step = {
+                type: 'tween',
+                element,
+                keyframes,
+                start,
+                duration: config.duration,
+                easing: config.easing,
+                animation: null
+            };
+
+            if (typeof element.animate === 'function') {
+                step.animation = element.animate(keyframes, {
+                    duration: config.duration,
+                    easing: config.easing === 'apple' ? APPLE_EASING : config.easing,
+                    fill: 'both'
+                });
+                step.animation.pause();
+            }
+
+            return registerStep(step);
+        },
+
+        /**
+         * Add a callback to the timeline
+         * @param {Function} callback - Function to call
+         * @param {number|string} position - Start position
+         * @returns {Object} Step handle
+         */
+        call(callback, position) {
+            const start = resolvePosition(position, {
+                duration: getDuration(),
+                labels,
+                previous: steps[steps.length - 1]
+            });
+
+            return registerStep({ type: 'call', callback, start, duration: 0, fired: false });
+        },
+
+        /**
+         * Add a label at a position
+         * @param {string} name - Label name
+         * @param {number|string} position - Label position
+         * @returns {Object} Timeline controller
+         */
+        addLabel(name, position) {
+            labels.set(name, resolvePosition(position, {
+                duration: getDuration(),
+                labels,
+                previous: steps[steps.length - 1]
+            }));
+            return timeline;
+        },
+
+        play() {
+            direction = 1;
+            return timeline.resume();
+        },
+
+        pause() {
+            stopClock();
+            activeAnimations.delete(timelineId);
+            return timeline;
+        },
+
+        resume() {
+            if (playing) return timeline;
+
+            const duration = getDuration();
+            const atEnd = direction > 0 ? currentTime >= duration : currentTime <= 0;
+
+            if (atEnd) {
+                render(direction > 0 ? 0 : duration);
+            }
+            if (atEnd || settled) {
+                finished = createFinishedPromise();
+            }
+
+            // Respect reduced motion by jumping straight to the end state
+            if (prefersReducedMotion()) {
+                render(direction > 0 ? duration : 0);
+                complete();
+                return timeline;
+            }
+
+            playing = true;
+            activeAnimations.set(timelineId, timeline);
+            frameId = raf(tick);
+            return timeline;
+        },
+
+        reverse() {
+            direction *= -1;
+            if (!playing) {
+                finished = createFinishedPromise();
+                return timeline.resume();
+            }
+            return timeline;
+        },
+
+        /**
+         * Jump to a time or label
+         * @param {number|string} position - Time in ms or label name
+         * @returns {Object} Timeline controller
+         */
+        seek(position) {
+            const time = typeof position === 'number'
+                ? position
+                : resolvePosition(position, { duration: getDuration(), labels, previous: null });
+            render(time);
+            return timeline;
+        },
+
+        /**
+         * Scrub to a progress value (e.g. from scroll position)
+         * @param {number} value - Progress (0-1)
+         * @returns {Object} Timeline controller
+         */
+        progress(value) {
+            return timeline.seek(clamp(value, 0, 1) * getDuration());
+        },
+
+        /**
+         * Stop playback, drop the steps' animated styles and settle as cancelled
+         * @returns {Object} Timeline controller
+         */
+        cancel() {
+            timeline.pause();
+            steps.forEach(step => {
+                if (step.animation) step.animation.cancel();
+                if (!step.completed) step.resolve();
+            });
+            settle(true);
+            return timeline;
+        },
+
+        /**
+         * Jump to the end (or start when reversed) and settle
+         * @returns {Object} Timeline controller
+         */
+        finish() {
+            render(direction > 0 ? getDuration() : 0);
+            complete();
+            return timeline;
+        },
+
+        kill() {
+            timeline.cancel();
+            steps.length = 0;
+            labels.clear();
+            return timeline;
+        },
+
+        get duration() { return getDuration(); },
+        get time() { return currentTime; },
+        get isPlaying() { return playing; },
+        get isReversed() { return direction < 0; },
+        get finished() { return finished; }
+    };
+
+    if (autoplay) {
+        raf(() => timeline.play());
+    }
+
+    return timeline;
+}
+
+/**
+ * Default spring configuration (stiffness/damping per second, mass in kg-ish)
+ */
+const defaultSpring = {
+    stiffness: 170,
+    damping: 26,
+    mass: 1,
+    restDelta: 0.01,
+    restSpeed: 0.1
+};
+
+/**
+ * Transform components a spring can drive, with their default units
+ */
+const transformUnits = {
+    translateX: 'px',
+    translateY: 'px',
+    translateZ: 'px',
+    scale: '',
+    scaleX: '',
+    scaleY: '',
+    rotate: 'deg',
+    rotateX: 'deg',
+    rotateY: 'deg',
+    rotateZ: 'deg',
+    skewX: 'deg',
+    skewY: 'deg'
+};
+
+/**
+ * Style properties that take plain numbers
+ */
+const unitlessProperties = ['opacity', 'zIndex', 'fontWeight', 'lineHeight', 'flexGrow', 'flexShrink', 'order'];
+
+/**
+ * Per-element spring state: element -> Map(property -> { value, velocity, target, unit, owner })
+ * Kept between animations so an interrupted spring hands its velocity on
+ */
+const springStates = new WeakMap();
+
+/**
+ * Parse a spring target into a number and unit
+ * @param {string} property - Style property or transform component
+ * @param {number|string} value - Target value
+ * @returns {Object} Parsed value and unit
+ */
+function parseSpringValue(property, value) {
+    const number = parseFloat(value);
+    let unit = typeof value === 'string' ? getUnit(value) : '';
+
+    if (!unit && typeof value === 'number') {
+        if (property in transformUnits) {
+            unit = transformUnits[property];
+        } else if (!unitlessProperties.includes(property)) {
+            unit = 'px';
+        }
+    }
+
+    return { value: isNaN(number) ? 0 : number, unit };
+}
+
+/**
+ * Get (or create) the spring state for an element property
+ * @param {Element} element - Target element
+ * @param {string} property - Style property or transform component
+ * @returns {Object} Spring state
+ */
+function getSpringState(element, property) {
+    if (!springStates.has(element)) {
+        springStates.set(element, new Map());
+    }
+
+    const states = springStates.get(element);
+
+    if (!states.has(property)) {
+        let initial = 0;
+        if (property in transformUnits) {
+            initial = property.startsWith('scale') ? 1 : 0;
+        } else {
+            initial = parseFloat(getComputedStyle(element)[property]) || 0;
+        }
+
+        states.set(property, { value: initial, velocity: 0, target: initial, unit: '', owner: null });
+    }
+
+    return states.get(property);
+}
+
+/**
+ * Advance a spring state by dt milliseconds (semi-implicit Euler, 4ms substeps)
+ * @param {Object} state - Spring state
+ * @param {Object} config - Spring configuration
+ * @param {number} dt - Elapsed milliseconds
+ */
+function integrateSpring(state, config, dt) {
+    let remaining = dt;
+
+    while (remaining > 0) {
+        const step = Math.min(remaining, 4) / 1000;
+        const displacement = state.value - state.target;
+        const acceleration = (-config.stiffness * displacement - config.damping * state.velocity) / config.mass;
+
+        state.velocity += acceleration * step;
+        state.value += state.velocity * step;
+        remaining -= 4;
+    }
+}
+
+/**
+ * Check whether a spring has settled
+ * @param {Object} state - Spring state
+ * @param {Object} config - Spring configuration
+ * @returns {boolean} Is at rest
+ */
+function isSpringAtRest(state, config) {
+    return Math.abs(state.velocity) < config.restSpeed &&
+        Math.abs(state.value - state.target) < config.restDelta;
+}
+
+/**
+ * Format a spring frame from a set of property values
+ * @param {Map} values - property -> { value, unit }
+ * @returns {Object} Style frame (transform components folded into `transform`)
+ */
+function formatSpringFrame(values) {
+    const frame = {};
+    const transforms = [];
+
+    values.forEach(({ value, unit }, property) => {
+        const rounded = Math.round(value * 1000) / 1000;
+
+        if (property in transformUnits) {
+            transforms.push([property, `${property}(${rounded}${unit})`]);
+        } else {
+            frame[property] = unit ? `${rounded}${unit}` : rounded;
+        }
+    });
+
+    if (transforms.length) {
+        const order = Object.keys(transformUnits);
+        transforms.sort((a, b) => order.indexOf(a[0]) - order.indexOf(b[0]));
+        frame.transform = transforms.map(([, value]) => value).join(' ');
+    }
+
+    return frame;
+}
+
+/**
+ * Write every spring state of an element to its inline style
+ * @param {Element} element - Target element
+ */
+function renderSpringStates(element) {
+    const states = springStates.get(element);
+    if (!states) return;
+
+    setStyleFrame(element, formatSpringFrame(states));
+}
+
+/**
+ * Apply a style frame to an element
+ * @param {Element} element - Target element
+ * @param {Object} frame - Style frame
+ */
+function setStyleFrame(element, frame) {
+    Object.keys(frame).forEach(property => {
+        element.style[property] = frame[property];
+    });
+}
+
+/**
+ * Hand filled WAAPI animations over to inline styles
+ * Finished animations with `fill: forwards` would otherwise override the spring
+ * @param {Element} element - Target element
+ */
+function releaseFilledAnimations(element) {
+    if (typeof element.getAnimations !== 'function') return;
+
+    element.getAnimations().forEach(animation => {
+        if (animation.playState === 'finished') {
+            try {
+                animation.commitStyles();
+            } catch (error) {
+                // Element may no longer be rendered
+            }
+            animation.cancel();
+        }
+    });
+}
+
+/**
+ * Spring physics driver (Apple-style interruptible motion)
+ * Animates numeric style properties and transform components (translateY,
+ * scale, rotate...). A spring started while another is running on the same
+ * property continues from the current value and velocity instead of snapping.
+ * Transform components are composed into the element's inline `transform`.
+ * @param {Object} options - stiffness, damping, mass, velocity, restDelta, restSpeed
+ * @returns {Object} Spring driver with animate() and toKeyframes()
+ */
+export function spring(options = {}) {
+    const { velocity, ...physics } = options;
+    const config = { ...defaultSpring, ...physics };
+
+    /**
+     * Resolve start states for a set of target values
+     */
+    function prepareStates(element, values, from = {}) {
+        return Object.keys(values).map(property => {
+            const state = getSpringState(element, property);
+            const target = parseSpringValue(property, values[property]);
+
+            if (from[property] !== undefined) {
+                state.value = parseSpringValue(property, from[property]).value;
+                state.velocity = 0;
+            }
+
+            // Initial velocity only applies to springs that aren't already moving
+            if (typeof velocity === 'number' && Math.abs(state.velocity) < config.restSpeed) {
+                state.velocity = velocity;
+            }
+
+            state.target = target.value;
+            state.unit = target.unit;
+
+            return [property, state];
+        });
+    }
+
+    /**
+     * Simulate springs ahead of time at 60fps
+     */
+    function simulate(entries) {
+        const frameDuration = 1000 / 60;
+        const maxFrames = 600; // 10 seconds
+        const simulated = entries.map(([property, state]) => [property, { ...state }]);
+        const samples = [];
+
+        const capture = () => {
+            samples.push(new Map(simulated.map(([property, state]) => [
+                property,
+                { value: state.value, velocity: state.velocity, unit: state.unit }
+            ])));
+        };
+
+        capture();
+
+        for (let frame = 0; frame < maxFrames; frame++) {
+            simulated.forEach(([, state]) => integrateSpring(state, config, frameDuration));
+
+            if (simulated.every(([, state]) => isSpringAtRest(state, config))) {
+                simulated.forEach(([, state]) => {
+                    state.value = state.target;
+                    state.velocity = 0;
+                });
+                capture();
+                break;
+            }
+
+            capture();
+        }
+
+        return {
+            samples,
+            duration: (samples.length - 1) * frameDuration
+        };
+    }
+
+    /**
+     * Stop precomputed springs on these properties, keeping their position/velocity
+     */
+    function interruptOwners(element, properties) {
+        const states = springStates.get(element);
+        if (!states) return;
+
+        properties.forEach(property => {
+            const state = states.get(property);
+            if (state && state.owner && typeof state.owner.interrupt === 'function') {
+                state.owner.interrupt();
+            }
+        });
+    }
+
+    /**
+     * Frame-by-frame spring animation
+     */
+    function animateFrames(element, entries, animateOptions) {
+        let frameId = null;
+        let lastTime = null;
+
+        const owned = () => entries.filter(([, state]) => state.owner === handle);
+
+        const { handle, settle } = registerAnimation(element, {
+            // Leave velocity in the state so the next spring picks it up
+            cancel: () => cancelRaf(frameId),
+            finish: () => {
+                cancelRaf(frameId);
+                owned().forEach(([, state]) => {
+                    state.value = state.target;
+                    state.velocity = 0;
+                });
+                renderSpringStates(element);
+            },
+            pause: () => {
+                cancelRaf(frameId);
+                lastTime = null;
+            },
+            resume: () => {
+                frameId = raf(tick);
+            }
+        }, { type: 'spring', onComplete: animateOptions.onComplete });
+
+        entries.forEach(([, state]) => {
+            state.owner = handle;
+        });
+
+        function tick(now) {
+            const dt = lastTime === null ? 1000 / 60 : Math.min(now - lastTime, 64);
+            lastTime = now;
+
+            const active = owned();
+
+            // Every property was taken over by a newer spring
+            if (active.length === 0) {
+                settle(true);
+                return;
+            }
+
+            active.forEach(([, state]) => integrateSpring(state, config, dt));
+
+            const atRest = active.every(([, state]) => isSpringAtRest(state, config));
+            if (atRest) {
+                active.forEach(([, state]) => {
+                    state.value = state.target;
+                    state.velocity = 0;
+                    state.owner = null;
+                });
+            }
+
+            renderSpringStates(element);
+
+            if (typeof animateOptions.onUpdate === 'function') {
+                animateOptions.onUpdate(element);
+            }
+
+            if (atRest) {
+                settle(false);
+            } else {
+                frameId = raf(tick);
+            }
+        }
+
+        frameId = raf(tick);
+
+        return handle;
+    }
+
+    /**
+     * Precomputed spring rendered by the Web Animations API
+     */
+    function animatePrecomputed(element, entries, animateOptions) {
+        const { keyframes, duration, samples } = buildKeyframes(element, entries);
+        const animation = element.animate(keyframes, {
+            duration,
+            easing: 'linear',
+            fill: 'forwards'
+        });
+
+        // Copy the sampled position/velocity at the current time into the states
+        const captureState = () => {
+            const index = clamp(Math.round((animation.currentTime || 0) / (1000 / 60)), 0, samples.length - 1);
+            samples[index].forEach(({ value, velocity: sampleVelocity }, property) => {
+                const state = springStates.get(element).get(property);
+                if (state && state.owner === handle) {
+                    state.value = value;
+                    state.velocity = sampleVelocity;
+                    state.owner = null;
+                }
+            });
+        };
+
+        const { handle, settle } = registerAnimation(element, {
+            cancel: () => {
+                captureState();
+                renderSpringStates(element);
+                animation.cancel();
+            },
+            finish: () => animation.finish(),
+            pause: () => animation.pause(),
+            resume: () => animation.play()
+        }, { type: 'spring', onComplete: animateOptions.onComplete });
+
+        handle.animation = animation;
+        handle.interrupt = () => handle.cancel();
+
+        entries.forEach(([, state]) => {
+            state.owner = handle;
+        });
+
+        animation.finished
+            .then(() => {
+                entries.forEach(([, state]) => {
+                    if (state.owner === handle) {
+                        state.value = state.target;
+                        state.velocity = 0;
+                        state.owner = null;
+                    }
+                });
+                renderSpringStates(element);
+                animation.cancel();
+                settle(false);
+            })
+            .catch(() => settle(true));
+
+        return handle;
+    }
+
+    /**
+     * Turn simulated samples into WAAPI keyframes
+     */
+    function buildKeyframes(element, entries) {
+        const { samples, duration } = simulate(entries);
+
+        // Keep other spring-driven transform components in the composed transform
+        const states = springStates.get(element);
+        const keyframes = samples.map(sample => {
+            const values = new Map();
+            states.forEach((state, property) => {
+                values.set(property, sample.get(property) || { value: state.value, unit: state.unit });
+            });
+            return formatSpringFrame(values);
+        });
+
+        return { keyframes, duration, samples };
+    }
+
+    return {
+        config: { ...config, velocity },
+
+        /**
+         * Animate an element towards target values
+         * @param {Element} element - Target element
+         * @param {Object} values - Targets, e.g. { translateY: -8, opacity: 1 }
+         * @param {Object} animateOptions - from, precompute, onUpdate, onComplete
+         * @returns {Object} Animation handle
+         */
+        animate(element, values, animateOptions = {}) {
+            if (!element) return createSettledHandle();
+
+            releaseFilledAnimations(element);
+
+            interruptOwners(element, Object.keys(values));
+            const entries = prepareStates(element, values, animateOptions.from);
+
+            // Reduced motion: jump to the resting state
+            if (prefersReducedMotion()) {
+                entries.forEach(([, state]) => {
+                    state.value = state.target;
+                    state.velocity = 0;
+                    state.owner = null;
+                });
+                renderSpringStates(element);
+                return createSettledHandle({ onComplete: animateOptions.onComplete });
+            }
+
+            if (animateOptions.precompute && typeof element.animate === 'function') {
+                return animatePrecomputed(element, entries, animateOptions);
+            }
+
+            return animateFrames(element, entries, animateOptions);
+        },
+
+        /**
+         * Pre-compute the spring into WAAPI keyframes
+         * @param {Object} values - { property: [from, to] } pairs
+         * @returns {Object} { keyframes, duration } for element.animate()
+         */
+        toKeyframes(values) {
+            const entries = Object.keys(values).map(property => {
+                const [from, to] = values[property];
+                const start = parseSpringValue(property, from);
+                const end = parseSpringValue(property, to);
+
+                return [property, {
+                    value: start.value,
+                    velocity: typeof velocity === 'number' ? velocity : 0,
+                    target: end.value,
+                    unit: end.unit
+                }];
+            });
+
+            const { samples, duration } = simulate(entries);
+            const keyframes = samples.map(sample => formatSpringFrame(sample));
+
+            return { keyframes, duration };
+        }
+    };
+}
+
+/**
+ * Elements whose FLIP animation is currently running
+ */
+const flippingElements = new WeakSet();
+
+/**
+ * Resolve FLIP targets into an element array
+ * @param {Element|NodeList|Array|string} elements - Elements or selector
+ * @param {Element|Document} root - Selector context
+ * @returns {Array} Elements
+ */
+function resolveFlipElements(elements, root) {
+    if (typeof elements === 'string') {
+        return Array.from(root.querySelectorAll(elements));
+    }
+    if (!elements) return [];
+
+    return (elements.length !== undefined ? Array.from(elements) : [elements]).filter(element => element);
+}
+
+/**
+ * FLIP layout transition (First, Last, Invert, Play)
+ * Records element rects, runs the DOM change, then animates each element from
+ * its old position/size back to identity. Elements sharing a `data-flip-id`
+ * are treated as the same element, so a card can morph into a detail view.
+ * @param {Element|NodeList|Array|string} elements - Elements to track (a selector is re-queried after the change)
+ * @param {Function} mutate - DOM change; may return a Promise
+ * @param {Object} options - duration, easing, scale, stagger, fadeEntering, root, onComplete
+ * @returns {Object} Animation handle
+ */
+export function flip(elements, mutate, options = {}) {
+    const {
+        duration = 400,
+        easing = 'apple',
+        scale = true,
+        stagger = 0,
+        fadeEntering = true,
+        root = document,
+        onComplete = null
+    } = options;
+
+    // First: finish interrupted flips where they are, then measure
+    const before = resolveFlipElements(elements, root);
+    before.forEach(element => {
+        if (flippingElements.has(element)) {
+            cancelElementAnimations(element);
+            element.style.transform = '';
+            flippingElements.delete(element);
+        }
+    });
+
+    const firstRects = new Map();
+    const sharedRects = new Map();
+
+    before.forEach(element => {
+        const rect = element.getBoundingClientRect();
+        firstRects.set(element, rect);
+
+        if (element.dataset && element.dataset.flipId) {
+            sharedRects.set(element.dataset.flipId, rect);
+        }
+    });
+
+    // `complete` is left out when the async path reports completion itself
+    const play = (complete = onComplete) => {
+        // Last: pick up current elements plus the new side of shared elements
+        const after = resolveFlipElements(elements, root);
+        sharedRects.forEach((rect, flipId) => {
+            const shared = root.querySelector(`[data-flip-id="${flipId}"]`);
+            if (shared && !after.includes(shared)) {
+                after.push(shared);
+            }
+        });
+
+        if (prefersReducedMotion()) {
+            return createSettledHandle({ type: 'flip', onComplete: complete });
+        }
+
+        // Invert + Play
+        const handles = after.map((element, index) => {
+            const flipId = element.dataset ? element.dataset.flipId : null;
+            const first = firstRects.get(element) || (flipId ? sharedRects.get(flipId) : null);
+            const delay = index * stagger;
+
+            if (!first) {
+                return fadeEntering
+                    ? animateElement(element, [{ opacity: 0 }, { opacity: 1 }], { duration, easing, delay, fill: 'backwards' })
+                    : null;
+            }
+
+            const last = element.getBoundingClientRect();
+            const deltaX = first.left - last.left;
+            const deltaY = first.top - last.top;
+            const scaleX = scale && last.width ? first.width / last.width : 1;
+            const scaleY = scale && last.height ? first.height / last.height : 1;
+
+            // Nothing moved
+            if (Math.abs(deltaX) < 0.5 && Math.abs(deltaY) < 0.5 &&
+                Math.abs(scaleX - 1) < 0.01 && Math.abs(scaleY - 1) < 0.01) {
+                return null;
+            }
+
+            flippingElements.add(element);
+
+            // fill: 'backwards' so the element owns its transform again afterwards
+            return animateElement(element, [
+                {
+                    transformOrigin: '0 0',
+                    transform: `translate(${deltaX}px, ${deltaY}px) scale(${scaleX}, ${scaleY})`
+                },
+                {
+                    transformOrigin: '0 0',
+                    transform: 'translate(0px, 0px) scale(1, 1)'
+                }
+            ], {
+                duration,
+                easing,
+                delay,
+                fill: 'backwards',
+                onComplete: () => flippingElements.delete(element)
+            });
+        }).filter(handle => handle);
+
+        return createGroupHandle(handles, { type: 'flip', onComplete: complete });
+    };
+
+    const result = typeof mutate === 'function' ? mutate() : undefined;
+
+    if (!result || typeof result.then !== 'function') {
+        return play();
+    }
+
+    // Async DOM change: hand out a handle that drives the animation once it lands
+    let inner = null;
+    let cancelled = false;
+
+    const { handle, settle } = registerAnimation(null, {
+        cancel: () => {
+            cancelled = true;
+            if (inner) inner.cancel();
+        },
+        finish: () => inner && inner.finish(),
+        pause: () => inner && inner.pause(),
+        resume: () => inner && inner.resume()
+    }, { type: 'flip' });
+
+    result
+        .then(() => {
+            if (cancelled) return;
+            inner = play(null);
+            inner.finished.then(({ cancelled: innerCancelled }) => {
+                if (!innerCancelled && typeof onComplete === 'function') onComplete();
+                settle(innerCancelled);
+            });
+        })
+        .catch(error => {
+            console.error('🍎 FLIP mutation failed:', error);
+            settle(true);
+        });
+
+    return handle;
+}
+
+/**
+ * Check native scroll-driven animation support
+ * @returns {boolean} ScrollTimeline/ViewTimeline are available
+ */
+function supportsScrollTimeline() {
+    return typeof window.ScrollTimeline === 'function' && typeof window.ViewTimeline === 'function';
+}
+
+/**
+ * Resolve a view-timeline range point into scroll distance
+ * Distance is measured from the moment the subject's leading edge enters the
+ * scrollport, mirroring the CSS `cover`/`contain`/`entry`/`exit` ranges.
+ * @param {string} range - e.g. "cover 0%", "exit 50%", "contain 120px"
+ * @param {number} size - Subject size along the axis
+ * @param {number} viewport - Scrollport size along the axis
+ * @returns {number} Scroll distance in pixels
+ */
+function resolveViewRange(range, size, viewport) {
+    const [name = 'cover', amount = '0%'] = String(range).trim().split(/\s+/);
+    const ranges = {
+        cover: [0, viewport + size],
+        contain: size <= viewport ? [size, viewport] : [viewport, size],
+        entry: [0, Math.min(size, viewport)],
+        exit: [Math.max(size, viewport), viewport + size],
+        'entry-crossing': [0, size],
+        'exit-crossing': [viewport, viewport + size]
+    };
+    const [rangeStart, rangeEnd] = ranges[name] || ranges.cover;
+    const value = parseFloat(amount) || 0;
+
+    return amount.endsWith('%')
+        ? lerp(rangeStart, rangeEnd, value / 100)
+        : rangeStart + value;
+}
+
+/**
+ * Scroll-driven animation (Apple product-page style)
+ * Links keyframes to scroll position. Uses native ScrollTimeline/ViewTimeline
+ * when available and a rAF progress fallback otherwise.
+ *
+ * `start`/`end` accept view ranges ("cover 0%", "exit 100%") measured on the
+ * subject, or numbers for absolute scroll offsets of the source. With `pin`,
+ * the element sticks to the top of the viewport for `pinDistance` pixels of
+ * scrolling while the animation plays out.
+ * @param {Element} element - Element to animate
+ * @param {Array|Object} keyframes - Animation keyframes
+ * @param {Object} options - start, end, source, subject, axis, easing, pin, pinDistance, onProgress
+ * @returns {Object} Scroll animation controller
+ */
+export function scrollAnimate(element, keyframes, options = {}) {
+    const noop = { id: null, isNative: false, progress: 0, refresh: () => {}, destroy: () => {} };
+    if (!element) return noop;
+
+    const {
+        start = 'cover 0%',
+        end = 'cover 100%',
+        source = null,
+        subject = element,
+        axis = 'block',
+        easing = 'linear',
+        pin = false,
+        pinDistance = null,
+        onProgress = null
+    } = options;
+
+    // Reduced motion: show the end state, no scrubbing or pinning
+    if (prefersReducedMotion()) {
+        applyKeyframesAt(element, keyframes, 1);
+        return noop;
+    }
+
+    const id = generateId('scroll');
+    const horizontal = axis === 'inline' || axis === 'x';
+    const useNative = supportsScrollTimeline() && typeof element.animate === 'function' &&
+        options.native !== false;
+
+    let animation = null;
+    let spacer = null;
+    let ticking = false;
+    let currentProgress = 0;
+    const cleanupFunctions = [];
+
+    // Pinning: wrap the element in a taller spacer and let `position: sticky` hold it
+    const getPinDistance = () => pinDistance || window.innerHeight;
+
+    if (pin) {
+        spacer = document.createElement('div');
+        spacer.className = 'scroll-pin-spacer';
+        element.parentNode.insertBefore(spacer, element);
+        spacer.appendChild(element);
+
+        element.style.position = 'sticky';
+        element.style.top = '0';
+    }
+
+    const getViewportSize = () => {
+        if (source) {
+            return horizontal ? source.clientWidth : source.clientHeight;
+        }
+        return horizontal ? window.innerWidth : window.innerHeight;
+    };
+
+    /**
+     * Range as view-timeline strings/px (native) - pinning measures the spacer
+     */
+    const getRange = () => {
+        if (pin) {
+            const viewport = getViewportSize();
+            return [`cover ${viewport}px`, `cover ${viewport + getPinDistance()}px`];
+        }
+        return [start, end];
+    };
+
+    const layoutPin = () => {
+        if (spacer) {
+            const size = horizontal ? element.offsetWidth : element.offsetHeight;
+            spacer.style[horizontal ? 'width' : 'height'] = `${size + getPinDistance()}px`;
+        }
+    };
+
+    /**
+     * Fallback progress from element/scrollport geometry
+     */
+    const measureProgress = () => {
+        const [rangeStart, rangeEnd] = getRange();
+
+        let distance;
+        let from;
+        let to;
+
+        if (typeof rangeStart === 'number' && typeof rangeEnd === 'number') {
+            const scroller = source || document.scrollingElement || document.documentElement;
+            distance = horizontal ? scroller.scrollLeft : scroller.scrollTop;
+            from = rangeStart;
+            to = rangeEnd;
+        } else {
+            const target = spacer || subject;
+            const rect = target.getBoundingClientRect();
+            const sourceRect = source ? source.getBoundingClientRect() : { top: 0, left: 0 };
+            const viewport = getViewportSize();
+            const size = horizontal ? rect.width : rect.height;
+            const leading = horizontal ? rect.left - sourceRect.left : rect.top - sourceRect.top;
+
+            distance = viewport - leading;
+            from = resolveViewRange(rangeStart, size, viewport);
+            to = resolveViewRange(rangeEnd, size, viewport);
+        }
+
+        return to !== from ? clamp((distance - from) / (to - from), 0, 1) : 1;
+    };
+
+    const render = () => {
+        ticking = false;
+        currentProgress = measureProgress();
+        const eased = easings[easing] ? easings[easing](currentProgress) : currentProgress;
+
+        if (animation) {
+            animation.currentTime = eased * 1000;
+        } else {
+            applyKeyframesAt(element, keyframes, eased);
+        }
+
+        if (typeof onProgress === 'function') {
+            onProgress(currentProgress, element);
+        }
+    };
+
+    const onScroll = () => {
+        if (!ticking) {
+            raf(render);
+            ticking = true;
+        }
+    };
+
+    const createNativeAnimation = () => {
+        const [rangeStart, rangeEnd] = getRange();
+        const byOffset = typeof rangeStart === 'number' && typeof rangeEnd === 'number';
+
+        const timeline = byOffset
+            ? new window.ScrollTimeline({
+                source: source || document.scrollingElement,
+                axis
+            })
+            : new window.ViewTimeline({
+                subject: spacer || subject,
+                axis
+            });
+
+        animation = element.animate(keyframes, {
+            timeline,
+            rangeStart: byOffset ? `${rangeStart}px` : rangeStart,
+            rangeEnd: byOffset ? `${rangeEnd}px` : rangeEnd,
+            easing: easing === 'apple' ? APPLE_EASING : easing,
+            fill: 'both'
+        });
+    };
+
+    const refresh = () => {
+        layoutPin();
+
+        if (useNative) {
+            // Pin ranges depend on the viewport, so rebuild the timeline
+            if (animation) animation.cancel();
+            createNativeAnimation();
+        } else {
+            render();
+        }
+    };
+
+    layoutPin();
+
+    if (useNative) {
+        createNativeAnimation();
+
+        // The browser drives the animation; only report progress if asked to
+        if (typeof onProgress === 'function') {
+            const reportProgress = () => {
+                ticking = false;
+                onProgress(controller.progress, element);
+            };
+            const onNativeScroll = () => {
+                if (!ticking) {
+                    raf(reportProgress);
+                    ticking = true;
+                }
+            };
+            const scrollTarget = source || window;
+            scrollTarget.addEventListener('scroll', onNativeScroll, { passive: true });
+            cleanupFunctions.push(() => scrollTarget.removeEventListener('scroll', onNativeScroll));
+        }
+    } else {
+        // Paused WAAPI keeps offsets/easing exact; manual interpolation otherwise
+        if (typeof element.animate === 'function') {
+            animation = element.animate(keyframes, { duration: 1000, easing: 'linear', fill: 'both' });
+            animation.pause();
+        }
+
+        const scrollTarget = source || window;
+        scrollTarget.addEventListener('scroll', onScroll, { passive: true });
+        cleanupFunctions.push(() => scrollTarget.removeEventListener('scroll', onScroll));
+        render();
+    }
+
+    const onResize = debounce(refresh, 100);
+    window.addEventListener('resize', onResize);
+    cleanupFunctions.push(() => window.removeEventListener('resize', onResize));
+
+    const controller = {
+        id,
+        isNative: useNative,
+
+        get progress() {
+            return useNative && animation && animation.effect
+                ? clamp(animation.effect.getComputedTiming().progress || 0, 0, 1)
+                : currentProgress;
+        },
+
+        refresh,
+
+        destroy() {
+            cleanupFunctions.forEach(cleanup => cleanup());
+            cleanupFunctions.length = 0;
+
+            if (animation) {
+                animation.cancel();
+                animation = null;
+            }
+
+            // Unwrap the pin spacer
+            if (spacer && spacer.parentNode) {
+                spacer.parentNode.insertBefore(element, spacer);
+                spacer.parentNode.removeChild(spacer);
+                element.style.position = '';
+                element.style.top = '';
+                spacer = null;
+            }
+
+            activeAnimations.delete(id);
+        }
+    };
+
+    // cancelAllAnimations() tears scroll bindings down too
+    activeAnimations.set(id, { id, cancel: controller.destroy });
+
+    return controller;
+}
+
+/**
+ * Parallax animation controller
+ * @param {Element} element - Element to animate
+ * @param {Object} options - Parallax options
+ * @returns {Function} Cleanup function
+ */
+export function createParallax(element, options = {}) {
+    if (!element || prefersReducedMotion()) {
+        return () => {};
+    }
+
+    const {
+        speed = 0.5,
+        direction = 'vertical',
+        offset = 0
+    } = options;
+
+    let ticking = false;
+
+    function updateParallax() {
+        const scrolled = window.pageYOffset;
+        const elementTop = element.offsetTop;
+        const elementHeight = element.offsetHeight;
+        const windowHeight = window.innerHeight;
+
+        // Check if element is in view
+        if (scrolled + windowHeight > elementTop && scrolled < elementTop + elementHeight) {
+            const yPos = (scrolled - elementTop + offset) * speed;
+
+            if (direction === 'vertical') {
+                element.style.transform = `translate3d(0, ${yPos}px, 0)`;
+            } else {
+                element.style.transform = `translate3d(${yPos}px, 0, 0)`;
+            }
+        }
+
+        ticking = false;
+    }
+
+    function onScroll() {
+        if (!ticking) {
+            raf(updateParallax);
+            ticking = true;
+        }
+    }
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+
+    return () => {
+        window.removeEventListener('scroll', onScroll);
+        if (element) {
+            element.style.transform = '';
+        }
+    };
+}
+
+/**
+ * Check View Transitions API support
+ * @returns {boolean} document.startViewTransition is available
+ */
+export function supportsViewTransitions() {
+    return typeof document.startViewTransition === 'function';
+}
+
+/**
+ * Normalise shared element descriptors into { element, name } pairs
+ * @param {Array} shared - Elements (named via data-view-transition-name) or { element, name }
+ * @returns {Array} Shared element pairs
+ */
+function resolveSharedElements(shared = []) {
+    return Array.from(shared)
+        .map(item => {
+            if (!item) return null;
+            const element = item.element || item;
+            const name = item.name || (element.dataset && element.dataset.viewTransitionName);
+            return element && name ? { element, name } : null;
+        })
+        .filter(item => item);
+}
+
+/**
+ * Set view-transition-name on elements
+ * @param {Array} pairs - { element, name } pairs
+ * @param {boolean} enable - Set or clear the names
+ */
+function setTransitionNames(pairs, enable) {
+    pairs.forEach(({ element, name }) => {
+        element.style.viewTransitionName = enable ? name : '';
+    });
+}
+
+/**
+ * Find the new-state elements for shared names (by data-view-transition-name)
+ * @param {Array} pairs - Old { element, name } pairs
+ * @returns {Array} New { element, name } pairs
+ */
+function findSharedTargets(pairs) {
+    return pairs
+        .map(({ name }) => {
+            const element = document.querySelector(`[data-view-transition-name="${name}"]`);
+            return element ? { element, name } : null;
+        })
+        .filter(item => item);
+}
+
+/**
+ * Apple-style page transition
+ * Uses the View Transitions API when available: elements passed in `shared`
+ * (or carrying `data-view-transition-name`) morph into the element with the
+ * same name after the update. Falls back to a fading overlay otherwise.
+ * @param {Function} callback - Function that updates the DOM (may return a Promise)
+ * @param {Object} options - duration, overlay, shared, viewTransition
+ * @returns {Object} Animation handle (rejects if the callback fails)
+ */
+export function pageTransition(callback, options = {}) {
+    const {
+        duration = 500,
+        overlay = true,
+        shared = [],
+        viewTransition = true
+    } = options;
+
+    const update = () => (typeof callback === 'function' ? callback() : undefined);
+
+    // Reduced motion: just swap the content
+    if (prefersReducedMotion()) {
+        const { handle, settle, fail } = registerAnimation(null, {
+            cancel: () => {}, finish: () => {}, pause: () => {}, resume: () => {}
+        }, { type: 'page' });
+
+        Promise.resolve()
+            .then(update)
+            .then(() => settle(false), fail);
+
+        return handle;
+    }
+
+    if (viewTransition && supportsViewTransitions()) {
+        const oldShared = resolveSharedElements(shared);
+        let newShared = [];
+
+        setTransitionNames(oldShared, true);
+
+        const transition = document.startViewTransition(async () => {
+            // Names must be unique per snapshot: move them to the new elements
+            setTransitionNames(oldShared, false);
+            await update();
+            newShared = findSharedTargets(oldShared);
+            setTransitionNames(newShared, true);
+        });
+
+        const { handle, settle, fail } = registerAnimation(null, {
+            cancel: () => transition.skipTransition(),
+            finish: () => transition.skipTransition(),
+            pause: () => {},
+            resume: () => {}
+        }, { type: 'page' });
+
+        handle.transition = transition;
+
+        const cleanup = () => {
+            setTransitionNames(oldShared, false);
+            setTransitionNames(newShared, false);
+        };
+
+        // updateCallbackDone carries callback errors; finished only the animation
+        transition.updateCallbackDone
+            .then(() => transition.finished)
+            .then(() => {
+                cleanup();
+                settle(false);
+            })
+            .catch(error => {
+                cleanup();
+                fail(error);
+            });
+
+        return handle;
+    }
+
+    const transitionElement = document.createElement('div');
+    transitionElement.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: ${overlay ? 'rgba(0, 0, 0, 0.8)' : 'transparent'};
+        z-index: 9999;
+        opacity: 0;
+        pointer-events: none;
+    `;
+
+    document.body.appendChild(transitionElement);
+
+    let current = null;
+    const { handle, settle, fail } = registerAnimation(null, {
+        cancel: () => current && current.cancel(),
+        finish: () => current && current.finish(),
+        pause: () => current && current.pause(),
+        resume: () => current && current.resume()
+    }, { type: 'page' });
+
+    const removeOverlay = () => {
+        if (transitionElement.parentNode) {
+            transitionElement.parentNode.removeChild(transitionElement);
+        }
+    };
+
+    current = fadeIn(transitionElement, { duration: duration / 2 });
+    current
+        .then(update)
+        .then(() => {
+            current = fadeOut(transitionElement, { duration: duration / 2 });
+            return current;
+        })
+        .then(() => {
+            removeOverlay();
+            settle(false);
+        })
+        .catch(error => {
+            removeOverlay();
+            fail(error);
+        });
+
+    return handle;
+}
+
+/**
+ * Cross-document view transitions (MPA navigation)
+ * Requires `@view-transition { navigation: auto; }` on both pages (global.css).
+ * Outgoing page: the clicked link's closest `[data-view-transition-name]` is
+ * named. Incoming page: the element targeted by the URL hash (or its first
+ * `[data-view-transition-name]` descendant) receives the name, so e.g. a
+ * service card morphs into services.html#screen-repair's header.
+ */
+function setupCrossDocumentTransitions() {
+    // Outgoing element, unnamed again when the page comes back from the bfcache
+    let swapped = null;
+
+    const clearSwapped = () => {
+        if (swapped) {
+            swapped.style.viewTransitionName = '';
+            swapped = null;
+        }
+    };
+
+    window.addEventListener('pageswap', (event) => {
+        if (!event.viewTransition || !event.activation || !event.activation.entry) return;
+
+        const destination = event.activation.entry.url;
+        const link = Array.from(document.querySelectorAll('a[href]'))
+            .find(anchor => anchor.href === destination);
+        const source = link && link.closest('[data-view-transition-name]');
+
+        if (source) {
+            source.style.viewTransitionName = source.dataset.viewTransitionName;
+            swapped = source;
+        }
+    });
+
+    window.addEventListener('pageshow', clearSwapped);
+
+    window.addEventListener('pagereveal', (event) => {
+        clearSwapped();
+
+        if (!event.viewTransition || !window.location.hash) return;
+
+        const target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+        if (!target) return;
+
+        const named = target.matches('[data-view-transition-name]')
+            ? target
+            : target.querySelector('[data-view-transition-name]');
+
+        if (named) {
+            named.style.viewTransitionName = named.dataset.viewTransitionName;
+            event.viewTransition.finished.finally(() => {
+                named.style.viewTransitionName = '';
+            });
+        }
+    });
+}
+
+/**
+ * Cancel all active animations
+ */
+export function cancelAllAnimations() {
+    // Copy first: cancelling a handle removes it from the registry
+    Array.from(activeAnimations.values()).forEach(animation => {
+        if (animation.cancel) {
+            animation.cancel();
+        }
+    });
+    activeAnimations.clear();
+}
+
+/**
+ * Cancel specific animation
+ * @param {string} animationId - Animation ID to cancel (the handle's `id`)
+ * @returns {boolean} Whether an animation was cancelled
+ */
+export function cancelAnimation(animationId) {
+    const animation = activeAnimations.get(animationId);
+    if (animation && animation.cancel) {
+        animation.cancel();
+        activeAnimations.delete(animationId);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Initialize animation system
+ */
+export function initAnimationSystem() {
+    // Clean up animations on page unload
+    window.addEventListener('beforeunload', cancelAllAnimations);
+
+    // Pause animations when page is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            document.body.classList.add('page-hidden');
+        } else {
+            document.body.classList.remove('page-hidden');
+        }
+    });
+
+    // Morph shared elements across page navigations where supported
+    setupCrossDocumentTransitions();
 
     console.log('🍎 Animation system initialized');
 }
\ No newline at end of file
@@ -331,4 +331,357 @@ export function measureElement(element) {
 
     removeElement(clone);
     return measurements;
-}
\ No newline at end of file
+}
+
+/**
+ * Selector for natively focusable elements
+ */
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    'summary',
+    '[contenteditable="true"]',
+    '[tabindex]'
+].join(', ');
+
+/**
+ * Get keyboard-focusable elements in a container, in tab order
+ * Skips hidden elements and anything inside an inert subtree.
+ * @param {Element} container - Container element
+ * @param {Object} options - { includeNegativeTabindex }
+ * @returns {Element[]} Focusable elements
+ */
+export function getFocusableElements(container, options = {}) {
+    if (!container) return [];
+
+    const { includeNegativeTabindex = false } = options;
+
+    return Array.from($$(FOCUSABLE_SELECTOR, container)).filter(element => {
+        if (!includeNegativeTabindex && element.getAttribute('tabindex') === '-1') return false;
+        if (element.closest('[inert]')) return false;
+
+        // Rendered and not visibility: hidden
+        return element.getClientRects().length > 0 &&
+            window.getComputedStyle(element).visibility !== 'hidden';
+    });
+}
+
+/**
+ * Active focus traps, innermost last
+ */
+const focusTraps = [];
+
+/**
+ * Make everything outside a container inert
+ * @param {Element} container - Element that stays interactive
+ * @returns {Function} Function restoring the previous state
+ */
+function inertOutside(container) {
+    const changed = [];
+    let node = container;
+
+    while (node && node.parentElement && node !== document.body) {
+        Array.from(node.parentElement.children).forEach(sibling => {
+            if (sibling === node || sibling.inert || sibling.tagName === 'SCRIPT') return;
+
+            sibling.inert = true;
+            changed.push(sibling);
+        });
+        node = node.parentElement;
+    }
+
+    return () => changed.forEach(element => {
+        element.inert = false;
+    });
+}
+
+/**
+ * Keep keyboard focus inside a container until released
+ * Traps nest: only the most recent one is active, and releasing it hands
+ * control back to the previous trap.
+ * @param {Element} container - Container element
+ * @param {Object} options - { initialFocus, returnFocus, inert, onEscape }
+ * @returns {Function} Release function (restores focus)
+ */
+export function trapFocus(container, options = {}) {
+    if (!container) {
+        console.warn('Invalid container for trapFocus');
+        return () => {};
+    }
+
+    const {
+        initialFocus = null,
+        returnFocus = document.activeElement,
+        inert = false,
+        onEscape = null
+    } = options;
+
+    const trap = { container };
+    const cleanupFunctions = [];
+    const isActive = () => focusTraps[focusTraps.length - 1] === trap;
+
+    const focusFirst = () => {
+        const [first] = getFocusableElements(container);
+        if (first) {
+            first.focus();
+        } else {
+            // Nothing focusable: hold focus on the container itself
+            if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '-1');
+            container.focus();
+        }
+    };
+
+    cleanupFunctions.push(
+        addEvent(document, 'keydown', (e) => {
+            if (!isActive()) return;
+
+            if (e.key === 'Escape' && typeof onEscape === 'function') {
+                onEscape(e);
+                return;
+            }
+
+            if (e.key !== 'Tab') return;
+
+            const focusable = getFocusableElements(container);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const inside = container.contains(document.activeElement);
+
+            if (e.shiftKey && (document.activeElement === first || !inside)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+                e.preventDefault();
+                first.focus();
+            }
+        })
+    );
+
+    // Focus escaping by other means (clicks, screen reader) is pulled back
+    cleanupFunctions.push(
+        addEvent(document, 'focusin', (e) => {
+            if (isActive() && !container.contains(e.target)) {
+                focusFirst();
+            }
+        })
+    );
+
+    if (inert) {
+        cleanupFunctions.push(inertOutside(container));
+    }
+
+    focusTraps.push(trap);
+
+    if (initialFocus !== false) {
+        const target = typeof initialFocus === 'string' ? $(initialFocus, container) : initialFocus;
+        if (target) {
+            target.focus();
+        } else if (!container.contains(document.activeElement)) {
+            focusFirst();
+        }
+    }
+
+    let released = false;
+
+    return (releaseOptions = {}) => {
+        if (released) return;
+        released = true;
+
+        cleanupFunctions.forEach(cleanup => cleanup());
+
+        const index = focusTraps.indexOf(trap);
+        if (index !== -1) focusTraps.splice(index, 1);
+
+        const { restoreFocus = true } = releaseOptions;
+        if (restoreFocus && returnFocus && typeof returnFocus.focus === 'function' && document.contains(returnFocus)) {
+            returnFocus.focus({ preventScroll: true });
+        }
+    };
+}
+
+/**
+ * Roving tabindex over a group of items (menubar, menu, toolbar, tabs)
+ * Only the current item is in the tab order; arrow keys, Home/End and
+ * typeahead move between items.
+ * @param {Element} container - Container element
+ * @param {Object} options - { itemSelector, orientation, loop, typeahead, onFocus }
+ * @returns {Object} Controller { getItems, focusItem, focusFirst, focusLast, setCurrent, getCurrent, destroy }
+ */
+export function rovingFocus(container, options = {}) {
+    const config = {
+        itemSelector: '[role="menuitem"], [role="tab"], [role="option"]',
+        orientation: 'horizontal',
+        loop: true,
+        typeahead: true,
+        typeaheadTimeout: 500,
+        onFocus: null,
+        ...options
+    };
+
+    if (!container) {
+        console.warn('Invalid container for rovingFocus');
+        return {
+            getItems: () => [],
+            focusItem: () => {},
+            focusFirst: () => {},
+            focusLast: () => {},
+            setCurrent: () => {},
+            getCurrent: () => null,
+            destroy: () => {}
+        };
+    }
+
+    const cleanupFunctions = [];
+    let current = null;
+    let typeaheadBuffer = '';
+    let typeaheadTimer = null;
+
+    const nextKeys = [];
+    const prevKeys = [];
+    if (config.orientation !== 'vertical') {
+        nextKeys.push('ArrowRight');
+        prevKeys.push('ArrowLeft');
+    }
+    if (config.orientation !== 'horizontal') {
+        nextKeys.push('ArrowDown');
+        prevKeys.push('ArrowUp');
+    }
+
+    const getItems = () => Array.from($$(config.itemSelector, container)).filter(item =>
+        !item.closest('[inert]') &&
+        item.getAttribute('aria-disabled') !== 'true' &&
+        item.getClientRects().length > 0
+    );
+
+    const setCurrent = (item) => {
+        const items = Array.from($$(config.itemSelector, container));
+        if (!item) item = getItems()[0] || items[0];
+        if (!item) return;
+
+        items.forEach(element => element.setAttribute('tabindex', element === item ? '0' : '-1'));
+        current = item;
+    };
+
+    const focusItem = (item) => {
+        if (!item) return;
+
+        setCurrent(item);
+        item.focus();
+
+        if (typeof config.onFocus === 'function') {
+            config.onFocus(item);
+        }
+    };
+
+    const move = (step) => {
+        const items = getItems();
+        if (items.length === 0) return;
+
+        let index = items.indexOf(document.activeElement);
+        if (index === -1) index = items.indexOf(current);
+
+        let next = index + step;
+        if (config.loop) {
+            next = (next + items.length) % items.length;
+        } else {
+            next = Math.max(0, Math.min(items.length - 1, next));
+        }
+
+        focusItem(items[next]);
+    };
+
+    const handleTypeahead = (char) => {
+        clearTimeout(typeaheadTimer);
+        typeaheadBuffer += char.toLowerCase();
+        typeaheadTimer = setTimeout(() => {
+            typeaheadBuffer = '';
+        }, config.typeaheadTimeout);
+
+        const items = getItems();
+        const start = Math.max(0, items.indexOf(document.activeElement));
+
+        // Repeating one letter cycles through items starting with it
+        const isRepeat = typeaheadBuffer.split('').every(letter => letter === typeaheadBuffer[0]);
+        const search = isRepeat ? typeaheadBuffer[0] : typeaheadBuffer;
+        const offset = isRepeat || typeaheadBuffer.length === 1 ? 1 : 0;
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[(start + offset + i) % items.length];
+            const label = (item.getAttribute('aria-label') || item.textContent || '').trim().toLowerCase();
+
+            if (label.startsWith(search)) {
+                focusItem(item);
+                return;
+            }
+        }
+    };
+
+    cleanupFunctions.push(
+        addEvent(container, 'keydown', (e) => {
+            const item = e.target.closest(config.itemSelector);
+            if (!item || !container.contains(item)) return;
+
+            if (nextKeys.includes(e.key)) {
+                e.preventDefault();
+                move(1);
+            } else if (prevKeys.includes(e.key)) {
+                e.preventDefault();
+                move(-1);
+            } else if (e.key === 'Home') {
+                e.preventDefault();
+                focusItem(getItems()[0]);
+            } else if (e.key === 'End') {
+                e.preventDefault();
+                const items = getItems();
+                focusItem(items[items.length - 1]);
+            } else if (
+                config.typeahead &&
+                e.key.length === 1 &&
+                e.key !== ' ' &&
+                !e.ctrlKey && !e.metaKey && !e.altKey
+            ) {
+                handleTypeahead(e.key);
+            }
+        })
+    );
+
+    // Clicking or tabbing onto an item makes it the current one
+    cleanupFunctions.push(
+        addEvent(container, 'focusin', (e) => {
+            const item = e.target.closest(config.itemSelector);
+            if (item && container.contains(item) && item !== current) {
+                setCurrent(item);
+            }
+        })
+    );
+
+    setCurrent(null);
+
+    return {
+        getItems,
+        focusItem,
+        focusFirst: () => focusItem(getItems()[0]),
+        focusLast: () => {
+            const items = getItems();
+            focusItem(items[items.length - 1]);
+        },
+        setCurrent,
+        getCurrent: () => current,
+        destroy: () => {
+            clearTimeout(typeaheadTimer);
+            cleanupFunctions.forEach(cleanup => cleanup());
+            cleanupFunctions.length = 0;
+            $$(config.itemSelector, container).forEach(item => item.removeAttribute('tabindex'));
+        }
+    };
+}
@@ -0,0 +1,229 @@
+// js/core/events.js
+
+/**
+ * Event Bus Module
+ * Namespaced pub/sub ("namespace:event") with wildcard subscriptions,
+ * once, replay of the last value and owner-based cleanup. Catalogued topics
+ * are bridged to their legacy DOM CustomEvents in both directions.
+ */
+
+/**
+ * Topic catalogue
+ * `domEvent` is the legacy CustomEvent dispatched on document; its `detail`
+ * is the topic payload.
+ */
+export const EVENT_TOPICS = {
+    /** { initTime, components, performance, device } */
+    'global:loaded': { domEvent: 'appleGlobalLoaded' },
+    /** { controllers } */
+    'home:loaded': { domEvent: 'appleHomeLoaded' },
+    /** { theme, timestamp } */
+    'theme:changed': { domEvent: 'appleThemeChanged' },
+    /** { url, from } */
+    'route:start': { domEvent: 'appleRouteStart' },
+    /** { url, page } */
+    'route:change': { domEvent: 'appleRouteChange' },
+    /** { id, section, previousId } */
+    'section:change': { domEvent: 'appleSectionChange' }
+};
+
+/**
+ * Subscriptions: { pattern, handler, once, owner }
+ */
+const subscriptions = new Set();
+
+/**
+ * Last payload per topic (for replay)
+ */
+const lastValues = new Map();
+
+/**
+ * DOM event name to topic
+ */
+const domEventTopics = new Map(
+    Object.entries(EVENT_TOPICS).map(([topic, { domEvent }]) => [domEvent, topic])
+);
+
+/**
+ * Check whether a topic matches a subscription pattern
+ * `*` matches one segment, or everything that follows when it is last.
+ * @param {string} pattern - Subscription pattern (e.g. "theme:*")
+ * @param {string} topic - Emitted topic
+ * @returns {boolean} Topic matches
+ */
+function matchesTopic(pattern, topic) {
+    if (pattern === topic || pattern === '*') return true;
+
+    const patternParts = pattern.split(':');
+    const topicParts = topic.split(':');
+
+    for (let i = 0; i < patternParts.length; i++) {
+        const part = patternParts[i];
+
+        if (part === '*' && i === patternParts.length - 1) {
+            return topicParts.length > i;
+        }
+
+        if (i >= topicParts.length || (part !== '*' && part !== topicParts[i])) {
+            return false;
+        }
+    }
+
+    return patternParts.length === topicParts.length;
+}
+
+/**
+ * Call a handler, isolating its errors from other subscribers
+ * @param {Object} subscription - Subscription
+ * @param {*} payload - Event payload
+ * @param {string} topic - Topic
+ */
+function invoke(subscription, payload, topic) {
+    if (subscription.once) {
+        subscriptions.delete(subscription);
+    }
+
+    try {
+        subscription.handler(payload, topic);
+    } catch (error) {
+        console.error(`🍎 Event handler for ${topic} failed:`, error);
+    }
+}
+
+/**
+ * Deliver a payload to bus subscribers
+ * @param {string} topic - Topic
+ * @param {*} payload - Payload
+ */
+function deliver(topic, payload) {
+    lastValues.set(topic, payload);
+
+    Array.from(subscriptions).forEach(subscription => {
+        if (subscriptions.has(subscription) && matchesTopic(subscription.pattern, topic)) {
+            invoke(subscription, payload, topic);
+        }
+    });
+}
+
+/**
+ * Subscribe to a topic or wildcard pattern
+ * @param {string} pattern - Topic or pattern ("theme:changed", "route:*", "*")
+ * @param {Function} handler - Called with (payload, topic)
+ * @param {Object} options - { once, replay, owner }
+ * @returns {Function} Unsubscribe function
+ */
+export function on(pattern, handler, options = {}) {
+    if (!pattern || typeof handler !== 'function') {
+        console.warn('🍎 Event subscription requires a topic and a handler');
+        return () => {};
+    }
+
+    const { once: onlyOnce = false, replay = false, owner = null } = options;
+    const subscription = { pattern, handler, once: onlyOnce, owner };
+
+    subscriptions.add(subscription);
+
+    // Late subscribers catch up with what already happened
+    if (replay) {
+        for (const [topic, payload] of lastValues) {
+            if (!subscriptions.has(subscription)) break;
+            if (matchesTopic(pattern, topic)) {
+                invoke(subscription, payload, topic);
+            }
+        }
+    }
+
+    return () => {
+        subscriptions.delete(subscription);
+    };
+}
+
+/**
+ * Subscribe for a single event
+ * @param {string} pattern - Topic or pattern
+ * @param {Function} handler - Handler
+ * @param {Object} options - { replay, owner }
+ * @returns {Function} Unsubscribe function
+ */
+export function once(pattern, handler, options = {}) {
+    return on(pattern, handler, { ...options, once: true });
+}
+
+/**
+ * Remove a handler from a topic or pattern
+ * @param {string} pattern - Pattern it was subscribed with
+ * @param {Function} handler - Handler
+ */
+export function off(pattern, handler) {
+    subscriptions.forEach(subscription => {
+        if (subscription.pattern === pattern && subscription.handler === handler) {
+            subscriptions.delete(subscription);
+        }
+    });
+}
+
+/**
+ * Remove every subscription of an owner (e.g. a destroyed component)
+ * @param {*} owner - Owner passed when subscribing
+ * @returns {number} Removed subscriptions
+ */
+export function offOwner(owner) {
+    let removed = 0;
+
+    subscriptions.forEach(subscription => {
+        if (owner !== null && subscription.owner === owner) {
+            subscriptions.delete(subscription);
+            removed++;
+        }
+    });
+
+    return removed;
+}
+
+/**
+ * Publish an event
+ * Catalogued topics are dispatched as their DOM CustomEvent, which the
+ * bridge feeds back into the bus, so both kinds of listeners fire.
+ * @param {string} topic - Topic (no wildcards)
+ * @param {*} payload - Payload
+ */
+export function emit(topic, payload) {
+    const definition = EVENT_TOPICS[topic];
+
+    if (definition) {
+        document.dispatchEvent(new CustomEvent(definition.domEvent, { detail: payload }));
+        return;
+    }
+
+    deliver(topic, payload);
+}
+
+/**
+ * Get the last payload emitted on a topic
+ * @param {string} topic - Topic
+ * @returns {*} Payload or undefined
+ */
+export function getLastEvent(topic) {
+    return lastValues.get(topic);
+}
+
+/**
+ * Create a scope whose subscriptions are removed together
+ * @param {*} owner - Owner (defaults to a new scope object)
+ * @returns {Object} { on, once, emit, dispose }
+ */
+export function createEventScope(owner = {}) {
+    return {
+        on: (pattern, handler, options = {}) => on(pattern, handler, { ...options, owner }),
+        once: (pattern, handler, options = {}) => once(pattern, handler, { ...options, owner }),
+        emit,
+        dispose: () => offOwner(owner)
+    };
+}
+
+/**
+ * Bridge legacy DOM events into the bus
+ */
+domEventTopics.forEach((topic, domEvent) => {
+    document.addEventListener(domEvent, (event) => deliver(topic, event.detail));
+});
@@ -0,0 +1,974 @@
+// js/core/forms.js
+
+/**
+ * Forms Module
+ * Declarative validation and a submit lifecycle for any <form>. Rules come
+ * from HTML attributes (required, type, minlength, pattern, accept…) and an
+ * optional schema; errors are rendered inline and linked with
+ * aria-describedby. Submissions that fail on the network are retried with
+ * exponential backoff.
+ */
+
+import { debounce, generateId, normalizePhone } from './utils.js';
+import { $, $$, addEvent, createElement } from './dom.js';
+import { t } from './i18n.js';
+
+/**
+ * Phone number formats: patterns, or checks that receive the compact number
+ * Checked after removing spaces, dashes, dots and brackets, except `loose`
+ * which accepts anything that looks like a phone number. Numbers for
+ * countries with dialing rules go through normalizePhone, so a number the
+ * forms accept can also be dialled and formatted.
+ */
+export const PHONE_FORMATS = {
+    // +[country][number], 8 to 15 digits
+    e164: compact => /^\+[1-9]\d{7,14}$/.test(compact) && normalizePhone(compact) !== null,
+    // Indonesian mobile (08…, +628…) and landline (021…, +6221…) numbers
+    id: compact => /^\+?\d+$/.test(compact) && (normalizePhone(compact, { country: 'ID' }) || '').startsWith('+62'),
+    loose: /^\+?[\d\s\-().]{7,20}$/
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Default messages (catalog keys forms.*); functions receive (rule value, field label)
+ */
+const DEFAULT_MESSAGES = {
+    required: (rule, label) => t('forms.required', { label }),
+    choose: (rule, label) => t('forms.choose', { label }),
+    confirm: (rule, label) => t('forms.confirm', { label }),
+    attach: (rule, label) => t('forms.attach', { label }),
+    email: () => t('forms.email'),
+    phone: (formats) => {
+        if (formats.length === 1 && formats[0] === 'e164') return t('forms.phoneE164');
+        if (formats.length === 1 && formats[0] === 'id') return t('forms.phoneId');
+        return t('forms.phone');
+    },
+    minLength: (min) => t('forms.minLength', { min }),
+    maxLength: (max) => t('forms.maxLength', { max }),
+    pattern: (rule, label) => t('forms.pattern', { label }),
+    min: (min) => t('forms.min', { min }),
+    max: (max) => t('forms.max', { max }),
+    fileType: (types) => t('forms.fileType', { types: types.join(', ') }),
+    fileSize: (maxSize) => t('forms.fileSize', { size: formatFileSize(maxSize) }),
+    fileCount: (maxFiles) => t('forms.fileCount', { max: maxFiles }),
+    invalid: (rule, label) => t('forms.invalid', { label })
+};
+
+/**
+ * Default lifecycle messages for a [data-form-status] element
+ */
+const DEFAULT_STATUS_MESSAGES = {
+    invalid: (count) => t('forms.status.invalid', { count }),
+    submitting: () => t('forms.status.submitting'),
+    retrying: (seconds) => t('forms.status.retrying', { seconds }),
+    success: () => t('forms.status.success'),
+    queued: () => t('forms.status.queued'),
+    error: () => t('forms.status.error')
+};
+
+/**
+ * Format a byte size for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Check a phone number against one or more formats
+ * @param {string} value - Phone number
+ * @param {string|string[]} formats - 'e164', 'id' or 'loose'
+ * @returns {boolean} Matches one of the formats
+ */
+export function isValidPhone(value, formats = 'loose') {
+    const compact = String(value).replace(/[\s\-().]/g, '');
+
+    return [].concat(formats).some(format => {
+        const pattern = PHONE_FORMATS[format];
+        if (!pattern) {
+            console.warn(`🍎 Unknown phone format: ${format}`);
+            return false;
+        }
+        if (typeof pattern === 'function') return pattern(compact);
+        return pattern.test(format === 'loose' ? String(value) : compact);
+    });
+}
+
+/**
+ * Check files against type, size and count limits
+ * @param {File[]} files - Files
+ * @param {Object} rules - { types: ['image/*', '.pdf'], maxSize, maxFiles }
+ * @returns {Object|null} { rule, value } of the first broken rule
+ */
+export function checkFiles(files, rules = {}) {
+    const { types = [], maxSize = 0, maxFiles = 0 } = rules;
+
+    if (maxFiles > 0 && files.length > maxFiles) {
+        return { rule: 'fileCount', value: maxFiles };
+    }
+
+    const matchesType = file => types.some(type => {
+        if (type.startsWith('.')) return file.name.toLowerCase().endsWith(type.toLowerCase());
+        if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+        return file.type === type;
+    });
+
+    if (types.length > 0 && !files.every(matchesType)) {
+        return { rule: 'fileType', value: types };
+    }
+
+    if (maxSize > 0 && files.some(file => file.size > maxSize)) {
+        return { rule: 'fileSize', value: maxSize };
+    }
+
+    return null;
+}
+
+/**
+ * Whether a failed submission is worth retrying
+ * (network failure before a response, timeout, rate limit or gateway error)
+ * @param {Error} error - Submission error
+ * @returns {boolean} Retry
+ */
+export function isRetryableError(error) {
+    if (!error) return false;
+    if (error.timedOut || error.network) return true;
+    return [408, 429, 502, 503, 504].includes(error.status);
+}
+
+/**
+ * Send data as JSON (or multipart when it is FormData)
+ * Rejects with an Error carrying `status`, `body` and the server's
+ * field `errors` ({ name: message }) when the response is not ok, with
+ * `network` when fetch failed before any response.
+ * GET and HEAD requests (or a null body) send no body.
+ * @param {string} url - Endpoint
+ * @param {Object|FormData|null} data - Body
+ * @param {Object} options - { method, timeout, signal, headers, cache }
+ * @returns {Promise<Object>} Response body
+ */
+export async function submitJson(url, data, options = {}) {
+    const { method = 'POST', timeout = 15000, signal, headers = {}, cache } = options;
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const stopForwarding = signal ? addEvent(signal, 'abort', () => controller.abort()) : () => {};
+
+    const hasBody = data != null && !['GET', 'HEAD'].includes(method.toUpperCase());
+    const isFormData = typeof FormData !== 'undefined' && data instanceof FormData;
+
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                ...(hasBody && !isFormData ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: hasBody ? (isFormData ? data : JSON.stringify(data)) : undefined,
+            ...(cache ? { cache } : {}),
+            signal: controller.signal
+        }).catch(error => {
+            // fetch rejects with a TypeError when the request never got a response
+            if (error.name === 'TypeError') error.network = true;
+            throw error;
+        });
+
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(body.message || `Request failed (${response.status})`);
+            error.status = response.status;
+            error.body = body;
+            error.errors = body.errors && typeof body.errors === 'object' ? body.errors : null;
+            throw error;
+        }
+
+        return body;
+    } catch (error) {
+        if (timedOut) error.timedOut = true;
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        stopForwarding();
+    }
+}
+
+/**
+ * Wait before a retry; returns early when the connection comes back
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise} Resolves when it is time to retry
+ */
+function waitForRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const cleanups = [];
+        const finish = (callback) => {
+            clearTimeout(timer);
+            cleanups.forEach(cleanup => cleanup());
+            callback();
+        };
+
+        const timer = setTimeout(() => finish(resolve), delay);
+
+        if (!navigator.onLine) {
+            cleanups.push(addEvent(window, 'online', () => finish(resolve)));
+        }
+
+        cleanups.push(addEvent(signal, 'abort', () => {
+            const error = new Error('Submission cancelled');
+            error.name = 'AbortError';
+            finish(() => reject(error));
+        }));
+    });
+}
+
+/**
+ * Attach validation and a submit lifecycle to a form
+ *
+ * Schema rules per field name (all optional; attributes are used otherwise):
+ *   { label, required, email, phone: 'e164'|'id'|'loose'|[...], minLength,
+ *     maxLength, pattern, min, max, file: { types, maxSize, maxFiles },
+ *     validate: (value, values, { field, fields, signal }) => message|false|true,
+ *     messages: { required: '…', phone: (formats, label) => '…' } }
+ * `validate` may be async and may be an array. A schema entry of `false`
+ * leaves the field alone (e.g. inputs a component checks itself).
+ *
+ * With `offlineQueue: 'tag'` the service worker keeps posts it cannot
+ * deliver and replies `{ queued: true }`; the form then ends in 'queued'.
+ *
+ * @param {string|Element} formEl - Form or selector
+ * @param {Object} schema - Rules by field name
+ * @param {Object} options - Submission and behaviour options
+ * @returns {Object|null} Form controller
+ */
+export function createForm(formEl, schema = {}, options = {}) {
+    const form = typeof formEl === 'string' ? $(formEl) : formEl;
+    if (!form || form.tagName !== 'FORM') {
+        console.warn(`Form not found: ${formEl}`);
+        return null;
+    }
+
+    let settings = {
+        submit: null,
+        validateOn: 'blur', // 'blur', 'input' or 'submit'
+        retries: 3,
+        retryDelay: 1000,
+        maxRetryDelay: 15000,
+        timeout: 15000,
+        isRetryable: isRetryableError,
+        errorClass: 'form-error',
+        focusInvalid: true,
+        resetOnSuccess: false,
+        offlineQueue: null,
+        messages: {},
+        statusMessages: {},
+        onInvalid: null,
+        onSuccess: null,
+        onError: null,
+        onStateChange: null,
+        ...options
+    };
+
+    let rulesByName = { ...schema };
+
+    const formId = form.id || generateId('form');
+    const state = {
+        status: 'idle',
+        errors: {},
+        attempt: 0,
+        result: null,
+        error: null
+    };
+
+    const cleanupFunctions = [];
+    const validationRuns = new Map();
+    const revalidators = new Map();
+    const disabledButtons = new Set();
+    let submitController = null;
+    let pendingSubmit = null;
+
+    form.noValidate = true;
+
+    /**
+     * Form controls for a name
+     */
+    const getFields = name => Array.from($$(`[name="${CSS.escape(name)}"]`, form));
+
+    /**
+     * Names of the fields to validate (optionally inside an element)
+     */
+    const getNames = (within = form) => {
+        const names = new Set();
+
+        $$('input[name], select[name], textarea[name]', within).forEach(field => {
+            if (!field.disabled && !['submit', 'button', 'reset', 'hidden'].includes(field.type)) {
+                names.add(field.name);
+            }
+        });
+
+        if (within === form) {
+            Object.keys(rulesByName).forEach(name => names.add(name));
+        }
+
+        return Array.from(names).filter(name => rulesByName[name] !== false);
+    };
+
+    /**
+     * Current value of a field
+     */
+    const getValue = name => {
+        const fields = getFields(name);
+        const field = fields[0];
+        if (!field) return '';
+
+        if (field.type === 'radio') {
+            const checked = fields.find(input => input.checked);
+            return checked ? checked.value : '';
+        }
+
+        if (field.type === 'checkbox') {
+            return fields.length > 1
+                ? fields.filter(input => input.checked).map(input => input.value)
+                : field.checked;
+        }
+
+        if (field.type === 'file') {
+            return fields.flatMap(input => Array.from(input.files || []));
+        }
+
+        if (field.tagName === 'SELECT' && field.multiple) {
+            return Array.from(field.selectedOptions).map(option => option.value);
+        }
+
+        return typeof field.value === 'string' ? field.value.trim() : field.value;
+    };
+
+    /**
+     * Values of every named field
+     * @returns {Object} Values by name
+     */
+    const getValues = () => {
+        const values = {};
+        getNames().forEach(name => {
+            values[name] = getValue(name);
+        });
+        return values;
+    };
+
+    /**
+     * Put values into the form
+     * @param {Object} values - Values by name
+     */
+    const setValues = (values = {}) => {
+        Object.entries(values).forEach(([name, value]) => {
+            getFields(name).forEach(field => {
+                if (field.type === 'radio') {
+                    field.checked = field.value === value;
+                } else if (field.type === 'checkbox') {
+                    field.checked = Array.isArray(value) ? value.includes(field.value) : Boolean(value);
+                } else if (field.type !== 'file') {
+                    field.value = value === null || value === undefined ? '' : value;
+                }
+            });
+        });
+    };
+
+    /**
+     * Human label used in messages
+     */
+    const getLabel = (name, field, rules) => {
+        if (rules.label) return rules.label;
+        if (field && field.getAttribute('data-label')) return field.getAttribute('data-label');
+
+        const label = field && field.id ? $(`label[for="${CSS.escape(field.id)}"]`, form) : null;
+        if (label) {
+            return label.textContent.replace(/\s*\(.*\)\s*$/, '').trim().toLowerCase();
+        }
+
+        return name;
+    };
+
+    /**
+     * Rules from attributes, overridden by the schema
+     */
+    const getRules = (name, fields) => {
+        const field = fields[0];
+        const rules = {};
+
+        if (field) {
+            if (fields.some(input => input.required)) rules.required = true;
+            if (field.type === 'email') rules.email = true;
+            if (field.type === 'tel') {
+                rules.phone = field.getAttribute('data-phone-format')
+                    ? field.getAttribute('data-phone-format').split(/[\s,]+/)
+                    : 'loose';
+            }
+            if (field.minLength > 0) rules.minLength = field.minLength;
+            if (field.maxLength > 0) rules.maxLength = field.maxLength;
+            if (field.getAttribute('pattern')) rules.pattern = new RegExp(`^(?:${field.getAttribute('pattern')})$`);
+            if (field.getAttribute('min')) rules.min = field.getAttribute('min');
+            if (field.getAttribute('max')) rules.max = field.getAttribute('max');
+
+            if (field.type === 'file') {
+                rules.file = {
+                    types: (field.getAttribute('accept') || '').split(',').map(type => type.trim()).filter(Boolean),
+                    maxSize: Number(field.getAttribute('data-max-size')) || 0,
+                    maxFiles: Number(field.getAttribute('data-max-files')) || (field.multiple ? 0 : 1)
+                };
+            }
+        }
+
+        return { ...rules, ...(rulesByName[name] || {}) };
+    };
+
+    /**
+     * Resolve a message for a broken rule
+     */
+    const getMessage = (key, ruleValue, label, rules) => {
+        const message = (rules.messages && rules.messages[key]) || settings.messages[key] || DEFAULT_MESSAGES[key];
+        return typeof message === 'function' ? message(ruleValue, label) : message;
+    };
+
+    /**
+     * Compare a value with a min/max bound (numbers or ISO dates)
+     */
+    const compare = (value, bound, field) => {
+        if (field && field.type === 'number') return Number(value) - Number(bound);
+        return String(value) < String(bound) ? -1 : String(value) > String(bound) ? 1 : 0;
+    };
+
+    /**
+     * Run the built-in rules
+     * @returns {string} Message ('' when valid)
+     */
+    const checkRules = (value, rules, label, field) => {
+        const empty = value === '' || value === false || value === null || value === undefined ||
+            (Array.isArray(value) && value.length === 0);
+
+        if (empty) {
+            if (!rules.required) return '';
+
+            if (field && field.type === 'file') return getMessage('attach', true, label, rules);
+            if (field && field.type === 'checkbox' && !Array.isArray(value)) return getMessage('confirm', true, label, rules);
+            if (field && (field.type === 'radio' || field.type === 'checkbox' || field.tagName === 'SELECT')) {
+                return getMessage('choose', true, label, rules);
+            }
+            return getMessage('required', true, label, rules);
+        }
+
+        if (rules.file && Array.isArray(value)) {
+            const broken = checkFiles(value, rules.file);
+            return broken ? getMessage(broken.rule, broken.value, label, rules) : '';
+        }
+
+        if (typeof value !== 'string') return '';
+
+        if (rules.email && !EMAIL_PATTERN.test(value)) {
+            return getMessage('email', true, label, rules);
+        }
+
+        if (rules.phone && !isValidPhone(value, rules.phone)) {
+            return getMessage('phone', [].concat(rules.phone), label, rules);
+        }
+
+        if (rules.minLength && value.length < rules.minLength) {
+            return getMessage('minLength', rules.minLength, label, rules);
+        }
+
+        if (rules.maxLength && value.length > rules.maxLength) {
+            return getMessage('maxLength', rules.maxLength, label, rules);
+        }
+
+        if (rules.pattern && !rules.pattern.test(value)) {
+            return getMessage('pattern', rules.pattern, label, rules);
+        }
+
+        if (rules.min !== undefined && compare(value, rules.min, field) < 0) {
+            return getMessage('min', rules.min, label, rules);
+        }
+
+        if (rules.max !== undefined && compare(value, rules.max, field) > 0) {
+            return getMessage('max', rules.max, label, rules);
+        }
+
+        return '';
+    };
+
+    /**
+     * Error element for a field (created after the field or its group)
+     */
+    const getErrorElement = (name, fields) => {
+        let error = $(`[data-error-for="${CSS.escape(name)}"]`, form);
+
+        if (!error && fields.length > 0) {
+            error = createElement('p', {
+                className: settings.errorClass,
+                id: `${formId}-${name}-error`,
+                'data-error-for': name
+            });
+
+            // Radio and checkbox groups: after the element wrapping the whole group
+            let anchor = fields[0];
+            if (fields.length > 1) {
+                while (anchor.parentElement && !fields.every(field => anchor.contains(field))) {
+                    anchor = anchor.parentElement;
+                }
+            }
+
+            anchor.insertAdjacentElement('afterend', error);
+        }
+
+        if (error) {
+            fields.forEach(field => {
+                const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+                if (!describedBy.includes(error.id)) {
+                    field.setAttribute('aria-describedby', [...describedBy, error.id].join(' '));
+                }
+            });
+        }
+
+        return error;
+    };
+
+    /**
+     * Show or clear the error of one field
+     */
+    const renderError = (name, message) => {
+        const fields = getFields(name);
+
+        if (message) {
+            state.errors[name] = message;
+            const error = getErrorElement(name, fields);
+            if (error) error.textContent = message;
+            fields.forEach(field => field.setAttribute('aria-invalid', 'true'));
+        } else {
+            delete state.errors[name];
+            const error = $(`[data-error-for="${CSS.escape(name)}"]`, form);
+            if (error) error.textContent = '';
+            fields.forEach(field => field.removeAttribute('aria-invalid'));
+        }
+    };
+
+    /**
+     * Turn a custom validator result into a message
+     */
+    const readResult = (result, label, rules) => {
+        if (typeof result === 'string') return result;
+        return result === false ? getMessage('invalid', true, label, rules) : '';
+    };
+
+    /**
+     * Validate one field
+     * @param {string} name - Field name
+     * @param {Object} validateOptions - { report: render the result }
+     * @returns {Promise<string>} Message ('' when valid)
+     */
+    const validateField = async (name, validateOptions = {}) => {
+        const { report = true } = validateOptions;
+        const fields = getFields(name);
+        const rules = getRules(name, fields);
+        const value = getValue(name);
+        const label = getLabel(name, fields[0], rules);
+
+        // Newer runs of the same field win
+        const previous = validationRuns.get(name);
+        if (previous) previous.abort();
+        const run = new AbortController();
+        validationRuns.set(name, run);
+
+        let message = checkRules(value, rules, label, fields[0]);
+
+        if (!message && rules.validate) {
+            const values = getValues();
+
+            for (const validator of [].concat(rules.validate)) {
+                try {
+                    const result = await validator(value, values, { field: fields[0], fields, signal: run.signal });
+                    message = readResult(result, label, rules);
+                } catch (error) {
+                    if (run.signal.aborted) break;
+                    console.warn(`🍎 Validator for "${name}" failed:`, error);
+                    message = getMessage('invalid', true, label, rules);
+                }
+                if (message) break;
+            }
+        }
+
+        if (run.signal.aborted) {
+            return state.errors[name] || '';
+        }
+        validationRuns.delete(name);
+
+        if (report) {
+            renderError(name, message);
+        }
+
+        return message;
+    };
+
+    /**
+     * Check fields without rendering anything
+     * Async validators are skipped, so use validate() before submitting.
+     * @param {Object} checkOptions - { fields: names, within: Element }
+     * @returns {boolean} Fields pass the synchronous rules
+     */
+    const isValid = (checkOptions = {}) => {
+        const names = checkOptions.fields || getNames(checkOptions.within || form);
+        const values = getValues();
+
+        return names.every(name => {
+            const fields = getFields(name);
+            const rules = getRules(name, fields);
+            const label = getLabel(name, fields[0], rules);
+
+            if (checkRules(values[name], rules, label, fields[0])) return false;
+
+            return [].concat(rules.validate || []).every(validator => {
+                try {
+                    const result = validator(values[name], values, { field: fields[0], fields, signal: null });
+                    return result instanceof Promise || !readResult(result, label, rules);
+                } catch (error) {
+                    return false;
+                }
+            });
+        });
+    };
+
+    /**
+     * Focus the first invalid field in document order
+     */
+    const focusFirstInvalid = (names) => {
+        const first = Array.from($$('input[name], select[name], textarea[name]', form))
+            .find(field => names.includes(field.name));
+        if (!first) return;
+
+        const target = first.type === 'radio'
+            ? getFields(first.name).find(field => field.checked) || first
+            : first;
+        target.focus();
+    };
+
+    /**
+     * Update the lifecycle state
+     */
+    const setStatus = (status, detail) => {
+        state.status = status;
+        form.setAttribute('data-form-state', status);
+
+        const busy = status === 'submitting' || status === 'retrying';
+        form.setAttribute('aria-busy', String(busy));
+
+        if (busy) {
+            $$('[type="submit"]', form).forEach(button => {
+                if (!button.disabled) {
+                    button.disabled = true;
+                    disabledButtons.add(button);
+                }
+            });
+        } else {
+            disabledButtons.forEach(button => {
+                button.disabled = false;
+            });
+            disabledButtons.clear();
+        }
+
+        const statusElement = $('[data-form-status]', form);
+        if (statusElement) {
+            const message = settings.statusMessages[status] || DEFAULT_STATUS_MESSAGES[status];
+            statusElement.textContent = typeof message === 'function' ? message(detail) : (message || '');
+        }
+
+        if (typeof settings.onStateChange === 'function') {
+            settings.onStateChange(status, { ...state });
+        }
+    };
+
+    /**
+     * Validate several fields
+     * @param {Object} validateOptions - { fields: names, within: Element, report, focus }
+     * @returns {Promise<Object>} { valid, errors }
+     */
+    const validate = async (validateOptions = {}) => {
+        const { within, report = true, focus = report && settings.focusInvalid } = validateOptions;
+        const names = validateOptions.fields || getNames(within || form);
+
+        const messages = await Promise.all(names.map(name => validateField(name, { report })));
+        const errors = {};
+        names.forEach((name, index) => {
+            if (messages[index]) errors[name] = messages[index];
+        });
+
+        const invalidNames = Object.keys(errors);
+
+        if (invalidNames.length > 0 && report) {
+            if (typeof settings.onInvalid === 'function') {
+                settings.onInvalid(errors);
+            }
+            if (focus) {
+                focusFirstInvalid(invalidNames);
+            }
+        }
+
+        return { valid: invalidNames.length === 0, errors };
+    };
+
+    /**
+     * Show errors (e.g. from the server)
+     * @param {Object} errors - Messages by field name
+     */
+    const setErrors = (errors = {}) => {
+        Object.entries(errors).forEach(([name, message]) => renderError(name, message));
+    };
+
+    /**
+     * Clear errors
+     * @param {string[]} names - Field names (default: all)
+     */
+    const clearErrors = (names) => {
+        const targets = names || Array.from(new Set([
+            ...Object.keys(state.errors),
+            ...Array.from($$('[data-error-for]', form)).map(error => error.getAttribute('data-error-for'))
+        ]));
+        targets.forEach(name => renderError(name, ''));
+    };
+
+    /**
+     * Default submission: the form's action and method
+     */
+    const defaultSubmit = (values, { signal }) => {
+        const hasFiles = Array.from($$('input[type="file"]', form)).some(input => input.files && input.files.length > 0);
+        const method = (form.getAttribute('method') || 'POST').toUpperCase();
+
+        // A GET request cannot carry the body
+        return submitJson(form.action, hasFiles ? new FormData(form) : values, {
+            method: method === 'GET' ? 'POST' : method,
+            timeout: settings.timeout,
+            signal,
+            headers: settings.offlineQueue ? { 'X-Offline-Queue': settings.offlineQueue } : {}
+        });
+    };
+
+    /**
+     * Delay before retry `attempt` (exponential with jitter)
+     */
+    const getRetryDelay = attempt => {
+        const base = Math.min(settings.retryDelay * 2 ** (attempt - 1), settings.maxRetryDelay);
+        return Math.round(base * (0.8 + Math.random() * 0.4));
+    };
+
+    /**
+     * Send the values, retrying network failures
+     */
+    const send = async (values) => {
+        const handler = typeof settings.submit === 'function' ? settings.submit : defaultSubmit;
+        const controller = new AbortController();
+        submitController = controller;
+
+        setStatus('submitting');
+
+        for (let attempt = 1; ; attempt++) {
+            state.attempt = attempt;
+
+            try {
+                const result = await handler(values, { signal: controller.signal, attempt, form: api });
+                if (controller.signal.aborted) return { ok: false, aborted: true };
+
+                state.result = result;
+                state.error = null;
+                setStatus(result && result.queued ? 'queued' : 'success');
+
+                if (typeof settings.onSuccess === 'function') {
+                    settings.onSuccess(result, values);
+                }
+                if (settings.resetOnSuccess) {
+                    form.reset();
+                    clearErrors();
+                }
+
+                return { ok: true, queued: Boolean(result && result.queued), result };
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    setStatus('idle');
+                    return { ok: false, aborted: true };
+                }
+
+                if (attempt <= settings.retries && settings.isRetryable(error)) {
+                    const delay = getRetryDelay(attempt);
+                    setStatus('retrying', Math.ceil(delay / 1000));
+
+                    try {
+                        await waitForRetry(delay, controller.signal);
+                    } catch (abortError) {
+                        setStatus('idle');
+                        return { ok: false, aborted: true };
+                    }
+
+                    setStatus('submitting');
+                    continue;
+                }
+
+                if (error.errors) {
+                    setErrors(error.errors);
+                }
+
+                state.error = error;
+                setStatus('error');
+                console.warn('🍎 Form submission failed:', error);
+
+                if (typeof settings.onError === 'function') {
+                    settings.onError(error, values);
+                }
+
+                return { ok: false, error };
+            }
+        }
+    };
+
+    /**
+     * Validate and submit
+     * @returns {Promise<Object>} { ok, result?, error?, errors?, aborted? }
+     */
+    const submit = () => {
+        if (pendingSubmit) return pendingSubmit;
+
+        pendingSubmit = (async () => {
+            setStatus('validating');
+            const { valid, errors } = await validate();
+
+            if (!valid) {
+                setStatus('invalid', Object.keys(errors).length);
+                return { ok: false, errors };
+            }
+
+            return send(getValues());
+        })().finally(() => {
+            pendingSubmit = null;
+            submitController = null;
+        });
+
+        return pendingSubmit;
+    };
+
+    /**
+     * Cancel a running submission (and its retries)
+     */
+    const cancel = () => {
+        if (submitController) submitController.abort();
+    };
+
+    /**
+     * Re-check a field that shows an error while it is being fixed
+     */
+    const revalidate = name => {
+        if (!revalidators.has(name)) {
+            revalidators.set(name, debounce(() => validateField(name), 250));
+        }
+        revalidators.get(name)();
+    };
+
+    cleanupFunctions.push(
+        addEvent(form, 'submit', (e) => {
+            e.preventDefault();
+            submit();
+        })
+    );
+
+    cleanupFunctions.push(
+        addEvent(form, 'input change', (e) => {
+            const { name } = e.target;
+            if (!name || rulesByName[name] === false) return;
+
+            if (settings.validateOn === 'input' || state.errors[name]) {
+                revalidate(name);
+            }
+        })
+    );
+
+    cleanupFunctions.push(
+        addEvent(form, 'focusout', (e) => {
+            const { name } = e.target;
+            if (!name || rulesByName[name] === false || settings.validateOn !== 'blur') return;
+
+            // Moving between options of the same group is not leaving the field
+            const next = e.relatedTarget;
+            if (next && next.name === name && form.contains(next)) return;
+
+            if (getValue(name) !== '' || state.errors[name]) {
+                validateField(name);
+            }
+        })
+    );
+
+    cleanupFunctions.push(
+        addEvent(form, 'reset', () => {
+            cancel();
+            // Values reset after the event
+            setTimeout(() => {
+                clearErrors();
+                setStatus('idle');
+            }, 0);
+        })
+    );
+
+    const api = {
+        element: form,
+        validate,
+        validateField,
+        isValid,
+        getValues,
+        getValue,
+        setValues,
+        setErrors,
+        clearErrors,
+        getErrors: () => ({ ...state.errors }),
+        submit,
+        cancel,
+
+        /**
+         * Reset values, errors and state
+         */
+        reset() {
+            form.reset();
+        },
+
+        /**
+         * Update options at runtime
+         * @param {Object} newOptions - New options
+         */
+        updateOptions(newOptions = {}) {
+            settings = { ...settings, ...newOptions };
+        },
+
+        /**
+         * Replace or extend field rules
+         * @param {Object} newSchema - Rules by field name
+         */
+        updateSchema(newSchema = {}) {
+            rulesByName = { ...rulesByName, ...newSchema };
+        },
+
+        getState: () => ({ ...state, errors: { ...state.errors } }),
+
+        /**
+         * Remove listeners and cancel pending work
+         */
+        destroy() {
+            cancel();
+            validationRuns.forEach(run => run.abort());
+            validationRuns.clear();
+            cleanupFunctions.forEach(cleanup => cleanup());
+            cleanupFunctions.length = 0;
+        }
+    };
+
+    setStatus('idle');
+    return api;
+}
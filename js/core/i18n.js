@@ -0,0 +1,407 @@
+// js/core/i18n.js
+
+/**
+ * Internationalization Module
+ * Message catalogs (data/i18n/<locale>.json), ICU-style messages and
+ * in-place page translation through data-i18n attributes:
+ *
+ *   <h2 data-i18n="estimator.title">Instant estimate</h2>
+ *   <input data-i18n-attr="placeholder:tracker.contactPlaceholder">
+ *   <p data-i18n="offline.queued" data-i18n-params='{"count": 2}'></p>
+ *
+ * Messages support {name}, {count, plural, =0 {…} one {# item} other {# items}}
+ * and {kind, select, phone {…} other {…}}.
+ */
+
+import { emit } from './events.js';
+import { getDeviceInfo } from './device.js';
+import { getIntlFormatter, setFormatLocale } from './utils.js';
+
+/**
+ * Supported locales
+ */
+export const SUPPORTED_LOCALES = {
+    en: { label: 'English', short: 'EN', intl: 'en-US' },
+    id: { label: 'Bahasa Indonesia', short: 'ID', intl: 'id-ID' }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Module state
+ */
+const catalogs = new Map(); // locale -> Promise<catalog>
+const loaded = new Map(); // locale -> catalog
+const missingKeys = new Set();
+
+let currentLocale = DEFAULT_LOCALE;
+// Latest setLocale call; slower, older calls don't apply their result
+let localeRequest = 0;
+let settings = {
+    src: new URL('../../data/i18n/', import.meta.url).href,
+    storageKey: 'techfix-pro-locale',
+    // Longest wait for the first catalog before startup goes on without it
+    timeout: 1500
+};
+
+/**
+ * Match a language tag to a supported locale
+ * @param {string} tag - Language tag, e.g. 'id-ID'
+ * @returns {string|null} Supported locale
+ */
+export function matchLocale(tag) {
+    if (!tag) return null;
+
+    const language = String(tag).toLowerCase().split(/[-_]/)[0];
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_LOCALES, language) ? language : null;
+}
+
+/**
+ * Pick the locale: saved choice, ?lang=, then the browser language
+ * @returns {string} Locale
+ */
+export function detectLocale() {
+    try {
+        const stored = matchLocale(localStorage.getItem(settings.storageKey));
+        if (stored) return stored;
+    } catch (error) {
+        console.warn('Could not access localStorage:', error);
+    }
+
+    const fromUrl = matchLocale(new URLSearchParams(window.location.search).get('lang'));
+    if (fromUrl) return fromUrl;
+
+    return matchLocale(getDeviceInfo().language) || DEFAULT_LOCALE;
+}
+
+/**
+ * Load a message catalog (fetched once per page)
+ * @param {string} locale - Locale
+ * @returns {Promise<Object>} Catalog
+ */
+export function loadCatalog(locale) {
+    if (!catalogs.has(locale)) {
+        const request = fetch(`${settings.src}${locale}.json`, { headers: { Accept: 'application/json' } })
+            .then(response => {
+                if (!response.ok) throw new Error(`Catalog request failed (${response.status})`);
+                return response.json();
+            })
+            .catch(error => {
+                // Allow a retry on the next change
+                catalogs.delete(locale);
+                throw error;
+            });
+
+        catalogs.set(locale, request);
+    }
+
+    return catalogs.get(locale);
+}
+
+/**
+ * Look up a message
+ * @param {Object} catalog - Catalog
+ * @param {string} key - Dotted key
+ * @returns {string|undefined} Message
+ */
+function lookup(catalog, key) {
+    const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Index of the brace closing the one at `start`
+ * @param {string} text - Message
+ * @param {number} start - Index of '{'
+ * @returns {number} Index of the matching '}'
+ */
+function findClosingBrace(text, start) {
+    let depth = 0;
+
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        if (text[i] === '}' && --depth === 0) return i;
+    }
+
+    throw new SyntaxError(`Unclosed "{" in message: ${text}`);
+}
+
+/**
+ * Parse plural/select options: "one {…} other {…}"
+ * @param {string} text - Options
+ * @returns {Object} Sub-messages by selector
+ */
+function parseOptions(text) {
+    const options = {};
+    let i = 0;
+
+    while (i < text.length) {
+        while (/\s/.test(text[i])) i++;
+        if (i >= text.length) break;
+
+        const open = text.indexOf('{', i);
+        if (open === -1) throw new SyntaxError(`Missing "{" after selector in: ${text}`);
+
+        const selector = text.slice(i, open).trim();
+        const close = findClosingBrace(text, open);
+
+        options[selector] = text.slice(open + 1, close);
+        i = close + 1;
+    }
+
+    return options;
+}
+
+/**
+ * Format one {argument}
+ * @param {string} body - Argument without braces
+ * @param {Object} params - Values
+ * @param {string} locale - Locale
+ * @returns {string} Formatted text
+ */
+function formatArgument(body, params, locale) {
+    const [name, type, ...rest] = body.split(',');
+    const key = name.trim();
+    const value = params[key];
+
+    if (!type) {
+        return value === undefined || value === null ? `{${key}}` : String(value);
+    }
+
+    const kind = type.trim();
+    const options = parseOptions(rest.join(','));
+
+    if (kind === 'plural') {
+        const count = Number(value) || 0;
+        const message = options[`=${count}`] ?? options[getIntlFormatter('PluralRules', getIntlLocale(locale)).select(count)] ?? options.other ?? '';
+        return formatMessage(message, params, locale, count);
+    }
+
+    if (kind === 'select') {
+        return formatMessage(options[value] ?? options.other ?? '', params, locale);
+    }
+
+    if (kind === 'number') {
+        return getIntlFormatter('NumberFormat', getIntlLocale(locale)).format(Number(value) || 0);
+    }
+
+    return value === undefined ? '' : String(value);
+}
+
+/**
+ * Format an ICU-style message
+ * @param {string} message - Message
+ * @param {Object} params - Values
+ * @param {string} locale - Locale (default: current)
+ * @param {number} count - Value for '#' inside a plural branch
+ * @returns {string} Formatted text
+ */
+export function formatMessage(message, params = {}, locale = currentLocale, count) {
+    let output = '';
+    let i = 0;
+
+    while (i < message.length) {
+        const char = message[i];
+
+        if (char === '{') {
+            const close = findClosingBrace(message, i);
+            output += formatArgument(message.slice(i + 1, close), params, locale);
+            i = close + 1;
+        } else if (char === '#' && count !== undefined) {
+            output += getIntlFormatter('NumberFormat', getIntlLocale(locale)).format(count);
+            i++;
+        } else {
+            output += char;
+            i++;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Translate a key
+ * Falls back to the default locale, then to the key itself.
+ * @param {string} key - Dotted key, e.g. 'nav.services'
+ * @param {Object} params - Message values
+ * @returns {string} Text
+ */
+export function t(key, params = {}) {
+    const message = lookup(loaded.get(currentLocale), key) ?? lookup(loaded.get(DEFAULT_LOCALE), key);
+
+    if (message === undefined) {
+        if (!missingKeys.has(key)) {
+            missingKeys.add(key);
+            console.warn(`🍎 Missing translation: ${key}`);
+        }
+        return key;
+    }
+
+    try {
+        return formatMessage(message, params, currentLocale);
+    } catch (error) {
+        console.error(`🍎 Invalid message for ${key}:`, error);
+        return message;
+    }
+}
+
+/**
+ * Whether a key exists in the current or default catalog
+ * @param {string} key - Dotted key
+ * @returns {boolean} Has a message
+ */
+export function hasTranslation(key) {
+    return lookup(loaded.get(currentLocale), key) !== undefined ||
+        lookup(loaded.get(DEFAULT_LOCALE), key) !== undefined;
+}
+
+/**
+ * Current locale
+ * @returns {string} Locale
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * BCP 47 tag for Intl formatters
+ * @param {string} locale - Locale (default: current)
+ * @returns {string} Tag, e.g. 'id-ID'
+ */
+export function getIntlLocale(locale = currentLocale) {
+    return (SUPPORTED_LOCALES[locale] || SUPPORTED_LOCALES[DEFAULT_LOCALE]).intl;
+}
+
+/**
+ * Read data-i18n-params
+ * @param {Element} element - Element
+ * @returns {Object} Params
+ */
+function getParams(element) {
+    const raw = element.getAttribute('data-i18n-params');
+    if (!raw) return {};
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        console.warn('🍎 Invalid data-i18n-params:', raw);
+        return {};
+    }
+}
+
+/**
+ * Translate data-i18n and data-i18n-attr elements in place
+ * @param {Element|Document} root - Subtree (default: document)
+ */
+export function translatePage(root = document) {
+    const scope = root.querySelectorAll ? root : document;
+    const matches = selector => [
+        ...(scope.matches && scope.matches(selector) ? [scope] : []),
+        ...scope.querySelectorAll(selector)
+    ];
+
+    matches('[data-i18n]').forEach(element => {
+        element.textContent = t(element.getAttribute('data-i18n'), getParams(element));
+    });
+
+    // "attr:key; attr:key"
+    matches('[data-i18n-attr]').forEach(element => {
+        const params = getParams(element);
+
+        element.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part && part.trim());
+            if (attribute && key) {
+                element.setAttribute(attribute, t(key, params));
+            }
+        });
+    });
+
+    if (root === document) {
+        document.documentElement.lang = currentLocale;
+    }
+}
+
+/**
+ * Switch the locale and translate the page
+ * @param {string} locale - Locale
+ * @param {Object} options - { persist: save the choice (default true) }
+ * @returns {Promise<string>} Active locale
+ */
+export async function setLocale(locale, options = {}) {
+    const { persist = true } = options;
+    const next = matchLocale(locale);
+
+    if (!next) {
+        console.warn(`🍎 Unsupported locale: ${locale}`);
+        return currentLocale;
+    }
+
+    // First load: text rendered from the inline page copy needs a refresh too
+    const firstLoad = !loaded.has(next) || !loaded.has(DEFAULT_LOCALE);
+    const request = ++localeRequest;
+
+    try {
+        const [catalog, fallback] = await Promise.all([loadCatalog(next), loadCatalog(DEFAULT_LOCALE)]);
+        loaded.set(next, catalog);
+        loaded.set(DEFAULT_LOCALE, fallback);
+    } catch (error) {
+        console.error(`🍎 Could not load the ${next} catalog:`, error);
+        return currentLocale;
+    }
+
+    // A later choice (or the visitor's, after detection) wins
+    if (request !== localeRequest) return currentLocale;
+
+    if (persist) {
+        try {
+            localStorage.setItem(settings.storageKey, next);
+        } catch (error) {
+            console.warn('Could not save to localStorage:', error);
+        }
+    }
+
+    const previous = currentLocale;
+    currentLocale = next;
+    setFormatLocale(getIntlLocale(next));
+    translatePage();
+
+    if (previous !== next || firstLoad) {
+        emit('i18n:change', { locale: next, previous });
+    }
+
+    return next;
+}
+
+/**
+ * Load the detected locale and translate the page
+ * Waits at most `timeout` ms: on a slow connection startup continues with
+ * the page's inline text, and the catalog translates it (i18n:change) when
+ * it arrives.
+ * @param {Object} options - { src: catalog folder URL, storageKey, timeout }
+ * @returns {Promise<Function>} Cleanup function
+ */
+export async function initI18n(options = {}) {
+    settings = { ...settings, ...options };
+
+    let timer = null;
+    const loading = setLocale(detectLocale(), { persist: false });
+    const timedOut = new Promise(resolve => {
+        timer = setTimeout(resolve, settings.timeout);
+    });
+
+    await Promise.race([loading, timedOut]);
+    clearTimeout(timer);
+
+    // Follow a choice made in another tab
+    const handleStorage = (event) => {
+        if (event.key === settings.storageKey && matchLocale(event.newValue)) {
+            setLocale(event.newValue, { persist: false });
+        }
+    };
+
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+        window.removeEventListener('storage', handleStorage);
+    };
+}
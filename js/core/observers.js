@@ -23,7 +23,9 @@ export function observeIntersection(elements, callback, options = {}) {
         rootMargin: '0px 0px -10% 0px'
     };
 
-    const config = { ...defaultOptions, ...options };
+    // reportExits: also pass entries leaving the viewport (e.g. scroll-spy)
+    const { reportExits = false, ...observerOptions } = options;
+    const config = { ...defaultOptions, ...observerOptions };
     const elementList = elements.length ? Array.from(elements) : [elements];
 
     if (!('IntersectionObserver' in window)) {
@@ -38,6 +40,11 @@ export function observeIntersection(elements, callback, options = {}) {
     }
 
     const observer = new IntersectionObserver((entries) => {
+        if (reportExits) {
+            callback(entries);
+            return;
+        }
+
         // Filter only intersecting entries for performance
         const intersectingEntries = entries.filter(entry => entry.isIntersecting);
         if (intersectingEntries.length > 0) {
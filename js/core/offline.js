@@ -0,0 +1,215 @@
+// js/core/offline.js
+
+/**
+ * Offline Module
+ * Registers the service worker (sw.js) and keeps one observable network
+ * status: connectivity, worker state and the number of form posts waiting
+ * in the worker's queue. Where Background Sync is missing, queued posts are
+ * replayed when the connection returns or on request.
+ */
+
+import { createStore } from './store.js';
+import { emit } from './events.js';
+
+/**
+ * Network status
+ * - online: navigator.onLine
+ * - serviceWorker: 'unsupported' | 'registering' | 'ready' | 'failed'
+ * - backgroundSync: Background Sync is available
+ * - queued: form posts waiting to be sent
+ * - replaying: a replay is running
+ * - lastReplay: { sent, remaining, at } of the last replay
+ * - updateAvailable: a new worker is waiting
+ */
+export const networkStore = createStore({
+    online: navigator.onLine,
+    serviceWorker: 'serviceWorker' in navigator ? 'registering' : 'unsupported',
+    backgroundSync: false,
+    queued: 0,
+    replaying: false,
+    lastReplay: null,
+    updateAvailable: false
+});
+
+/**
+ * Service worker registration
+ */
+let registration = null;
+
+/**
+ * Current network status
+ * @returns {Object} Status snapshot
+ */
+export function getNetworkStatus() {
+    return { ...networkStore.getState() };
+}
+
+/**
+ * Send a message to the active worker and wait for its reply
+ * @param {Object} message - Message
+ * @param {number} timeout - Reply timeout in ms
+ * @returns {Promise<Object>} Reply
+ */
+function askWorker(message, timeout = 30000) {
+    const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!worker) return Promise.reject(new Error('No active service worker'));
+
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => reject(new Error('Service worker did not reply')), timeout);
+
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+/**
+ * Replay form posts queued by the service worker
+ * @returns {Promise<Object>} { sent, remaining }
+ */
+export async function replayQueuedRequests() {
+    if (networkStore.getState().replaying) {
+        return { sent: 0, remaining: networkStore.getState().queued };
+    }
+
+    networkStore.setState({ replaying: true });
+
+    try {
+        const result = await askWorker({ type: 'replay' });
+        if (result.error) throw new Error(result.error);
+
+        networkStore.setState({ lastReplay: { sent: result.sent, remaining: result.remaining, at: Date.now() } });
+        return { sent: result.sent, remaining: result.remaining };
+    } catch (error) {
+        console.warn('🍎 Replaying queued requests failed:', error);
+        return { sent: 0, remaining: networkStore.getState().queued };
+    } finally {
+        networkStore.setState({ replaying: false });
+    }
+}
+
+/**
+ * Handle messages from the service worker
+ * @param {MessageEvent} event - Message
+ */
+function handleWorkerMessage(event) {
+    const message = event.data || {};
+
+    if (message.type === 'queue') {
+        networkStore.setState({ queued: message.size });
+        emit('network:queue', { size: message.size, entries: message.entries || [] });
+    } else if (message.type === 'replayed') {
+        emit('network:replayed', message);
+    }
+}
+
+/**
+ * Register the service worker
+ * @param {string|URL} url - Worker script (default: sw.js at the site root)
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration
+ */
+export async function registerServiceWorker(url = new URL('../../sw.js', import.meta.url)) {
+    if (!('serviceWorker' in navigator)) {
+        networkStore.setState({ serviceWorker: 'unsupported' });
+        return null;
+    }
+
+    try {
+        networkStore.setState({ serviceWorker: 'registering' });
+        registration = await navigator.serviceWorker.register(url);
+
+        registration.addEventListener('updatefound', () => {
+            const installing = registration.installing;
+            if (!installing) return;
+
+            installing.addEventListener('statechange', () => {
+                // A waiting worker while another controls the page is an update
+                if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                    networkStore.setState({ updateAvailable: true });
+                }
+            });
+        });
+
+        await navigator.serviceWorker.ready;
+
+        networkStore.setState({
+            serviceWorker: 'ready',
+            backgroundSync: 'SyncManager' in window && Boolean(registration.sync)
+        });
+
+        if (navigator.serviceWorker.controller) {
+            askWorker({ type: 'queue' })
+                .then(reply => networkStore.setState({ queued: reply.size }))
+                .catch(() => {});
+        }
+
+        console.log('🍎 Service worker ready');
+        return registration;
+    } catch (error) {
+        console.warn('🍎 Service worker registration failed:', error);
+        networkStore.setState({ serviceWorker: 'failed' });
+        return null;
+    }
+}
+
+/**
+ * Activate a waiting service worker update (the page reloads on takeover)
+ */
+export function applyServiceWorkerUpdate() {
+    if (!registration || !registration.waiting) return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    registration.waiting.postMessage({ type: 'skip-waiting' });
+}
+
+/**
+ * Track connectivity and start the service worker
+ * @param {Object} options - { serviceWorker: script URL, or false to skip }
+ * @returns {Function} Cleanup function
+ */
+export function initOffline(options = {}) {
+    const { serviceWorker = new URL('../../sw.js', import.meta.url) } = options;
+
+    const setOnline = (online) => {
+        document.body.classList.toggle('offline', !online);
+        networkStore.setState({ online });
+        emit(online ? 'network:online' : 'network:offline', getNetworkStatus());
+        console.log(`🍎 Network: ${online ? 'Online' : 'Offline'}`);
+
+        // Without Background Sync the page has to ask for the replay
+        const { backgroundSync, queued } = networkStore.getState();
+        if (online && !backgroundSync && queued > 0) {
+            replayQueuedRequests();
+        }
+    };
+
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    document.body.classList.toggle('offline', !navigator.onLine);
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    }
+
+    if (serviceWorker) {
+        registerServiceWorker(serviceWorker);
+    } else if (!('serviceWorker' in navigator)) {
+        networkStore.setState({ serviceWorker: 'unsupported' });
+    }
+
+    return () => {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+        }
+    };
+}
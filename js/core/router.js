@@ -0,0 +1,437 @@
+// js/core/router.js
+
+/**
+ * Router Module
+ * Client-side navigation between the site's HTML pages: fetches the target
+ * page, swaps <main>, syncs head metadata and history, and re-runs page
+ * controllers. Any failure falls back to a regular full page load.
+ */
+
+import { addEvent } from './dom.js';
+import { pageTransition } from './animation.js';
+import { emit } from './events.js';
+
+/**
+ * Registered page controllers by name (from <main data-page="...">)
+ */
+const pages = new Map();
+
+/**
+ * Module scripts already evaluated in this document
+ */
+const loadedScripts = new Set();
+
+/**
+ * Active router instance
+ */
+let activeRouter = null;
+
+/**
+ * Head metadata kept in sync between routes
+ */
+const META_SELECTOR = 'meta[name]:not([name="viewport"]), meta[property]';
+
+/**
+ * Register a page controller
+ * `mount` must be idempotent: the page module may also self-initialize
+ * when it is first imported.
+ * @param {string} name - Page name (matches <main data-page>)
+ * @param {Object} controller - { mount(main), unmount() }
+ * @returns {Function} Unregister function
+ */
+export function registerPage(name, controller = {}) {
+    if (!name || typeof controller.mount !== 'function') {
+        console.warn('🍎 registerPage requires a name and a mount function');
+        return () => {};
+    }
+
+    pages.set(name, controller);
+
+    return () => {
+        if (pages.get(name) === controller) {
+            pages.delete(name);
+        }
+    };
+}
+
+/**
+ * Get the page name declared by a document
+ * @param {Document} doc - Document to inspect
+ * @param {string} mainSelector - Main content selector
+ * @returns {string|null} Page name
+ */
+function getPageName(doc, mainSelector) {
+    const main = doc.querySelector(mainSelector);
+    return (main && main.dataset.page) || (doc.body && doc.body.dataset.page) || null;
+}
+
+/**
+ * Strip the hash from a URL
+ * @param {URL} url - URL
+ * @returns {string} URL without hash
+ */
+function withoutHash(url) {
+    return url.href.replace(/#.*$/, '');
+}
+
+/**
+ * Check whether a clicked link should be routed client-side
+ * @param {MouseEvent} event - Click event
+ * @param {HTMLAnchorElement} link - Clicked link
+ * @returns {URL|null} Target URL when routable
+ */
+function getRoutableUrl(event, link) {
+    if (event.defaultPrevented || event.button !== 0) return null;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return null;
+    if (link.hasAttribute('download') || link.hasAttribute('data-no-router')) return null;
+
+    // Links that open a dialog (see AppleModal) keep their href as a fallback only
+    if (link.hasAttribute('data-modal-target')) return null;
+    if (link.target && link.target !== '_self') return null;
+    if ((link.getAttribute('rel') || '').split(/\s+/).includes('external')) return null;
+
+    let url;
+    try {
+        url = new URL(link.href, window.location.href);
+    } catch (error) {
+        return null;
+    }
+
+    if (url.origin !== window.location.origin) return null;
+
+    // Only pages: directory URLs or .html files
+    if (!/(\/|\.html?)$/i.test(url.pathname)) return null;
+
+    // Same-page hash links are handled by the navbar
+    if (url.hash && withoutHash(url) === withoutHash(new URL(window.location.href))) return null;
+
+    return url;
+}
+
+/**
+ * Sync title, meta tags, canonical link and lang from a fetched document
+ * @param {Document} doc - Fetched document
+ */
+function updateHead(doc) {
+    document.title = doc.title;
+
+    if (doc.documentElement.lang) {
+        document.documentElement.lang = doc.documentElement.lang;
+    }
+
+    const keyOf = meta => meta.getAttribute('name')
+        ? `name="${meta.getAttribute('name')}"`
+        : `property="${meta.getAttribute('property')}"`;
+
+    const incoming = new Map();
+    doc.head.querySelectorAll(META_SELECTOR).forEach(meta => incoming.set(keyOf(meta), meta));
+
+    document.head.querySelectorAll(META_SELECTOR).forEach(meta => {
+        const key = keyOf(meta);
+        const next = incoming.get(key);
+
+        if (next) {
+            meta.setAttribute('content', next.getAttribute('content') || '');
+            incoming.delete(key);
+        } else {
+            meta.remove();
+        }
+    });
+
+    incoming.forEach(meta => document.head.appendChild(document.importNode(meta, true)));
+
+    const canonical = doc.head.querySelector('link[rel="canonical"]');
+    let currentCanonical = document.head.querySelector('link[rel="canonical"]');
+
+    if (canonical) {
+        if (!currentCanonical) {
+            currentCanonical = document.createElement('link');
+            currentCanonical.rel = 'canonical';
+            document.head.appendChild(currentCanonical);
+        }
+        currentCanonical.href = canonical.href;
+    } else if (currentCanonical) {
+        currentCanonical.remove();
+    }
+}
+
+/**
+ * Load scripts of the fetched page that this document has not run yet
+ * @param {Document} doc - Fetched document
+ * @param {URL} baseUrl - URL the document was fetched from
+ * @returns {Promise} Resolves once all scripts are evaluated
+ */
+function loadPageScripts(doc, baseUrl) {
+    const scripts = Array.from(doc.querySelectorAll('script[src]'))
+        .map(script => ({
+            src: new URL(script.getAttribute('src'), baseUrl).href,
+            isModule: script.type === 'module'
+        }))
+        .filter(({ src }) => !loadedScripts.has(src));
+
+    return Promise.all(scripts.map(({ src, isModule }) => {
+        loadedScripts.add(src);
+
+        if (isModule) {
+            return import(src);
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.body.appendChild(script);
+        });
+    }));
+}
+
+/**
+ * Create the client-side router
+ * @param {Object} options - Router options
+ * @returns {Object} Router controller
+ */
+export function createRouter(options = {}) {
+    const config = {
+        mainSelector: 'main',
+        linkSelector: 'a[href]',
+        transition: true,
+        scrollOffset: 0,
+        onBeforeNavigate: null,
+        onNavigate: null,
+        ...options
+    };
+
+    if (activeRouter) {
+        activeRouter.destroy();
+    }
+
+    if (!window.fetch || !window.history || !window.history.pushState || !window.DOMParser) {
+        console.warn('🍎 Router not supported, using full page loads');
+        return { navigate: url => window.location.assign(url), destroy: () => {}, getCurrentPage: () => null };
+    }
+
+    const cleanupFunctions = [];
+    let currentPage = getPageName(document, config.mainSelector);
+    let currentDocument = withoutHash(new URL(window.location.href));
+    let pendingRequest = null;
+
+    document.querySelectorAll('script[src]').forEach(script => loadedScripts.add(script.src));
+
+    /**
+     * Remember the scroll position of the current entry for back/forward
+     */
+    const saveScrollPosition = () => {
+        const state = { ...(window.history.state || {}), router: true, scrollY: window.scrollY };
+        window.history.replaceState(state, '', window.location.href);
+    };
+
+    /**
+     * Give up on client-side routing for this navigation
+     */
+    const fallback = (url, error) => {
+        console.warn(`🍎 Router falling back to full load for ${url.href}:`, error);
+        window.location.assign(url.href);
+    };
+
+    /**
+     * Scroll to the hash target or a stored position after a swap
+     */
+    const restoreScroll = (url, scrollY) => {
+        if (typeof scrollY === 'number') {
+            window.scrollTo(0, scrollY);
+            return;
+        }
+
+        const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+        if (target) {
+            const top = target.getBoundingClientRect().top + window.pageYOffset - config.scrollOffset;
+            window.scrollTo(0, Math.max(0, top));
+        } else {
+            window.scrollTo(0, 0);
+        }
+    };
+
+    /**
+     * Navigate to a URL
+     * @param {string|URL} target - Destination
+     * @param {Object} navigateOptions - { history: 'push'|'replace'|false, scrollY, source }
+     * @returns {Promise<boolean>} Resolves true when routed client-side
+     */
+    const navigate = async (target, navigateOptions = {}) => {
+        const { history = 'push', scrollY, source = null } = navigateOptions;
+        const url = new URL(target, window.location.href);
+
+        if (typeof config.onBeforeNavigate === 'function' && config.onBeforeNavigate(url) === false) {
+            return false;
+        }
+
+        // Latest navigation wins
+        if (pendingRequest) {
+            pendingRequest.abort();
+        }
+        const request = new AbortController();
+        pendingRequest = request;
+
+        emit('route:start', { url: url.href, from: currentPage });
+        document.documentElement.classList.add('is-routing');
+
+        let doc;
+        try {
+            const response = await fetch(url.href, {
+                signal: request.signal,
+                headers: { Accept: 'text/html' }
+            });
+
+            const contentType = response.headers.get('content-type') || '';
+            if (!response.ok || !contentType.includes('text/html')) {
+                throw new Error(`Unexpected response (${response.status} ${contentType})`);
+            }
+
+            doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+            if (!doc.querySelector(config.mainSelector)) {
+                throw new Error(`No ${config.mainSelector} in fetched page`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return false;
+            document.documentElement.classList.remove('is-routing');
+            fallback(url, error);
+            return false;
+        }
+
+        if (pendingRequest !== request) return false;
+        pendingRequest = null;
+
+        const nextPage = getPageName(doc, config.mainSelector);
+
+        // Shared element from the clicked link (see pageTransition)
+        const sharedSource = source && source.closest('[data-view-transition-name]');
+
+        const swap = () => {
+            const previous = currentPage && pages.get(currentPage);
+            if (previous && typeof previous.unmount === 'function') {
+                try {
+                    previous.unmount();
+                } catch (error) {
+                    console.warn(`🍎 Failed to unmount page ${currentPage}:`, error);
+                }
+            }
+
+            const main = document.querySelector(config.mainSelector);
+            const nextMain = document.importNode(doc.querySelector(config.mainSelector), true);
+            main.replaceWith(nextMain);
+
+            updateHead(doc);
+
+            if (history === 'push') {
+                saveScrollPosition();
+                window.history.pushState({ router: true }, '', url.href);
+            } else if (history === 'replace') {
+                window.history.replaceState({ router: true }, '', url.href);
+            }
+
+            currentPage = nextPage;
+            currentDocument = withoutHash(url);
+            restoreScroll(url, scrollY);
+        };
+
+        try {
+            if (config.transition) {
+                await pageTransition(swap, { shared: sharedSource ? [sharedSource] : [] });
+            } else {
+                swap();
+            }
+
+            await loadPageScripts(doc, url);
+
+            const page = nextPage && pages.get(nextPage);
+            if (page) {
+                page.mount(document.querySelector(config.mainSelector));
+            }
+        } catch (error) {
+            document.documentElement.classList.remove('is-routing');
+            fallback(url, error);
+            return false;
+        }
+
+        document.documentElement.classList.remove('is-routing');
+
+        // Move focus to the new content for keyboard and screen reader users
+        const main = document.querySelector(config.mainSelector);
+        if (main && !url.hash) {
+            if (!main.hasAttribute('tabindex')) main.setAttribute('tabindex', '-1');
+            main.focus({ preventScroll: true });
+        }
+
+        if (typeof config.onNavigate === 'function') {
+            try {
+                config.onNavigate(url, nextPage);
+            } catch (error) {
+                console.warn('🍎 Router onNavigate callback failed:', error);
+            }
+        }
+
+        emit('route:change', { url: url.href, page: nextPage });
+
+        return true;
+    };
+
+    // Intercept same-origin page links
+    cleanupFunctions.push(
+        addEvent(document, 'click', (event) => {
+            const link = event.target.closest(config.linkSelector);
+            if (!link) return;
+
+            const url = getRoutableUrl(event, link);
+            if (!url) return;
+
+            event.preventDefault();
+
+            if (url.href === window.location.href) return;
+
+            navigate(url, { source: link });
+        })
+    );
+
+    // Back/forward between routed entries
+    cleanupFunctions.push(
+        addEvent(window, 'popstate', (event) => {
+            const url = new URL(window.location.href);
+            const state = event.state || {};
+
+            // Hash-only change on the current page
+            if (withoutHash(url) === currentDocument) {
+                return;
+            }
+
+            navigate(url, { history: false, scrollY: state.scrollY });
+        })
+    );
+
+    // Mark the initial entry so popstate can route back to it
+    window.history.replaceState({ ...(window.history.state || {}), router: true }, '', window.location.href);
+
+    if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+        cleanupFunctions.push(() => {
+            window.history.scrollRestoration = 'auto';
+        });
+    }
+
+    const router = {
+        navigate: (url, navigateOptions) => navigate(url, navigateOptions),
+        getCurrentPage: () => currentPage,
+        destroy: () => {
+            if (pendingRequest) pendingRequest.abort();
+            cleanupFunctions.forEach(cleanup => cleanup());
+            cleanupFunctions.length = 0;
+            if (activeRouter === router) activeRouter = null;
+        }
+    };
+
+    activeRouter = router;
+    console.log('🍎 Router initialized');
+
+    return router;
+}
@@ -0,0 +1,295 @@
+// js/core/scroll-lock.js
+
+/**
+ * Scroll Lock Module
+ * Single owner of body scroll locking. Locks are reference counted per owner,
+ * so nested overlays (mobile menu + modal) unlock in any order and the page
+ * returns to the position it had before the first lock.
+ */
+
+import { isIOS } from './device.js';
+import { uiStore } from './store.js';
+
+/**
+ * Lock count per owner
+ */
+const owners = new Map();
+
+/**
+ * Inner scroll areas allowed while locked, by owner
+ */
+const allowedByOwner = new Map();
+
+/**
+ * Selector for inner scroll areas declared in markup
+ */
+const ALLOW_SELECTOR = '[data-scroll-lock-allow]';
+
+/**
+ * Body/html styles captured before the first lock
+ */
+let savedState = null;
+
+/**
+ * Touch tracking for iOS overscroll prevention
+ */
+let touchStartY = 0;
+
+/**
+ * Get the width of the vertical scrollbar currently shown
+ * @returns {number} Scrollbar width in px
+ */
+export function getScrollbarWidth() {
+    return Math.max(0, window.innerWidth - document.documentElement.clientWidth);
+}
+
+/**
+ * Find the allowed scroll area containing an element
+ * @param {Element} target - Touch target
+ * @returns {Element|null} Allowed scroll area
+ */
+function findAllowedArea(target) {
+    if (!target || !target.closest) return null;
+
+    for (const elements of allowedByOwner.values()) {
+        for (const element of elements) {
+            if (element && element.contains(target)) return element;
+        }
+    }
+
+    return target.closest(ALLOW_SELECTOR);
+}
+
+/**
+ * Remember where a touch started
+ * @param {TouchEvent} event - Touch event
+ */
+function handleTouchStart(event) {
+    if (event.touches.length === 1) {
+        touchStartY = event.touches[0].clientY;
+    }
+}
+
+/**
+ * Block touch scrolling outside allowed areas, and overscroll at their edges
+ * (which would otherwise chain to the locked page on iOS)
+ * @param {TouchEvent} event - Touch event
+ */
+function handleTouchMove(event) {
+    if (event.touches.length > 1) return;
+
+    const area = findAllowedArea(event.target);
+
+    if (!area) {
+        event.preventDefault();
+        return;
+    }
+
+    const deltaY = event.touches[0].clientY - touchStartY;
+    const atTop = area.scrollTop <= 0;
+    const atBottom = area.scrollTop + area.clientHeight >= area.scrollHeight - 1;
+
+    if ((atTop && deltaY > 0) || (atBottom && deltaY < 0)) {
+        event.preventDefault();
+    }
+}
+
+/**
+ * Apply the lock to the document
+ */
+function applyLock() {
+    const { body, documentElement } = document;
+    const scrollbarWidth = getScrollbarWidth();
+    const ios = isIOS();
+
+    savedState = {
+        scrollY: window.pageYOffset,
+        ios,
+        body: {
+            overflow: body.style.overflow,
+            position: body.style.position,
+            top: body.style.top,
+            left: body.style.left,
+            right: body.style.right,
+            width: body.style.width,
+            paddingRight: body.style.paddingRight
+        },
+        htmlOverflow: documentElement.style.overflow
+    };
+
+    // Keep the layout from shifting when the scrollbar disappears
+    if (scrollbarWidth > 0) {
+        const padding = parseFloat(window.getComputedStyle(body).paddingRight) || 0;
+        body.style.paddingRight = `${padding + scrollbarWidth}px`;
+    }
+    documentElement.style.setProperty('--scrollbar-gap', `${scrollbarWidth}px`);
+
+    if (ios) {
+        // iOS ignores overflow: hidden on body, so pin it in place
+        body.style.position = 'fixed';
+        body.style.top = `-${savedState.scrollY}px`;
+        body.style.left = '0';
+        body.style.right = '0';
+        body.style.width = '100%';
+
+        document.addEventListener('touchstart', handleTouchStart, { passive: true });
+        document.addEventListener('touchmove', handleTouchMove, { passive: false });
+    } else {
+        documentElement.style.overflow = 'hidden';
+        body.style.overflow = 'hidden';
+    }
+
+    documentElement.classList.add('is-scroll-locked');
+}
+
+/**
+ * Remove the lock and restore the previous scroll position
+ */
+function removeLock() {
+    if (!savedState) return;
+
+    const { body, documentElement } = document;
+    const { scrollY, ios } = savedState;
+
+    Object.assign(body.style, savedState.body);
+    documentElement.style.overflow = savedState.htmlOverflow;
+    documentElement.style.removeProperty('--scrollbar-gap');
+    documentElement.classList.remove('is-scroll-locked');
+
+    if (ios) {
+        document.removeEventListener('touchstart', handleTouchStart);
+        document.removeEventListener('touchmove', handleTouchMove);
+        window.scrollTo(0, scrollY);
+    }
+
+    savedState = null;
+}
+
+/**
+ * Publish the current owners to the UI store
+ */
+function syncStore() {
+    uiStore.setState({ scrollLockOwners: Array.from(owners.keys()) });
+}
+
+/**
+ * Lock body scroll
+ * Each call must be balanced by unlockScroll with the same owner.
+ * @param {string} owner - Owner id (e.g. "mega-menu", "modal:booking")
+ * @param {Object} options - { allow: Element[] inner scroll areas }
+ * @returns {number} Lock count held by this owner
+ */
+export function lockScroll(owner, options = {}) {
+    if (!owner) {
+        console.warn('🍎 lockScroll requires an owner');
+        return 0;
+    }
+
+    const { allow = [] } = options;
+
+    if (owners.size === 0) {
+        try {
+            applyLock();
+        } catch (error) {
+            console.warn('🍎 Failed to lock scroll:', error);
+        }
+    }
+
+    const count = (owners.get(owner) || 0) + 1;
+    owners.set(owner, count);
+
+    const allowed = allowedByOwner.get(owner) || new Set();
+    allow.filter(Boolean).forEach(element => allowed.add(element));
+    allowedByOwner.set(owner, allowed);
+
+    syncStore();
+    return count;
+}
+
+/**
+ * Release one lock held by an owner
+ * Scroll is restored once no owner holds a lock.
+ * @param {string} owner - Owner id
+ * @param {Object} options - { force: release every lock of this owner }
+ * @returns {number} Lock count still held by this owner
+ */
+export function unlockScroll(owner, options = {}) {
+    if (!owners.has(owner)) return 0;
+
+    const count = options.force ? 0 : owners.get(owner) - 1;
+
+    if (count > 0) {
+        owners.set(owner, count);
+        return count;
+    }
+
+    owners.delete(owner);
+    allowedByOwner.delete(owner);
+
+    if (owners.size === 0) {
+        try {
+            removeLock();
+        } catch (error) {
+            console.warn('🍎 Failed to unlock scroll:', error);
+        }
+    }
+
+    syncStore();
+    return 0;
+}
+
+/**
+ * Allow an inner element to scroll while the page is locked
+ * @param {string} owner - Owner id
+ * @param {Element} element - Scrollable element
+ * @returns {Function} Function that removes the element again
+ */
+export function allowScroll(owner, element) {
+    if (!owner || !element) return () => {};
+
+    const allowed = allowedByOwner.get(owner) || new Set();
+    allowed.add(element);
+    allowedByOwner.set(owner, allowed);
+
+    return () => {
+        const current = allowedByOwner.get(owner);
+        if (current) current.delete(element);
+    };
+}
+
+/**
+ * Check whether scroll is locked (by anyone, or by one owner)
+ * @param {string} owner - Optional owner id
+ * @returns {boolean} Is locked
+ */
+export function isScrollLocked(owner) {
+    return owner ? owners.has(owner) : owners.size > 0;
+}
+
+/**
+ * Release every lock (e.g. on teardown)
+ */
+export function releaseAllScrollLocks() {
+    owners.clear();
+    allowedByOwner.clear();
+
+    try {
+        removeLock();
+    } catch (error) {
+        console.warn('🍎 Failed to unlock scroll:', error);
+    }
+
+    syncStore();
+}
+
+/**
+ * Grouped API for overlays mounted later (modals, wizards)
+ */
+export const scrollLock = {
+    lock: lockScroll,
+    unlock: unlockScroll,
+    allow: allowScroll,
+    isLocked: isScrollLocked,
+    releaseAll: releaseAllScrollLocks,
+    getScrollbarWidth
+};
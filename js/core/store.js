@@ -0,0 +1,158 @@
+// js/core/store.js
+
+/**
+ * State Store Module
+ * Small observable store with selectors, plus the shared UI store used by
+ * the navbar, mega menu and theme so their state cannot drift apart.
+ */
+
+import { debounce } from './utils.js';
+import { getViewport, prefersReducedMotion } from './device.js';
+
+/**
+ * Create an observable store
+ * @param {Object} initialState - Initial state
+ * @returns {Object} Store with getState, setState, subscribe and select
+ */
+export function createStore(initialState = {}) {
+    let state = { ...initialState };
+    const listeners = new Set();
+
+    /**
+     * Current state (treat as read-only)
+     * @returns {Object} State
+     */
+    const getState = () => state;
+
+    /**
+     * Merge a partial state and notify subscribers
+     * @param {Object|Function} update - Partial state or (state) => partial
+     */
+    const setState = (update) => {
+        const partial = typeof update === 'function' ? update(state) : update;
+        if (!partial) return;
+
+        const changed = Object.keys(partial).some(key => !Object.is(state[key], partial[key]));
+        if (!changed) return;
+
+        const previous = state;
+        state = { ...state, ...partial };
+
+        Array.from(listeners).forEach(listener => {
+            try {
+                listener(state, previous);
+            } catch (error) {
+                console.error('🍎 Store listener failed:', error);
+            }
+        });
+    };
+
+    /**
+     * Listen to every state change
+     * @param {Function} listener - Called with (state, previousState)
+     * @returns {Function} Unsubscribe function
+     */
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    /**
+     * Listen to a derived value
+     * @param {Function} selector - (state) => value
+     * @param {Function} listener - Called with (value, previousValue) when it changes
+     * @param {Object} options - { equals, immediate }
+     * @returns {Function} Unsubscribe function
+     */
+    const select = (selector, listener, options = {}) => {
+        const { equals = Object.is, immediate = false } = options;
+        let current = selector(state);
+
+        if (immediate) {
+            listener(current, undefined);
+        }
+
+        return subscribe((nextState) => {
+            const next = selector(nextState);
+            if (equals(next, current)) return;
+
+            const previous = current;
+            current = next;
+            listener(next, previous);
+        });
+    };
+
+    return { getState, setState, subscribe, select };
+}
+
+/**
+ * Shared UI state
+ * - overlays: open overlay ids ("group:name"), most recent last
+ * - scrollLockOwners: owners holding a scroll lock (see scroll-lock.js)
+ * - theme: 'light' | 'dark'
+ * - viewport: getViewport() snapshot
+ * - reducedMotion: prefers-reduced-motion
+ */
+export const uiStore = createStore({
+    overlays: [],
+    scrollLockOwners: [],
+    theme: document.documentElement.getAttribute('data-theme') || null,
+    viewport: getViewport(),
+    reducedMotion: prefersReducedMotion()
+});
+
+/**
+ * Open an overlay; overlays of the same group ("mobile-menu:*") close
+ * @param {string} id - Overlay id ("group:name")
+ */
+export function openOverlay(id) {
+    const group = id.split(':')[0];
+
+    uiStore.setState(({ overlays }) => ({
+        overlays: [...overlays.filter(overlay => overlay.split(':')[0] !== group), id]
+    }));
+}
+
+/**
+ * Close an overlay
+ * @param {string} id - Overlay id
+ */
+export function closeOverlay(id) {
+    uiStore.setState(({ overlays }) => (
+        overlays.includes(id) ? { overlays: overlays.filter(overlay => overlay !== id) } : null
+    ));
+}
+
+/**
+ * Check whether an overlay is open
+ * @param {string} id - Overlay id
+ * @returns {boolean} Is open
+ */
+export function isOverlayOpen(id) {
+    return uiStore.getState().overlays.includes(id);
+}
+
+/**
+ * Keep viewport and reduced motion in the UI store up to date
+ * @returns {Function} Cleanup function
+ */
+export function initUIStore() {
+    const handleResize = debounce(() => {
+        uiStore.setState({ viewport: getViewport() });
+    }, 100);
+
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const handleMotionChange = (e) => {
+        uiStore.setState({ reducedMotion: e.matches });
+    };
+
+    window.addEventListener('resize', handleResize);
+    window.addEventListener('orientationchange', handleResize);
+    motionQuery.addEventListener('change', handleMotionChange);
+
+    return () => {
+        window.removeEventListener('resize', handleResize);
+        window.removeEventListener('orientationchange', handleResize);
+        motionQuery.removeEventListener('change', handleMotionChange);
+    };
+}
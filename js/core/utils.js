@@ -2,7 +2,9 @@
 
 /**
  * Core Utilities Module
- * Provides essential utility functions following Apple design principles
+ * Provides essential utility functions following Apple design principles,
+ * plus memoized Intl formatters for prices, durations, opening hours,
+ * relative times and phone numbers
  */
 
 export const APPLE_EASING = 'cubic-bezier(0.4, 0, 0.6, 1)';
@@ -166,4 +168,400 @@ export function deepMerge(target, ...sources) {
  */
 function isObject(item) {
     return item && typeof item === 'object' && !Array.isArray(item);
-}
\ No newline at end of file
+}
+
+/* ==================================================
+   LOCALE-AWARE FORMATTING
+   ================================================== */
+
+/**
+ * Locale used when a formatter is called without one
+ * (the i18n module keeps it in step with the page language)
+ */
+let formatLocale = (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+
+/**
+ * Memoized Intl formatters by type, locale and options
+ */
+const intlFormatters = new Map();
+
+/**
+ * Set the default formatting locale
+ * @param {string} locale - BCP 47 tag, e.g. 'id-ID'
+ */
+export function setFormatLocale(locale) {
+    if (locale) formatLocale = locale;
+}
+
+/**
+ * Get the default formatting locale
+ * @returns {string} BCP 47 tag
+ */
+export function getFormatLocale() {
+    return formatLocale;
+}
+
+/**
+ * Get a cached Intl formatter
+ * @param {string} type - 'NumberFormat', 'DateTimeFormat', 'RelativeTimeFormat', 'PluralRules' or 'ListFormat'
+ * @param {string} locale - BCP 47 tag (default: formatting locale)
+ * @param {Object} options - Formatter options
+ * @returns {Object} Intl formatter
+ */
+export function getIntlFormatter(type, locale = formatLocale, options = {}) {
+    const key = `${type}|${locale}|${JSON.stringify(options)}`;
+
+    if (!intlFormatters.has(key)) {
+        intlFormatters.set(key, new Intl[type](locale, options));
+    }
+
+    return intlFormatters.get(key);
+}
+
+/**
+ * Fraction digits a currency is shown with
+ * Rupiah has no minor unit in practice; whole amounts drop the cents.
+ * @param {string} currency - ISO currency code
+ * @param {...number} amounts - Amounts shown with the same formatter
+ * @returns {Object} { minimumFractionDigits, maximumFractionDigits }
+ */
+function getCurrencyDigits(currency, ...amounts) {
+    if (currency === 'IDR' || amounts.every(Number.isInteger)) {
+        return { minimumFractionDigits: 0, maximumFractionDigits: 0 };
+    }
+    return {};
+}
+
+/**
+ * Format an amount of money
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code (default: IDR)
+ * @param {Object} options - { locale, ...Intl.NumberFormat options }
+ * @returns {string} Formatted amount, e.g. 'Rp 1.500.000' or '$120'
+ */
+export function formatCurrency(amount, currency = 'IDR', options = {}) {
+    const { locale = formatLocale, ...formatOptions } = options;
+
+    try {
+        return getIntlFormatter('NumberFormat', locale, {
+            style: 'currency',
+            currency,
+            ...getCurrencyDigits(currency, amount),
+            ...formatOptions
+        }).format(amount);
+    } catch (error) {
+        return `${currency} ${amount}`;
+    }
+}
+
+/**
+ * Format a price range
+ * @param {number} min - Lowest amount
+ * @param {number} max - Highest amount
+ * @param {string} currency - ISO currency code (default: IDR)
+ * @param {Object} options - { locale, ...Intl.NumberFormat options }
+ * @returns {string} Formatted range, e.g. 'Rp 1.500.000 – 2.000.000'
+ */
+export function formatCurrencyRange(min, max, currency = 'IDR', options = {}) {
+    if (min === max) return formatCurrency(min, currency, options);
+
+    const { locale = formatLocale, ...formatOptions } = options;
+
+    try {
+        const formatter = getIntlFormatter('NumberFormat', locale, {
+            style: 'currency',
+            currency,
+            ...getCurrencyDigits(currency, min, max),
+            ...formatOptions
+        });
+
+        return typeof formatter.formatRange === 'function'
+            ? formatter.formatRange(min, max)
+            : `${formatter.format(min)} – ${formatter.format(max)}`;
+    } catch (error) {
+        return `${currency} ${min} – ${max}`;
+    }
+}
+
+/**
+ * Format a duration or a duration range
+ * Same-day labels are English unless the caller passes translated ones.
+ * @param {number|Array} value - Amount, or [min, max]
+ * @param {Object} options - { unit: 'day', 'hour', 'minute' or 'week', locale,
+ *   unitDisplay, labels: { sameDay, sameDayTo: (max, duration) => string } }
+ * @returns {string} Formatted duration, e.g. 'Same day', '2–3 days'
+ */
+export function formatDuration(value, options = {}) {
+    const {
+        unit = 'day',
+        locale = formatLocale,
+        unitDisplay = 'long',
+        labels = {}
+    } = options;
+    const {
+        sameDay = 'Same day',
+        sameDayTo = (max, duration) => (max === 1 ? 'Same or next day' : `Same day to ${duration}`)
+    } = labels;
+
+    const [min, max] = Array.isArray(value) ? value : [value, value];
+    const formatter = getIntlFormatter('NumberFormat', locale, { style: 'unit', unit, unitDisplay });
+    const formatRange = (from, to) => (typeof formatter.formatRange === 'function'
+        ? formatter.formatRange(from, to)
+        : `${from}–${formatter.format(to)}`);
+
+    if (unit === 'day' && max === 0) return sameDay;
+    if (unit === 'day' && min === 0) {
+        return typeof sameDayTo === 'function' ? sameDayTo(max, formatter.format(max)) : sameDayTo;
+    }
+
+    return min === max ? formatter.format(min) : formatRange(min, max);
+}
+
+/**
+ * Format how long ago (or until) a moment is
+ * @param {Date|string|number} date - Moment
+ * @param {Object} options - { locale, now, numeric: 'auto' or 'always', style }
+ * @returns {string} Relative time, e.g. '5 minutes ago', 'tomorrow'
+ */
+export function formatRelativeTime(date, options = {}) {
+    const { locale = formatLocale, now = Date.now(), numeric = 'auto', style = 'long' } = options;
+    const time = date instanceof Date ? date.getTime() : new Date(date).getTime();
+    if (isNaN(time)) return '';
+
+    const seconds = Math.round((time - now) / 1000);
+    const units = [
+        ['year', 60 * 60 * 24 * 365],
+        ['month', 60 * 60 * 24 * 30],
+        ['week', 60 * 60 * 24 * 7],
+        ['day', 60 * 60 * 24],
+        ['hour', 60 * 60],
+        ['minute', 60],
+        ['second', 1]
+    ];
+    const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || units[units.length - 1];
+
+    return getIntlFormatter('RelativeTimeFormat', locale, { numeric, style }).format(Math.round(seconds / size), unit);
+}
+
+/* ==================================================
+   OPENING HOURS
+   ================================================== */
+
+const SCHEMA_DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+/**
+ * Expand a schema.org day list ('Mo-Fr', 'Mo,We', 'Sa') to getDay() numbers
+ * @param {string} spec - Day list
+ * @returns {number[]} Days, 0 = Sunday
+ */
+function parseDays(spec) {
+    const days = new Set();
+
+    spec.split(',').forEach(part => {
+        const [from, to] = part.trim().split('-').map(day => SCHEMA_DAYS.indexOf(day.trim()));
+        if (from === -1 || to === -1) return;
+
+        if (to === undefined) {
+            days.add(from);
+            return;
+        }
+
+        // Ranges may wrap the week, e.g. Fr-Mo
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === to) break;
+        }
+    });
+
+    return Array.from(days);
+}
+
+/**
+ * Parse a schema.org openingHours value
+ * @param {string|string[]} spec - e.g. 'Mo-Fr 09:00-18:00, Sa 10:00-16:00'
+ * @returns {Array} [{ days: [1, 2, 3, 4, 5], opens: '09:00', closes: '18:00' }]
+ */
+export function parseOpeningHours(spec) {
+    const text = Array.isArray(spec) ? spec.join(', ') : String(spec || '');
+    const day = '(?:Mo|Tu|We|Th|Fr|Sa|Su)';
+    const rule = new RegExp(`(${day}(?:\\s*[-,]\\s*${day})*)?\\s*(\\d{1,2}:\\d{2})\\s*-\\s*(\\d{1,2}:\\d{2})`, 'g');
+    const pad = time => time.padStart(5, '0');
+
+    return Array.from(text.matchAll(rule)).map(([, days, opens, closes]) => ({
+        // A rule without days applies to the whole week
+        days: days ? parseDays(days.replace(/\s+/g, '')) : [0, 1, 2, 3, 4, 5, 6],
+        opens: pad(opens),
+        closes: pad(closes)
+    }));
+}
+
+/**
+ * Minutes since midnight for 'HH:MM'
+ * @param {string} time - Time
+ * @returns {number} Minutes
+ */
+export function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Format opening hours for display
+ * @param {string|string[]|Array} spec - openingHours value or parsed rules
+ * @param {Object} options - { locale, weekday: 'short' or 'long' }
+ * @returns {string[]} One line per rule, e.g. 'Mon–Fri 9:00 AM – 6:00 PM'
+ */
+export function formatOpeningHours(spec, options = {}) {
+    const { locale = formatLocale, weekday = 'short' } = options;
+    const rules = Array.isArray(spec) && typeof spec[0] === 'object' ? spec : parseOpeningHours(spec);
+    const dayFormatter = getIntlFormatter('DateTimeFormat', locale, { weekday });
+    const timeFormatter = getIntlFormatter('DateTimeFormat', locale, { hour: 'numeric', minute: '2-digit' });
+
+    // 7 Jan 2024 was a Sunday
+    const dayName = day => dayFormatter.format(new Date(2024, 0, 7 + day));
+    const timeText = time => {
+        const minutes = toMinutes(time);
+        return timeFormatter.format(new Date(2024, 0, 1, Math.floor(minutes / 60), minutes % 60));
+    };
+
+    return rules.map(({ days, opens, closes }) => {
+        // Monday-first runs of consecutive days: Mon–Fri, Sat
+        const ordered = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+        const runs = [];
+
+        ordered.forEach(day => {
+            const run = runs[runs.length - 1];
+            if (run && (run[run.length - 1] + 1) % 7 === day) {
+                run.push(day);
+            } else {
+                runs.push([day]);
+            }
+        });
+
+        const dayText = runs
+            .map(run => (run.length > 2 ? `${dayName(run[0])}–${dayName(run[run.length - 1])}` : run.map(dayName).join(', ')))
+            .join(', ');
+
+        return `${dayText} ${timeText(opens)} – ${timeText(closes)}`;
+    });
+}
+
+/* ==================================================
+   PHONE NUMBERS
+   ================================================== */
+
+/**
+ * Dialing rules for numbers written without a calling code
+ * code: country calling code, trunk: national trunk prefix,
+ * national: the national significant number
+ */
+export const PHONE_RULES = {
+    // 0812-3456-7890, (021) 555-1234
+    ID: { code: '62', trunk: '0', national: /^[1-9]\d{8,11}$/ },
+    // (555) 832-4349, 1-555-832-4349
+    US: { code: '1', trunk: '1', national: /^[2-9]\d{9}$/ }
+};
+
+const KEYPAD = ['abc', 'def', 'ghi', 'jkl', 'mno', 'pqrs', 'tuv', 'wxyz'];
+
+/**
+ * Normalize a phone number to E.164
+ * Handles national numbers (0812…), spacing and vanity letters (555-TECH-FIX).
+ * Numbers that are not complete for the country (555-0100) give null.
+ * @param {string} value - Phone number or tel: link
+ * @param {Object} options - { country: 'ID' or 'US' for numbers without a calling code }
+ * @returns {string|null} E.164 number, e.g. '+6281234567890', or null
+ */
+export function normalizePhone(value, options = {}) {
+    const { country = 'ID' } = options;
+    if (!value) return null;
+
+    const text = String(value).trim()
+        .replace(/^tel:/i, '')
+        .replace(/[a-z]/gi, letter => String(KEYPAD.findIndex(keys => keys.includes(letter.toLowerCase())) + 2));
+
+    let digits = text.replace(/\D/g, '');
+
+    if (!text.startsWith('+') && !text.startsWith('00')) {
+        const rule = PHONE_RULES[country];
+        if (!rule) return null;
+
+        // Drop the trunk prefix (0812… → 812…) or a calling code written
+        // without '+' (62812… → 812…), then check what is left
+        const national = [
+            digits.startsWith(rule.trunk) ? digits.slice(rule.trunk.length) : null,
+            digits.startsWith(rule.code) ? digits.slice(rule.code.length) : null,
+            digits
+        ].find(candidate => candidate && rule.national.test(candidate));
+
+        return national ? `+${rule.code}${national}` : null;
+    }
+
+    if (text.startsWith('00')) {
+        digits = digits.slice(2);
+    }
+
+    // Numbers for a country with dialing rules must fit them too
+    const rule = Object.values(PHONE_RULES).find(({ code }) => digits.startsWith(code));
+    if (rule && !rule.national.test(digits.slice(rule.code.length))) return null;
+
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+/**
+ * Format a phone number for display
+ * @param {string} value - Phone number
+ * @param {Object} options - { country, style: 'international' or 'national' }
+ * @returns {string} Formatted number, e.g. '+62 812-3456-7890', '0812-3456-7890' or '(021) 555-1234'
+ */
+export function formatPhone(value, options = {}) {
+    const { style = 'international' } = options;
+    const e164 = normalizePhone(value, options);
+    if (!e164) return String(value || '');
+
+    const group = (digits, sizes) => {
+        const parts = [];
+        let index = 0;
+        sizes.forEach(size => {
+            if (index < digits.length) parts.push(digits.slice(index, index += size));
+        });
+        if (index < digits.length) parts[parts.length - 1] += digits.slice(index);
+        return parts.join('-');
+    };
+
+    if (e164.startsWith('+1') && e164.length === 12) {
+        const national = e164.slice(2);
+        return style === 'national'
+            ? `(${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}`
+            : `+1 ${group(national, [3, 3, 4])}`;
+    }
+
+    if (e164.startsWith('+62')) {
+        const national = e164.slice(3);
+
+        // Mobile numbers (08xx) group as 0812-3456-7890
+        if (national.startsWith('8')) {
+            return style === 'national' ? `0${group(national, [3, 4, 4])}` : `+62 ${group(national, [3, 4, 4])}`;
+        }
+
+        // Landlines: big-city area codes have two digits, (021) 555-1234
+        const areaLength = ['21', '22', '24', '31', '61'].some(code => national.startsWith(code)) ? 2 : 3;
+        const area = national.slice(0, areaLength);
+        const local = national.slice(areaLength);
+        const subscriber = local.length > 6 ? `${local.slice(0, -4)}-${local.slice(-4)}` : local;
+        return style === 'national' ? `(0${area}) ${subscriber}` : `+62 ${area} ${subscriber}`;
+    }
+
+    return e164;
+}
+
+/**
+ * Build a dialable tel: link
+ * @param {string} value - Phone number or tel: link
+ * @param {Object} options - { country }
+ * @returns {string} tel: URI, e.g. 'tel:+15558324349'
+ */
+export function toTelHref(value, options = {}) {
+    const e164 = normalizePhone(value, options);
+    return `tel:${e164 || String(value || '').replace(/^tel:/i, '').replace(/[^\d+]/g, '')}`;
+}
@@ -11,10 +11,25 @@ import * as Device from './core/device.js';
 import * as DOM from './core/dom.js';
 import * as Animation from './core/animation.js';
 import * as Observers from './core/observers.js';
+import * as Router from './core/router.js';
+import * as Events from './core/events.js';
+import * as Store from './core/store.js';
+import * as ScrollLock from './core/scroll-lock.js';
+import * as Forms from './core/forms.js';
+import * as Offline from './core/offline.js';
+import * as I18n from './core/i18n.js';
 
 // Components
 import { AppleNavbar, initNavbar } from './components/navbar.js';
-import { AppleMegaMenu, initMegaMenu } from './components/mega-menu.js';
+import { AppleMegaMenu, initMegaMenu, loadMenuDefinition } from './components/mega-menu.js';
+import { AppleModal, initModals, openModal, closeTopModal, getModal, getOpenModals } from './components/modal.js';
+import { AppleBookingWizard, initBookingWizard, flushBookingQueue } from './components/booking-wizard.js';
+import { AppleCostEstimator, loadPriceTable, findPrice } from './components/cost-estimator.js';
+import { AppleRepairTracker, initRepairTracker, REPAIR_STATUSES } from './components/repair-tracker.js';
+import { AppleOfflineBanner, initOfflineBanner } from './components/offline-banner.js';
+import { AppleLanguageSwitcher, initLanguageSwitchers } from './components/language-switcher.js';
+import { AppleStoreHours, initStoreHours, getOpeningStatus } from './components/store-hours.js';
+import { AppleStoreLocator, initStoreLocator, loadBranches, getDistance } from './components/store-locator.js';
 
 /**
  * Global Apple object for external access
@@ -35,12 +50,68 @@ window.AppleGlobal = {
     // Observers
     ...Observers,
 
+    // Client-side routing
+    ...Router,
+
+    // Event bus
+    ...Events,
+
+    // Shared UI state
+    ...Store,
+
+    // Body scroll locking
+    ...ScrollLock,
+
+    // Form validation and submission
+    ...Forms,
+
+    // Service worker and network status
+    ...Offline,
+
+    // Translations
+    ...I18n,
+
     // Components
     AppleNavbar,
     initNavbar,
 
     AppleMegaMenu,
     initMegaMenu,
+    loadMenuDefinition,
+
+    AppleModal,
+    initModals,
+    openModal,
+    closeTopModal,
+    getModal,
+    getOpenModals,
+
+    AppleBookingWizard,
+    initBookingWizard,
+    flushBookingQueue,
+
+    AppleCostEstimator,
+    loadPriceTable,
+    findPrice,
+
+    AppleRepairTracker,
+    initRepairTracker,
+    REPAIR_STATUSES,
+
+    AppleOfflineBanner,
+    initOfflineBanner,
+
+    AppleLanguageSwitcher,
+    initLanguageSwitchers,
+
+    AppleStoreHours,
+    initStoreHours,
+    getOpeningStatus,
+
+    AppleStoreLocator,
+    initStoreLocator,
+    loadBranches,
+    getDistance,
 
     // Selector aliases for easier access
     select: DOM.$,
@@ -83,12 +154,415 @@ window.AppleGlobal = {
     }
 };
 
+/**
+ * Parse a data attribute value into a typed option
+ * @param {string} value - Raw attribute value
+ * @returns {*} Boolean, number, parsed JSON or the original string
+ */
+function parseDataValue(value) {
+    if (value === 'true' || value === '') return true;
+    if (value === 'false') return false;
+    if (value !== null && value.trim() !== '' && !isNaN(value)) return Number(value);
+
+    if (/^[[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Declarative Component Registry
+ * Elements opt in with `data-component="name"` (several names may be
+ * space-separated); their other data-* attributes become constructor options.
+ * Instances mount when the element nears the viewport and unmount when it
+ * leaves the DOM.
+ */
+class AppleComponentRegistry {
+    constructor(options = {}) {
+        this.options = {
+            selector: '[data-component]',
+            rootMargin: '200px 0px',
+            ...options
+        };
+
+        this.definitions = new Map();
+        this.instances = new Map();
+        this.pending = new Map();
+        this.started = false;
+        this.root = null;
+        this.viewportObserver = null;
+        this.mutationObserver = null;
+    }
+
+    /**
+     * Define a component class for a data-component name
+     * @param {string} name - Component name used in data-component
+     * @param {Function} Component - Class constructed with (element, options)
+     * @param {Object} config - { defaults, lazy }
+     * @returns {Function} Undefine function
+     */
+    define(name, Component, config = {}) {
+        if (!name || typeof Component !== 'function') {
+            console.warn('🍎 defineComponent requires a name and a component class');
+            return () => {};
+        }
+
+        const definition = {
+            Component,
+            defaults: config.defaults || {},
+            lazy: config.lazy !== false
+        };
+
+        this.definitions.set(name, definition);
+
+        if (this.started) {
+            this.scan(this.root);
+        }
+
+        return () => {
+            if (this.definitions.get(name) === definition) {
+                this.definitions.delete(name);
+            }
+        };
+    }
+
+    /**
+     * Start watching the DOM for component elements
+     * @param {Element} root - Root to scan and observe
+     */
+    start(root = document.body) {
+        if (this.started) return;
+
+        this.started = true;
+        this.root = root;
+
+        this.mutationObserver = Observers.observeMutations(root, (records) => {
+            this.handleMutations(records);
+        });
+
+        this.scan(root);
+    }
+
+    /**
+     * Find component elements in a subtree and mount or queue them
+     * @param {Element} root - Subtree root
+     */
+    scan(root = this.root) {
+        if (!root || root.nodeType !== 1) return;
+
+        const elements = Array.from(root.querySelectorAll(this.options.selector));
+        if (root.matches(this.options.selector)) {
+            elements.unshift(root);
+        }
+
+        elements.forEach(element => {
+            this.getNames(element).forEach(name => {
+                const definition = this.definitions.get(name);
+                if (!definition || this.getInstance(element, name)) return;
+
+                if (definition.lazy && 'IntersectionObserver' in window) {
+                    this.queue(element, name);
+                } else {
+                    this.mount(element, name);
+                }
+            });
+        });
+    }
+
+    /**
+     * Names declared on an element
+     * @param {Element} element - Component element
+     * @returns {Array<string>} Component names
+     */
+    getNames(element) {
+        return (element.getAttribute('data-component') || '').split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Wait for an element to near the viewport before mounting
+     * @param {Element} element - Component element
+     * @param {string} name - Component name
+     */
+    queue(element, name) {
+        if (!this.pending.has(element)) {
+            this.pending.set(element, new Set());
+
+            if (this.viewportObserver) {
+                this.viewportObserver.observe(element);
+            } else {
+                this.viewportObserver = Observers.observeIntersection(element, (entries) => {
+                    entries.forEach(entry => this.flush(entry.target));
+                }, { threshold: 0, rootMargin: this.options.rootMargin });
+            }
+        }
+
+        this.pending.get(element).add(name);
+    }
+
+    /**
+     * Mount every queued component of an element
+     * @param {Element} element - Component element
+     */
+    flush(element) {
+        const names = this.pending.get(element);
+        if (!names) return;
+
+        this.pending.delete(element);
+        this.viewportObserver.unobserve(element);
+
+        names.forEach(name => this.mount(element, name));
+    }
+
+    /**
+     * Read component options from data-* attributes
+     * @param {Element} element - Component element
+     * @param {Object} defaults - Definition defaults
+     * @returns {Object} Options
+     */
+    getOptions(element, defaults) {
+        const options = { ...defaults };
+        const data = DOM.getDataAttributes(element);
+
+        Object.keys(data).forEach(key => {
+            if (key !== 'component') {
+                options[key] = parseDataValue(data[key]);
+            }
+        });
+
+        return options;
+    }
+
+    /**
+     * Create a component instance for an element
+     * @param {Element} element - Component element
+     * @param {string} name - Component name
+     * @returns {Object|null} Instance
+     */
+    mount(element, name) {
+        const definition = this.definitions.get(name);
+        if (!definition || !element.isConnected) return null;
+
+        const existing = this.getInstance(element, name);
+        if (existing) return existing;
+
+        try {
+            const instance = new definition.Component(element, this.getOptions(element, definition.defaults));
+
+            if (!this.instances.has(element)) {
+                this.instances.set(element, new Map());
+            }
+            this.instances.get(element).set(name, instance);
+
+            return instance;
+        } catch (error) {
+            console.error(`🍎 Failed to mount component ${name}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Destroy component instances inside a subtree (or everywhere)
+     * @param {Element} root - Subtree root (defaults to all instances)
+     * @param {Function} filter - Optional (element) => boolean
+     */
+    unmount(root = null, filter = null) {
+        const inScope = element => (!root || root === element || root.contains(element)) &&
+            (!filter || filter(element));
+
+        this.pending.forEach((names, element) => {
+            if (inScope(element)) {
+                this.pending.delete(element);
+                if (this.viewportObserver) this.viewportObserver.unobserve(element);
+            }
+        });
+
+        this.instances.forEach((instances, element) => {
+            if (!inScope(element)) return;
+
+            instances.forEach((instance, name) => {
+                try {
+                    if (instance && typeof instance.destroy === 'function') {
+                        instance.destroy();
+                    }
+                } catch (error) {
+                    console.warn(`🍎 Failed to unmount component ${name}:`, error);
+                }
+            });
+
+            this.instances.delete(element);
+        });
+    }
+
+    /**
+     * Unmount removed elements and scan added ones
+     * @param {Array<MutationRecord>} records - Mutation records
+     */
+    handleMutations(records) {
+        let removed = false;
+
+        records.forEach(record => {
+            if (record.removedNodes.length > 0) removed = true;
+
+            record.addedNodes.forEach(node => {
+                if (node.nodeType === 1) this.scan(node);
+            });
+        });
+
+        if (removed) {
+            this.unmount(null, element => !element.isConnected);
+        }
+    }
+
+    /**
+     * Get the instance of a component on an element
+     * @param {Element} element - Component element
+     * @param {string} name - Component name
+     * @returns {Object|undefined} Instance
+     */
+    getInstance(element, name) {
+        const instances = this.instances.get(element);
+        return instances ? instances.get(name) : undefined;
+    }
+
+    /**
+     * Get all mounted instances of a component
+     * @param {string} name - Component name
+     * @returns {Array<Object>} Instances
+     */
+    getInstances(name) {
+        const result = [];
+        this.instances.forEach(instances => {
+            if (instances.has(name)) result.push(instances.get(name));
+        });
+        return result;
+    }
+
+    /**
+     * Registry status
+     * @returns {Object} Mounted and pending counts per component
+     */
+    getStatus() {
+        const status = {};
+
+        this.definitions.forEach((definition, name) => {
+            status[name] = { mounted: this.getInstances(name).length, pending: 0 };
+        });
+
+        this.pending.forEach(names => {
+            names.forEach(name => {
+                if (status[name]) status[name].pending++;
+            });
+        });
+
+        return status;
+    }
+
+    /**
+     * Stop observing and destroy every instance
+     */
+    destroy() {
+        this.unmount();
+
+        if (this.viewportObserver) {
+            this.viewportObserver.disconnect();
+            this.viewportObserver = null;
+        }
+
+        if (this.mutationObserver) {
+            this.mutationObserver.disconnect();
+            this.mutationObserver = null;
+        }
+
+        this.started = false;
+    }
+}
+
+/**
+ * Shared component registry (components may be defined before startup)
+ */
+const componentRegistry = new AppleComponentRegistry();
+
+window.AppleGlobal.defineComponent = (name, Component, config) =>
+    componentRegistry.define(name, Component, config);
+
+window.AppleGlobal.mountComponents = (root) => componentRegistry.scan(root);
+
+window.AppleGlobal.unmountComponents = (root) => componentRegistry.unmount(root);
+
+window.AppleGlobal.getComponentInstances = (name) => componentRegistry.getInstances(name);
+
+/**
+ * Lifecycle states reported by getStatus()
+ */
+const LIFECYCLE_STATES = {
+    REGISTERED: 'registered',
+    WAITING: 'waiting',
+    INITIALIZING: 'initializing',
+    MOUNTED: 'mounted',
+    SUSPENDED: 'suspended',
+    FAILED: 'failed',
+    BLOCKED: 'blocked',
+    DESTROYED: 'destroyed'
+};
+
+/**
+ * Components added before the controller exists
+ */
+const queuedComponents = [];
+
+/**
+ * Reject a promise that does not settle in time
+ * @param {Promise} promise - Promise to guard
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {string} message - Timeout error message
+ * @returns {Promise} Guarded promise
+ */
+function withTimeout(promise, timeout, message) {
+    let timeoutId;
+
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(message)), timeout);
+        })
+    ]).finally(() => clearTimeout(timeoutId));
+}
+
+window.AppleGlobal.addComponent = (name, lifecycle) => {
+    if (window.AppleGlobalController) {
+        return window.AppleGlobalController.addComponent(name, lifecycle);
+    }
+
+    return new Promise(resolve => {
+        queuedComponents.push({ name, lifecycle, resolve });
+    });
+};
+
+window.AppleGlobal.registerComponent = (name, instance) => {
+    if (window.AppleGlobalController) {
+        window.AppleGlobalController.registerComponent(name, instance);
+    } else {
+        queuedComponents.push({ name, instance });
+    }
+};
+
 /**
  * Apple Global Controller - Enhanced Version
  */
 class AppleGlobalController {
     constructor() {
         this.components = new Map();
+        this.componentWaiters = new Map();
+        this.componentsStarted = false;
+        this.componentTimeout = 5000;
+        this.cleanupUIStore = null;
+        this.cleanupOffline = null;
+        this.cleanupI18n = null;
         this.initialized = false;
         this.initStartTime = performance.now();
         this.performanceThreshold = {
@@ -103,6 +577,15 @@ class AppleGlobalController {
             }
         };
 
+        // Components added before the controller existed
+        queuedComponents.splice(0).forEach(({ name, lifecycle, instance, resolve }) => {
+            if (lifecycle) {
+                resolve(this.addComponent(name, lifecycle));
+            } else {
+                this.registerComponent(name, instance);
+            }
+        });
+
         this.init();
     }
 
@@ -114,15 +597,11 @@ class AppleGlobalController {
             console.log('🍎 Initializing Apple Global System...');
 
             // Initialize core systems with timeout
-            await Promise.race([
-                this.initCore(),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Core init timeout')), 5000)
-                )
-            ]);
-
-            // Initialize components
+            await withTimeout(this.initCore(), 5000, 'Core init timeout');
+
+            // Initialize components, then start them in dependency order
             await this.initComponents();
+            await this.startComponents();
 
             // Setup global event listeners
             this.setupGlobalEvents();
@@ -186,6 +665,22 @@ class AppleGlobalController {
                 Observers.initObserverSystem();
             }
 
+            // Keep viewport and motion preferences in the UI store
+            if (Store.initUIStore) {
+                this.cleanupUIStore = Store.initUIStore();
+            }
+
+            // Track connectivity and register the service worker
+            if (Offline.initOffline) {
+                this.cleanupOffline = Offline.initOffline();
+            }
+
+            // Load the visitor's language before components render text
+            // (bounded wait: a slow catalog translates the page when it lands)
+            if (I18n.initI18n) {
+                this.cleanupI18n = await I18n.initI18n();
+            }
+
             console.log('🍎 Core modules initialized');
         } catch (error) {
             console.error('🍎 Core module initialization failed:', error);
@@ -198,23 +693,35 @@ class AppleGlobalController {
      */
     async initComponents() {
         try {
-            // Initialize mega menu
-            const navbar = document.querySelector('.apple-navbar');
-            if (navbar) {
-                try {
-                    const megaMenuInstance = initMegaMenu('.apple-navbar', {
-                        mobileBreakpoint: 735,
-                        animationDuration: 300,
-                        backdropOpacity: 0.1,
-                        hoverDelay: 100
-                    });
-                    this.components.set('megaMenu', megaMenuInstance);
-                    console.log('🍎 Mega Menu initialized');
-                } catch (error) {
-                    console.warn('🍎 Mega Menu initialization failed:', error);
-                }
+            // Navbar (scroll-spy) and the mega menu that lives inside it
+            if (document.querySelector('.apple-navbar')) {
+                this.addComponent('navbar', {
+                    init: () => initNavbar('.apple-navbar', {
+                        hideOnScroll: false,
+                        megaMenu: false
+                    })
+                });
+
+                this.addComponent('megaMenu', {
+                    dependsOn: ['navbar'],
+                    init: ({ navbar }) => {
+                        navbar.megaMenu = initMegaMenu('.apple-navbar', {
+                            mobileBreakpoint: 735,
+                            animationDuration: 300,
+                            backdropOpacity: 0.1,
+                            hoverDelay: 100,
+                            // Desktop panels, mobile accordion and footer links
+                            src: 'data/menu.json'
+                        });
+                        return navbar.megaMenu;
+                    }
+                });
             }
 
+            // Dialogs opened from [data-modal-target] links
+            this.addComponent('modals', {
+                init: () => initModals()
+            });
 
             // Initialize lazy loading with error handling
             try {
@@ -225,12 +732,59 @@ class AppleGlobalController {
                 console.warn('🍎 Lazy loader initialization failed:', error);
             }
 
+            // Vanity tel: links (+1-555-TECH-FIX) become dialable E.164 numbers
+            this.normalizePhoneLinks();
+
+            // Mount declarative data-component elements
+            try {
+                // Dialogs are never in view, so mount them right away
+                componentRegistry.define('booking', AppleBookingWizard, { lazy: false });
+                componentRegistry.define('estimator', AppleCostEstimator);
+                componentRegistry.define('tracker', AppleRepairTracker);
+                componentRegistry.define('offline-banner', AppleOfflineBanner, { lazy: false });
+                componentRegistry.define('language-switcher', AppleLanguageSwitcher, { lazy: false });
+                // Swaps the call CTAs in the hero, so it cannot wait to be seen
+                componentRegistry.define('store-hours', AppleStoreHours, { lazy: false });
+                // Restores the saved branch's phone numbers across the page
+                componentRegistry.define('store-locator', AppleStoreLocator, { lazy: false });
+                componentRegistry.start(document.body);
+            } catch (error) {
+                console.warn('🍎 Component registry initialization failed:', error);
+            }
+
+            // Client-side routing between pages (full loads remain the fallback)
+            this.addComponent('router', {
+                init: () => Router.createRouter({
+                    onNavigate: () => {
+                        // New <main> content needs its lazy images observed
+                        if (Observers.createLazyLoader) {
+                            Observers.createLazyLoader();
+                        }
+                        this.normalizePhoneLinks();
+                    }
+                })
+            });
+
             console.log('🍎 Components initialized');
         } catch (error) {
             console.error('🍎 Component initialization failed:', error);
         }
     }
 
+    /**
+     * Rewrite tel: links to E.164 so every dialer accepts them
+     * @param {Element|Document} root - Subtree to scan
+     */
+    normalizePhoneLinks(root = document) {
+        try {
+            DOM.$$('a[href^="tel:"]', root).forEach(link => {
+                link.setAttribute('href', Utils.toTelHref(link.getAttribute('href')));
+            });
+        } catch (error) {
+            console.warn('🍎 Phone link normalization failed:', error);
+        }
+    }
+
     /**
      * Setup global event listeners with enhanced error handling
      */
@@ -264,17 +818,6 @@ class AppleGlobalController {
                 this.cleanup();
             });
 
-            // Network status monitoring
-            window.addEventListener('online', () => {
-                console.log('🍎 Network: Online');
-                document.body.classList.remove('offline');
-            });
-
-            window.addEventListener('offline', () => {
-                console.log('🍎 Network: Offline');
-                document.body.classList.add('offline');
-            });
-
             console.log('🍎 Global events setup complete');
         } catch (error) {
             console.error('🍎 Global events setup failed:', error);
@@ -483,11 +1026,15 @@ class AppleGlobalController {
      * Pause non-critical operations when page is hidden
      */
     pauseNonCriticalOperations() {
-        // Pause animations
-        if (Animation.cancelAllAnimations) {
-            // Don't cancel all, just pause
-            console.log('🍎 Pausing non-critical operations');
-        }
+        console.log('🍎 Pausing non-critical operations');
+
+        this.getStartOrder().reverse().forEach(name => {
+            const record = this.components.get(name);
+            if (record.state !== LIFECYCLE_STATES.MOUNTED) return;
+
+            this.runHook(record, 'suspend');
+            record.state = LIFECYCLE_STATES.SUSPENDED;
+        });
     }
 
     /**
@@ -495,6 +1042,14 @@ class AppleGlobalController {
      */
     resumeNonCriticalOperations() {
         console.log('🍎 Resuming operations');
+
+        this.getStartOrder().forEach(name => {
+            const record = this.components.get(name);
+            if (record.state !== LIFECYCLE_STATES.SUSPENDED) return;
+
+            this.runHook(record, 'resume');
+            record.state = LIFECYCLE_STATES.MOUNTED;
+        });
     }
 
     /**
@@ -546,15 +1101,13 @@ class AppleGlobalController {
         // Add initialized class to body
         document.body.classList.add('apple-global-loaded');
 
-        // Dispatch custom event with more details
-        document.dispatchEvent(new CustomEvent('appleGlobalLoaded', {
-            detail: {
-                initTime,
-                components: Array.from(this.components.keys()),
-                performance: window.AppleGlobal.performance,
-                device: Device.getDeviceInfo ? Device.getDeviceInfo() : {}
-            }
-        }));
+        // Publish with details (also dispatched as appleGlobalLoaded)
+        Events.emit('global:loaded', {
+            initTime,
+            components: Array.from(this.components.keys()),
+            performance: window.AppleGlobal.performance,
+            device: Device.getDeviceInfo ? Device.getDeviceInfo() : {}
+        });
 
         // Initial performance check
         setTimeout(() => this.runPerformanceAudit(), 2000);
@@ -580,18 +1133,317 @@ class AppleGlobalController {
      * Enhanced component management
      */
     getComponent(name) {
-        return this.components.get(name);
+        const record = this.components.get(name);
+        return record ? record.instance : undefined;
     }
 
+    /**
+     * Register an already running instance (adopted as mounted)
+     * @param {string} name - Component name
+     * @param {Object} instance - Component instance
+     */
     registerComponent(name, instance) {
         try {
-            this.components.set(name, instance);
+            const record = this.createRecord(name, {});
+            record.instance = instance;
+            record.state = LIFECYCLE_STATES.MOUNTED;
+            record.resolveReady(instance);
+
             console.log(`🍎 Component registered: ${name}`);
         } catch (error) {
             console.error(`🍎 Failed to register component ${name}:`, error);
         }
     }
 
+    /**
+     * Add a component with a lifecycle contract
+     * `init(dependencies, { events })` creates the instance (may be async)
+     * and gets an event scope that is disposed with the component; `mount`,
+     * `update`, `suspend`, `resume` and `destroy` receive the instance and
+     * fall back to the instance's own methods of the same name.
+     * @param {string} name - Component name
+     * @param {Object} lifecycle - Hooks plus dependsOn and timeout
+     * @returns {Promise<Object|null>} Instance once mounted, null on failure
+     */
+    addComponent(name, lifecycle = {}) {
+        const existing = this.components.get(name);
+        if (existing && !this.isSettledRecord(existing)) {
+            console.warn(`🍎 Component ${name} is already registered`);
+            return existing.ready;
+        }
+
+        if (typeof lifecycle.init !== 'function') {
+            console.error(`🍎 Component ${name} needs an init function`);
+            return Promise.resolve(null);
+        }
+
+        const record = this.createRecord(name, lifecycle);
+
+        if (this.componentsStarted) {
+            this.startComponent(record);
+        }
+
+        return record.ready;
+    }
+
+    /**
+     * Create and store a component record
+     * @param {string} name - Component name
+     * @param {Object} lifecycle - Lifecycle hooks
+     * @returns {Object} Record
+     */
+    createRecord(name, lifecycle) {
+        const record = {
+            name,
+            lifecycle,
+            dependsOn: lifecycle.dependsOn || [],
+            timeout: lifecycle.timeout || this.componentTimeout,
+            instance: null,
+            events: Events.createEventScope(name),
+            state: LIFECYCLE_STATES.REGISTERED,
+            error: null
+        };
+
+        record.ready = new Promise(resolve => {
+            record.resolveReady = resolve;
+        });
+
+        this.components.set(name, record);
+
+        // Wake components waiting for this one
+        (this.componentWaiters.get(name) || []).forEach(resolve => resolve(record.ready));
+        this.componentWaiters.delete(name);
+
+        return record;
+    }
+
+    /**
+     * Whether a record finished its lifecycle (may be replaced)
+     * @param {Object} record - Component record
+     * @returns {boolean} Destroyed, failed or blocked
+     */
+    isSettledRecord(record) {
+        return [
+            LIFECYCLE_STATES.DESTROYED,
+            LIFECYCLE_STATES.FAILED,
+            LIFECYCLE_STATES.BLOCKED
+        ].includes(record.state);
+    }
+
+    /**
+     * Resolve with a component's instance once it is mounted
+     * @param {string} name - Component name
+     * @returns {Promise<Object|null>} Instance, or null if it failed
+     */
+    whenComponentReady(name) {
+        const record = this.components.get(name);
+        if (record) return record.ready;
+
+        return new Promise(resolve => {
+            const waiters = this.componentWaiters.get(name) || [];
+            waiters.push(resolve);
+            this.componentWaiters.set(name, waiters);
+        });
+    }
+
+    /**
+     * Topological order of registered components (dependencies first)
+     * Components in a dependency cycle are marked as failed.
+     * @returns {Array<string>} Component names
+     */
+    getStartOrder() {
+        const order = [];
+        const visiting = new Set();
+        const visited = new Set();
+
+        const visit = (name, path) => {
+            if (visited.has(name) || !this.components.has(name)) return;
+
+            if (visiting.has(name)) {
+                const cycle = [...path.slice(path.indexOf(name)), name].join(' -> ');
+                path.slice(path.indexOf(name)).forEach(member => {
+                    const record = this.components.get(member);
+                    if (record.state === LIFECYCLE_STATES.REGISTERED) {
+                        record.state = LIFECYCLE_STATES.FAILED;
+                        record.error = new Error(`Dependency cycle: ${cycle}`);
+                        record.resolveReady(null);
+                    }
+                });
+                return;
+            }
+
+            visiting.add(name);
+            this.components.get(name).dependsOn.forEach(dependency => visit(dependency, [...path, name]));
+            visiting.delete(name);
+            visited.add(name);
+            order.push(name);
+        };
+
+        this.components.forEach((record, name) => visit(name, []));
+
+        return order;
+    }
+
+    /**
+     * Start all registered components in dependency order
+     */
+    async startComponents() {
+        this.componentsStarted = true;
+
+        const records = this.getStartOrder()
+            .map(name => this.components.get(name))
+            .filter(record => record.state === LIFECYCLE_STATES.REGISTERED);
+
+        // Each component awaits its own dependencies, so independent
+        // components start without waiting on each other
+        await Promise.all(records.map(record => this.startComponent(record)));
+
+        console.log('🍎 Component lifecycle started');
+    }
+
+    /**
+     * Wait for dependencies, then init and mount a component
+     * Failures are isolated: dependents are blocked, everything else runs.
+     * @param {Object} record - Component record
+     * @returns {Promise<Object|null>} Instance or null
+     */
+    async startComponent(record) {
+        if (record.state !== LIFECYCLE_STATES.REGISTERED) return record.ready;
+
+        const { name, lifecycle, dependsOn, timeout } = record;
+        const dependencies = {};
+
+        record.state = LIFECYCLE_STATES.WAITING;
+
+        try {
+            const instances = await withTimeout(
+                Promise.all(dependsOn.map(dependency => this.whenComponentReady(dependency))),
+                timeout,
+                `Dependencies of ${name} not ready within ${timeout}ms: ${dependsOn.join(', ')}`
+            );
+
+            instances.forEach((instance, index) => {
+                if (!instance) {
+                    throw new Error(`Dependency ${dependsOn[index]} of ${name} is not available`);
+                }
+                dependencies[dependsOn[index]] = instance;
+            });
+        } catch (error) {
+            record.state = LIFECYCLE_STATES.BLOCKED;
+            record.error = error;
+            console.warn(`🍎 Component ${name} blocked:`, error.message);
+            record.resolveReady(null);
+            return null;
+        }
+
+        record.state = LIFECYCLE_STATES.INITIALIZING;
+
+        const initPromise = Promise.resolve().then(() => lifecycle.init(dependencies, { events: record.events }));
+
+        try {
+            record.instance = await withTimeout(
+                initPromise,
+                timeout,
+                `Component ${name} init timed out after ${timeout}ms`
+            );
+
+            await this.runHook(record, 'mount');
+
+            record.state = LIFECYCLE_STATES.MOUNTED;
+            console.log(`🍎 Component mounted: ${name}`);
+        } catch (error) {
+            record.state = LIFECYCLE_STATES.FAILED;
+            record.error = error;
+            console.error(`🍎 Component ${name} failed to start:`, error);
+            this.trackError('component_init', error);
+
+            // A late init after a timeout must not leave a live instance behind
+            initPromise.then(instance => {
+                if (instance && record.state === LIFECYCLE_STATES.FAILED) {
+                    this.runHook({ ...record, instance }, 'destroy');
+                }
+            }, () => {});
+
+            record.instance = null;
+        }
+
+        record.resolveReady(record.instance);
+        return record.instance;
+    }
+
+    /**
+     * Call a lifecycle hook, falling back to the instance method
+     * @param {Object} record - Component record
+     * @param {string} hook - mount | update | suspend | resume | destroy
+     * @param {...*} args - Extra hook arguments
+     * @returns {*} Hook result
+     */
+    runHook(record, hook, ...args) {
+        const { lifecycle, instance, name } = record;
+
+        try {
+            if (typeof lifecycle[hook] === 'function') {
+                return lifecycle[hook](instance, ...args);
+            }
+
+            if (!instance) return undefined;
+
+            if (typeof instance[hook] === 'function') {
+                return instance[hook](...args);
+            }
+
+            if (hook === 'update' && typeof instance.updateOptions === 'function') {
+                return instance.updateOptions(...args);
+            }
+        } catch (error) {
+            console.warn(`🍎 Component ${name} ${hook} failed:`, error);
+            if (hook === 'mount') throw error;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Pass new options to a mounted component
+     * @param {string} name - Component name
+     * @param {Object} options - Options for the update hook
+     */
+    updateComponent(name, options = {}) {
+        const record = this.components.get(name);
+        if (!record || record.state !== LIFECYCLE_STATES.MOUNTED) return;
+
+        this.runHook(record, 'update', options);
+    }
+
+    /**
+     * Destroy a component and everything depending on it
+     * @param {string} name - Component name
+     */
+    removeComponent(name) {
+        const record = this.components.get(name);
+        if (!record || record.state === LIFECYCLE_STATES.DESTROYED) return;
+
+        record.state = LIFECYCLE_STATES.DESTROYED;
+
+        // Dependents go first
+        this.components.forEach(other => {
+            if (other.dependsOn.includes(name)) {
+                this.removeComponent(other.name);
+            }
+        });
+
+        if (record.instance) {
+            this.runHook(record, 'destroy');
+
+            // Subscriptions made with { owner: instance }
+            Events.offOwner(record.instance);
+        }
+
+        record.events.dispose();
+        record.instance = null;
+        record.resolveReady(null);
+    }
+
     /**
      * Enhanced cleanup with better error handling
      */
@@ -609,18 +1461,34 @@ class AppleGlobalController {
                 Observers.cleanupAllObservers();
             }
 
-            // Cleanup components
-            this.components.forEach((component, name) => {
-                try {
-                    if (component && typeof component.destroy === 'function') {
-                        component.destroy();
-                    }
-                } catch (error) {
-                    console.warn(`🍎 Failed to cleanup component ${name}:`, error);
-                }
-            });
+            // Cleanup components, dependents before their dependencies
+            this.getStartOrder().reverse().forEach(name => this.removeComponent(name));
 
             this.components.clear();
+
+            // Cleanup declarative components
+            componentRegistry.destroy();
+
+            // Release any scroll lock left by overlays
+            ScrollLock.releaseAllScrollLocks();
+
+            // Stop feeding viewport/motion changes into the UI store
+            if (this.cleanupUIStore) {
+                this.cleanupUIStore();
+                this.cleanupUIStore = null;
+            }
+
+            // Stop tracking connectivity
+            if (this.cleanupOffline) {
+                this.cleanupOffline();
+                this.cleanupOffline = null;
+            }
+
+            // Stop following language changes from other tabs
+            if (this.cleanupI18n) {
+                this.cleanupI18n();
+                this.cleanupI18n = null;
+            }
         } catch (error) {
             console.error('🍎 Cleanup failed:', error);
         }
@@ -633,10 +1501,20 @@ class AppleGlobalController {
         return {
             initialized: this.initialized,
             fallbackMode: window.AppleGlobal.fallbackMode || false,
-            components: Array.from(this.components.keys()),
+            components: Array.from(this.components.values()).reduce((status, record) => {
+                status[record.name] = {
+                    state: record.state,
+                    dependsOn: record.dependsOn,
+                    error: record.error ? record.error.message : null
+                };
+                return status;
+            }, {}),
+            declarativeComponents: componentRegistry.getStatus(),
             performance: window.AppleGlobal.performance,
             features: Device.getFeatureSupport ? Device.getFeatureSupport() : {},
             device: Device.getDeviceInfo ? Device.getDeviceInfo() : {},
+            network: Offline.getNetworkStatus ? Offline.getNetworkStatus() : {},
+            locale: I18n.getLocale ? I18n.getLocale() : null,
             version: window.AppleGlobal.version
         };
     }
@@ -660,8 +1538,11 @@ function initializeAppleGlobal() {
         window.AppleGlobal.getComponent = (name) =>
             window.AppleGlobalController?.getComponent(name);
 
-        window.AppleGlobal.registerComponent = (name, instance) =>
-            window.AppleGlobalController?.registerComponent(name, instance);
+        window.AppleGlobal.updateComponent = (name, options) =>
+            window.AppleGlobalController?.updateComponent(name, options);
+
+        window.AppleGlobal.removeComponent = (name) =>
+            window.AppleGlobalController?.removeComponent(name);
 
         window.AppleGlobal.getStatus = () =>
             window.AppleGlobalController?.getStatus() || { error: 'Controller not available' };
@@ -692,6 +1573,7 @@ if (document.readyState === 'loading') {
 // Export for ES modules
 export {
     AppleGlobalController,
+    AppleComponentRegistry,
     initializeAppleGlobal
 };
 
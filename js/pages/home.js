@@ -5,22 +5,18 @@
  * Uses the new modular system for better maintainability
  */
 
-// Wait for Apple Global to be loaded
-function waitForAppleGlobal() {
-    return new Promise((resolve) => {
-        if (window.AppleGlobal?.initialized) {
-            resolve();
-        } else {
-            document.addEventListener('appleGlobalLoaded', resolve, { once: true });
-        }
-    });
-}
-
 /**
  * Apple-style Hero Controller - Modular Version
+ * Mounted on [data-component="hero"]; options: scrollTarget, parallaxSpeed
  */
 class AppleHeroController {
-    constructor() {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            scrollTarget: '#services',
+            parallaxSpeed: 0.5,
+            ...options
+        };
         this.elements = this.cacheElements();
         this.state = {
             hasAnimated: false,
@@ -35,12 +31,12 @@ class AppleHeroController {
 
     cacheElements() {
         return {
-            section: window.AppleGlobal.select('.hero-section'),
-            title: window.AppleGlobal.select('.hero-title'),
-            subtitle: window.AppleGlobal.select('.hero-subtitle'),
-            cta: window.AppleGlobal.select('.hero-cta'),
-            background: window.AppleGlobal.select('.hero-bg'),
-            scrollIndicator: window.AppleGlobal.select('.hero-scroll-indicator')
+            section: this.element,
+            title: window.AppleGlobal.select('.hero-title', this.element),
+            subtitle: window.AppleGlobal.select('.hero-subtitle', this.element),
+            cta: window.AppleGlobal.select('.hero-cta', this.element),
+            background: window.AppleGlobal.select('.hero-bg', this.element),
+            scrollIndicator: window.AppleGlobal.select('.hero-scroll-indicator', this.element)
         };
     }
 
@@ -73,7 +69,7 @@ class AppleHeroController {
     setupEntranceAnimation() {
         const { observeIntersection } = window.AppleGlobal;
 
-        observeIntersection(this.elements.section, (entries) => {
+        const observer = observeIntersection(this.elements.section, (entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting && !this.state.hasAnimated) {
                     this.triggerEntranceAnimation();
@@ -81,6 +77,8 @@ class AppleHeroController {
                 }
             });
         }, { threshold: 0.1 });
+
+        this.cleanupFunctions.push(() => observer.disconnect());
     }
 
     triggerEntranceAnimation() {
@@ -106,7 +104,7 @@ class AppleHeroController {
         // Only enable parallax on desktop and if motion is not reduced
         if (!prefersReducedMotion() && this.state.viewport.isDesktop) {
             const cleanup = createParallax(this.elements.background, {
-                speed: 0.5,
+                speed: this.options.parallaxSpeed,
                 direction: 'vertical'
             });
 
@@ -123,24 +121,28 @@ class AppleHeroController {
         this.cleanupFunctions.push(
             addEvent(this.elements.scrollIndicator, 'click', (e) => {
                 e.preventDefault();
-                const servicesSection = document.getElementById('services');
-                if (servicesSection) {
-                    scrollToElement(servicesSection);
+                const target = window.AppleGlobal.select(this.options.scrollTarget);
+                if (target) {
+                    scrollToElement(target);
                 }
             })
         );
 
-        // Hide on scroll
-        const { observeScrollProgress } = window.AppleGlobal;
-        const cleanup = observeScrollProgress(this.elements.section, (progress) => {
-            const opacity = Math.max(0, 1 - (progress * 2));
-            window.AppleGlobal.setStyles(this.elements.scrollIndicator, {
-                opacity: opacity.toString(),
-                transform: `translateX(-50%) translateY(${progress * 20}px)`
-            });
+        // Hide on scroll - the link is animated because the indicator itself
+        // runs a CSS entrance animation and is centred with a transform
+        const { scrollAnimate } = window.AppleGlobal;
+        const link = this.elements.scrollIndicator.querySelector('a') || this.elements.scrollIndicator;
+        const scrollAnimation = scrollAnimate(link, [
+            { opacity: 1, transform: 'translateY(0px)' },
+            { opacity: 0, transform: 'translateY(10px)', offset: 0.5 },
+            { opacity: 0, transform: 'translateY(20px)' }
+        ], {
+            subject: this.elements.section,
+            start: 'exit 0%',
+            end: 'exit 100%'
         });
 
-        this.cleanupFunctions.push(cleanup);
+        this.cleanupFunctions.push(() => scrollAnimation.destroy());
     }
 
     setupResponsiveHandling() {
@@ -186,9 +188,16 @@ class AppleHeroController {
 
 /**
  * Apple-style Services Controller - Modular Version
+ * Mounted on [data-component="services"]; options: stagger, duration
  */
 class AppleServicesController {
-    constructor() {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = {
+            stagger: 150,
+            duration: 600,
+            ...options
+        };
         this.elements = this.cacheElements();
         this.state = {
             hasAnimated: false
@@ -202,8 +211,8 @@ class AppleServicesController {
 
     cacheElements() {
         return {
-            section: window.AppleGlobal.select('.services-preview'),
-            cards: Array.from(window.AppleGlobal.selectAll('.service-card') || [])
+            section: this.element,
+            cards: Array.from(window.AppleGlobal.selectAll('.service-card', this.element) || [])
         };
     }
 
@@ -219,21 +228,26 @@ class AppleServicesController {
     setupCardAnimations() {
         const { observeIntersection, entranceAnimation } = window.AppleGlobal;
 
-        observeIntersection(this.elements.section, (entries) => {
+        const observer = observeIntersection(this.elements.section, (entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting && !this.state.hasAnimated) {
                     entranceAnimation(this.elements.cards, {
-                        duration: 600,
-                        stagger: 150
+                        duration: this.options.duration,
+                        stagger: this.options.stagger
                     });
                     this.state.hasAnimated = true;
                 }
             });
         }, { threshold: 0.2 });
+
+        this.cleanupFunctions.push(() => observer.disconnect());
     }
 
     setupCardInteractions() {
-        const { addEvent, isTouchDevice, APPLE_EASING } = window.AppleGlobal;
+        const { addEvent, isTouchDevice, spring } = window.AppleGlobal;
+
+        // Springs keep their velocity when the pointer moves across cards quickly
+        const hoverSpring = spring({ stiffness: 300, damping: 22 });
 
         if (!this.elements.cards || this.elements.cards.length === 0) {
             console.warn('🍎 No service cards found for interaction setup');
@@ -247,30 +261,20 @@ class AppleServicesController {
             if (!isTouchDevice()) {
                 this.cleanupFunctions.push(
                     addEvent(card, 'mouseenter', () => {
-                        window.AppleGlobal.setStyles(card, {
-                            transform: 'translateY(-8px)',
-                            transition: `all 0.3s ${APPLE_EASING}`
-                        });
+                        hoverSpring.animate(card, { translateY: -8 });
 
                         if (icon) {
-                            window.AppleGlobal.setStyles(icon, {
-                                transform: 'scale(1.05)',
-                                transition: `transform 0.3s ${APPLE_EASING}`
-                            });
+                            hoverSpring.animate(icon, { scale: 1.05 });
                         }
                     })
                 );
 
                 this.cleanupFunctions.push(
                     addEvent(card, 'mouseleave', () => {
-                        window.AppleGlobal.setStyles(card, {
-                            transform: 'translateY(0)'
-                        });
+                        hoverSpring.animate(card, { translateY: 0 });
 
                         if (icon) {
-                            window.AppleGlobal.setStyles(icon, {
-                                transform: 'scale(1)'
-                            });
+                            hoverSpring.animate(icon, { scale: 1 });
                         }
                     })
                 );
@@ -330,9 +334,12 @@ class AppleServicesController {
 
 /**
  * Apple-style About Controller - Modular Version
+ * Mounted on [data-component="about"]
  */
 class AppleAboutController {
-    constructor() {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...options };
         this.elements = this.cacheElements();
         this.state = {
             hasAnimated: false
@@ -346,10 +353,10 @@ class AppleAboutController {
 
     cacheElements() {
         return {
-            section: window.AppleGlobal.select('.about-snippet'),
-            content: window.AppleGlobal.select('.about-content'),
-            image: window.AppleGlobal.select('.about-snippet img'),
-            featureItems: Array.from(window.AppleGlobal.selectAll('.feature-list li') || [])
+            section: this.element,
+            content: window.AppleGlobal.select('.about-content', this.element),
+            image: window.AppleGlobal.select('img', this.element),
+            featureItems: Array.from(window.AppleGlobal.selectAll('.feature-list li', this.element) || [])
         };
     }
 
@@ -365,7 +372,7 @@ class AppleAboutController {
     setupScrollAnimation() {
         const { observeIntersection, animateElement } = window.AppleGlobal;
 
-        observeIntersection(this.elements.section, (entries) => {
+        const observer = observeIntersection(this.elements.section, (entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting && !this.state.hasAnimated) {
                     this.animateSection();
@@ -373,38 +380,41 @@ class AppleAboutController {
                 }
             });
         }, { threshold: 0.3 });
+
+        this.cleanupFunctions.push(() => observer.disconnect());
     }
 
     animateSection() {
-        const { animateElement, staggerAnimation } = window.AppleGlobal;
+        const { createTimeline } = window.AppleGlobal;
+        const timeline = createTimeline({ defaults: { duration: 800 } });
+
+        // Content and image slide in together, feature items follow
+        timeline.addLabel('intro', 200);
 
-        // Animate content
         if (this.elements.content) {
-            animateElement(this.elements.content, [
+            timeline.add(this.elements.content, [
                 { opacity: 0, transform: 'translateX(-60px)' },
                 { opacity: 1, transform: 'translateX(0)' }
-            ], { duration: 800, delay: 200 });
+            ], {}, 'intro');
         }
 
-        // Animate image
         if (this.elements.image) {
-            animateElement(this.elements.image, [
+            timeline.add(this.elements.image, [
                 { opacity: 0, transform: 'translateX(60px)' },
                 { opacity: 1, transform: 'translateX(0)' }
-            ], { duration: 800, delay: 400 });
+            ], {}, 'intro+=200');
         }
 
-        // Animate feature items
-        if (this.elements.featureItems.length > 0) {
-            staggerAnimation(this.elements.featureItems, [
+        timeline.addLabel('features', 'intro+=400');
+
+        this.elements.featureItems.forEach((item, index) => {
+            timeline.add(item, [
                 { opacity: 0, transform: 'translateY(20px)' },
                 { opacity: 1, transform: 'translateY(0)' }
-            ], {
-                duration: 500,
-                stagger: 100,
-                delay: 600
-            });
-        }
+            ], { duration: 500 }, `features+=${index * 100}`);
+        });
+
+        this.timeline = timeline.play();
     }
 
     setupImageInteraction() {
@@ -449,6 +459,11 @@ class AppleAboutController {
     }
 
     destroy() {
+        if (this.timeline) {
+            this.timeline.kill();
+            this.timeline = null;
+        }
+
         this.cleanupFunctions.forEach(cleanup => cleanup());
         this.cleanupFunctions = [];
     }
@@ -456,9 +471,12 @@ class AppleAboutController {
 
 /**
  * Apple-style CTA Controller - Modular Version
+ * Mounted on [data-component="cta"]
  */
 class AppleCTAController {
-    constructor() {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...options };
         this.elements = this.cacheElements();
         this.state = {
             hasAnimated: false
@@ -472,8 +490,8 @@ class AppleCTAController {
 
     cacheElements() {
         return {
-            section: window.AppleGlobal.select('.contact-cta'),
-            buttons: window.AppleGlobal.selectAll('.contact-cta .btn')
+            section: this.element,
+            buttons: window.AppleGlobal.selectAll('.btn', this.element)
         };
     }
 
@@ -489,7 +507,7 @@ class AppleCTAController {
     setupScrollAnimation() {
         const { observeIntersection, entranceAnimation } = window.AppleGlobal;
 
-        observeIntersection(this.elements.section, (entries) => {
+        const observer = observeIntersection(this.elements.section, (entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting && !this.state.hasAnimated) {
                     this.animateCTA();
@@ -497,6 +515,8 @@ class AppleCTAController {
                 }
             });
         }, { threshold: 0.4 });
+
+        this.cleanupFunctions.push(() => observer.disconnect());
     }
 
     animateCTA() {
@@ -647,49 +667,57 @@ class ApplePerformanceMonitor {
     }
 }
 
+/**
+ * Section controllers by data-component name
+ */
+const HOME_COMPONENTS = {
+    hero: AppleHeroController,
+    services: AppleServicesController,
+    about: AppleAboutController,
+    cta: AppleCTAController
+};
+
+let homeComponentsDefined = false;
+
+/**
+ * Register the home section controllers with the component registry
+ */
+function defineHomeComponents() {
+    if (homeComponentsDefined) return;
+    homeComponentsDefined = true;
+
+    Object.entries(HOME_COMPONENTS).forEach(([name, Component]) => {
+        window.AppleGlobal.defineComponent(name, Component);
+    });
+}
+
 /**
  * Home Page Controller - Orchestrates all components
+ * Started by the global component lifecycle once its dependencies are ready
  */
 class AppleHomePageController {
     constructor() {
         this.controllers = new Map();
         this.initialized = false;
-
-        this.init();
     }
 
-    async init() {
+    init() {
         try {
-            // Wait for Apple Global to be ready
-            await waitForAppleGlobal();
-
             console.log('🍎 Initializing Apple Home Page...');
 
-            // Initialize controllers with staggered timing
-            const controllerClasses = [
-                ['performance', ApplePerformanceMonitor],
-                ['hero', AppleHeroController],
-                ['services', AppleServicesController],
-                ['about', AppleAboutController],
-                ['cta', AppleCTAController]
-            ];
-
-            controllerClasses.forEach(([name, ControllerClass], index) => {
-                setTimeout(() => {
-                    try {
-                        const controller = new ControllerClass();
-                        this.controllers.set(name, controller);
-                        console.log(`🍎 ${name} controller initialized`);
-                    } catch (error) {
-                        console.error(`🍎 Error initializing ${name} controller:`, error);
-                    }
-                }, index * 100);
-            });
+            // Section controllers mount from their data-component attributes
+            defineHomeComponents();
+            window.AppleGlobal.mountComponents(document.querySelector('main'));
 
-            // Mark as initialized
-            setTimeout(() => {
-                this.markInitialized();
-            }, 500);
+            // Page-wide helpers
+            try {
+                this.controllers.set('performance', new ApplePerformanceMonitor());
+                console.log('🍎 performance controller initialized');
+            } catch (error) {
+                console.error('🍎 Error initializing performance controller:', error);
+            }
+
+            this.markInitialized();
 
         } catch (error) {
             console.error('🍎 Home page initialization failed:', error);
@@ -700,23 +728,16 @@ class AppleHomePageController {
         this.initialized = true;
         document.body.classList.add('apple-home-loaded');
 
-        // Register with global system
-        if (window.AppleGlobal.registerComponent) {
-            window.AppleGlobal.registerComponent('homePage', this);
-        }
-
-        // Dispatch event
-        document.dispatchEvent(new CustomEvent('appleHomeLoaded', {
-            detail: {
-                controllers: Array.from(this.controllers.keys())
-            }
-        }));
+        // Publish through the event bus (also dispatched as appleHomeLoaded)
+        window.AppleGlobal.emit('home:loaded', {
+            controllers: [...this.controllers.keys(), ...Object.keys(HOME_COMPONENTS)]
+        });
 
         console.log('🍎 Apple Home Page fully initialized');
     }
 
     getController(name) {
-        return this.controllers.get(name);
+        return this.controllers.get(name) || window.AppleGlobal.getComponentInstances(name)[0];
     }
 
     destroy() {
@@ -729,6 +750,11 @@ class AppleHomePageController {
         });
 
         this.controllers.clear();
+
+        const main = document.querySelector('main');
+        if (main) {
+            window.AppleGlobal.unmountComponents(main);
+        }
         document.body.classList.remove('apple-home-loaded');
     }
 
@@ -736,6 +762,10 @@ class AppleHomePageController {
         return {
             initialized: this.initialized,
             controllers: Array.from(this.controllers.keys()),
+            components: Object.keys(HOME_COMPONENTS).reduce((mounted, name) => {
+                mounted[name] = window.AppleGlobal.getComponentInstances(name).length;
+                return mounted;
+            }, {}),
             performance: window.AppleGlobal.getStatus?.()?.performance || {}
         };
     }
@@ -752,8 +782,41 @@ function initializeAppleHome() {
     }
 
     // Create home page controller
-    window.AppleHomePage = new AppleHomePageController();
-    return window.AppleHomePage;
+    const controller = new AppleHomePageController();
+    window.AppleHomePage = controller;
+
+    window.AppleGlobal.addComponent('homePage', {
+        dependsOn: ['theme'],
+        init: () => {
+            controller.init();
+            return controller;
+        }
+    });
+
+    return controller;
+}
+
+/**
+ * Tear down the home page (client-side route change)
+ */
+function destroyAppleHome() {
+    if (!window.AppleHomePage) return;
+
+    if (window.AppleGlobal.removeComponent) {
+        window.AppleGlobal.removeComponent('homePage');
+    } else {
+        window.AppleHomePage.destroy();
+    }
+
+    window.AppleHomePage = null;
+}
+
+// Let the router re-run the home page when navigating back to it
+if (window.AppleGlobal?.registerPage) {
+    window.AppleGlobal.registerPage('home', {
+        mount: initializeAppleHome,
+        unmount: destroyAppleHome
+    });
 }
 
 /**
@@ -774,7 +837,8 @@ export {
     AppleCTAController,
     ApplePerformanceMonitor,
     AppleHomePageController,
-    initializeAppleHome
+    initializeAppleHome,
+    destroyAppleHome
 };
 
 // Legacy support
@@ -13,6 +13,11 @@ class AppleThemeController {
         // Initialize media query FIRST
         this.prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
 
+        // Shared UI store (AppleGlobal) keeps the theme in sync across components
+        this.store = (window.AppleGlobal && window.AppleGlobal.uiStore) || null;
+        this.unsubscribeStore = null;
+        this.unsubscribeLocale = null;
+
         // Then get stored theme (now prefersDark is available)
         this.currentTheme = this.getStoredTheme();
 
@@ -44,11 +49,26 @@ class AppleThemeController {
     // INITIALIZATION
     // ==========================================
 
+    // Current theme is read from and written to the shared store when present
+    get currentTheme() {
+        return this.store ? this.store.getState().theme || this.theme : this.theme;
+    }
+
+    set currentTheme(theme) {
+        this.theme = theme;
+
+        if (this.store) {
+            this.store.setState({ theme });
+        }
+    }
+
     init() {
         try {
             this.createToggleButton();
             this.applyTheme(this.currentTheme, false); // No transition on init
             this.setupEventListeners();
+            this.setupStoreListener();
+            this.setupLocaleListener();
             this.setupSystemThemeListener();
             this.injectStyles();
         } catch (error) {
@@ -85,7 +105,7 @@ class AppleThemeController {
                 className: 'theme-toggle nav-link',
                 attributes: {
                     'aria-label': this.getAriaLabel(),
-                    'title': 'Toggle appearance',
+                    'title': this.translate('theme.toggle', 'Toggle appearance'),
                     'type': 'button'
                 },
                 styles: {
@@ -176,7 +196,15 @@ class AppleThemeController {
     }
 
     getAriaLabel() {
-        return this.currentTheme === 'dark' ? 'Switch to light mode' : 'Switch to dark mode';
+        return this.currentTheme === 'dark'
+            ? this.translate('theme.toLight', 'Switch to light mode')
+            : this.translate('theme.toDark', 'Switch to dark mode');
+    }
+
+    // Catalog text when AppleGlobal has loaded it, English otherwise
+    translate(key, fallback) {
+        const global = window.AppleGlobal;
+        return global && global.hasTranslation && global.hasTranslation(key) ? global.t(key) : fallback;
     }
 
     // ==========================================
@@ -454,6 +482,29 @@ class AppleThemeController {
         // Event listeners are set up in setupButtonEffects
     }
 
+    setupStoreListener() {
+        if (!this.store) return;
+
+        // Theme changed by another component through the store
+        this.unsubscribeStore = this.store.select(state => state.theme, (theme) => {
+            if (theme && theme !== this.theme) {
+                this.setTheme(theme);
+            }
+        });
+    }
+
+    setupLocaleListener() {
+        if (!window.AppleGlobal || !window.AppleGlobal.on) return;
+
+        this.unsubscribeLocale = window.AppleGlobal.on('i18n:change', () => {
+            this.updateToggleButton();
+
+            if (this.toggleButton) {
+                this.toggleButton.setAttribute('title', this.translate('theme.toggle', 'Toggle appearance'));
+            }
+        });
+    }
+
     setupSystemThemeListener() {
         try {
             if (this.prefersDark && this.prefersDark.addEventListener) {
@@ -477,9 +528,15 @@ class AppleThemeController {
 
     dispatchThemeEvent(theme) {
         try {
-            document.dispatchEvent(new CustomEvent('appleThemeChanged', {
-                detail: { theme, timestamp: Date.now() }
-            }));
+            const detail = { theme, timestamp: Date.now() };
+
+            // Event bus when AppleGlobal is loaded (it still dispatches appleThemeChanged)
+            if (window.AppleGlobal && window.AppleGlobal.emit) {
+                window.AppleGlobal.emit('theme:changed', detail);
+                return;
+            }
+
+            document.dispatchEvent(new CustomEvent('appleThemeChanged', { detail }));
         } catch (error) {
             console.error('Error dispatching theme event:', error);
         }
@@ -566,6 +623,16 @@ class AppleThemeController {
 
     destroy() {
         try {
+            if (this.unsubscribeStore) {
+                this.unsubscribeStore();
+                this.unsubscribeStore = null;
+            }
+
+            if (this.unsubscribeLocale) {
+                this.unsubscribeLocale();
+                this.unsubscribeLocale = null;
+            }
+
             if (this.toggleButton && this.toggleButton.parentNode) {
                 this.toggleButton.remove();
             }
@@ -644,6 +711,11 @@ function initializeAppleTheme(options = {}) {
         // Initialize controller
         window.AppleTheme = new AppleThemeController(options);
 
+        // Page controllers declare the theme as a lifecycle dependency
+        if (window.AppleGlobal && window.AppleGlobal.registerComponent) {
+            window.AppleGlobal.registerComponent('theme', window.AppleTheme);
+        }
+
         console.log('🍎 Apple Theme System initialized (DRY)');
 
         return window.AppleTheme;
@@ -0,0 +1,404 @@
+// mock/server.mjs
+
+/**
+ * Local Mock Server
+ * Serves the site and fakes the booking and ticket APIs so the booking
+ * wizard and repair tracker can be exercised end to end without a backend.
+ * Node built-ins only:
+ *
+ *   node mock/server.mjs              # http://localhost:8080
+ *   PORT=3000 MOCK_DELAY=800 node mock/server.mjs
+ *   MOCK_FAIL=1 node mock/server.mjs  # answer bookings with 503 (offline queue)
+ *   MOCK_TICKET_STEP=5000 node mock/server.mjs  # tickets advance every 5 s
+ *
+ * Endpoints:
+ *   POST /api/bookings  -> 201 { reference, status, booking }
+ *                          (200 and the first answer again for a repeated
+ *                          Idempotency-Key header / clientId)
+ *   GET  /api/bookings  -> 200 [bookings received since start]
+ *   GET  /api/tickets/:ticket?contact=         -> 200 ticket | 404
+ *   GET  /api/tickets/:ticket/events?contact=  -> text/event-stream ("status" events)
+ *   POST /api/tickets/:ticket/advance          -> 200 ticket (skip to the next stage)
+ *
+ * Static files: root pages, sw.js and css/, js/, data/, images/ (404 otherwise).
+ *
+ * Every booking opens a ticket under its reference. A demo ticket is always
+ * available: TFP-DEMO with phone 555-0100 or demo@example.com.
+ */
+
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const PORT = Number(process.env.PORT) || 8080;
+const DELAY = Number(process.env.MOCK_DELAY) || 300;
+const FAIL = process.env.MOCK_FAIL === '1';
+const TICKET_STEP = Number(process.env.MOCK_TICKET_STEP) || 20000;
+
+// Everything else in the checkout (mock/, tests/, .git, notes) stays private
+const PUBLIC_DIRS = ['css', 'js', 'data', 'images'];
+const PUBLIC_FILES = ['sw.js'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+const bookings = [];
+// Answers by booking client id, so retried posts don't book twice
+const bookingReplies = new Map();
+const tickets = new Map();
+
+/**
+ * Open a ticket
+ * @param {string} reference - Ticket number
+ * @param {Object} details - { device, service, phone, email, awaitsParts }
+ */
+function openTicket(reference, { device, service, phone, email, awaitsParts }) {
+    tickets.set(reference, {
+        reference,
+        device,
+        service,
+        phone,
+        email,
+        openedAt: Date.now(),
+        path: ['received', 'diagnosing', ...(awaitsParts ? ['awaiting-parts'] : []), 'repairing', 'qa', 'ready']
+    });
+}
+
+openTicket('TFP-DEMO', {
+    device: { brand: 'Apple', model: 'MacBook Pro 14"' },
+    service: 'screen-repair',
+    phone: '555-0100',
+    email: 'demo@example.com',
+    awaitsParts: true
+});
+
+/**
+ * Check the phone or email a ticket was booked with
+ * Phone numbers match when one ends with the other, ignoring country codes
+ * and trunk prefixes (+62 812… and 0812…).
+ * @param {Object} ticket - Ticket
+ * @param {string} contact - Phone or email
+ * @returns {boolean} Contact matches
+ */
+function matchesContact(ticket, contact = '') {
+    const value = contact.trim().toLowerCase();
+    if (!value) return false;
+
+    if (value.includes('@')) {
+        return Boolean(ticket.email) && ticket.email.toLowerCase() === value;
+    }
+
+    const digits = phone => (phone || '').replace(/\D/g, '').replace(/^0+/, '');
+    const given = digits(value);
+    const booked = digits(ticket.phone);
+
+    return given.length >= 7 && booked.length >= 7 && (given.endsWith(booked) || booked.endsWith(given));
+}
+
+/**
+ * Public view of a ticket; stages advance every TICKET_STEP ms
+ * @param {Object} ticket - Ticket
+ * @returns {Object} { ticket, status, device, service, history, updatedAt, estimatedReady }
+ */
+function getTicketView(ticket) {
+    const { path, openedAt } = ticket;
+    const index = Math.min(Math.floor((Date.now() - openedAt) / TICKET_STEP), path.length - 1);
+    const history = path.slice(0, index + 1).map((status, i) => ({
+        status,
+        at: new Date(openedAt + i * TICKET_STEP).toISOString()
+    }));
+
+    return {
+        ticket: ticket.reference,
+        status: path[index],
+        device: ticket.device,
+        service: ticket.service,
+        history,
+        updatedAt: history[history.length - 1].at,
+        estimatedReady: new Date(openedAt + (path.length - 1) * TICKET_STEP).toISOString()
+    };
+}
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {*} body - Body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body (max 20 MB for photo attachments)
+ * @param {IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+    return new Promise((resolvePromise, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > 20 * 1024 * 1024) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolvePromise(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check the fields the wizard always sends
+ * @param {Object} booking - Booking payload
+ * @returns {string[]} Missing fields
+ */
+function validateBooking(booking) {
+    const required = {
+        'device.brand': booking.device?.brand,
+        'device.model': booking.device?.model,
+        service: booking.service,
+        description: booking.description,
+        'appointment.date': booking.appointment?.date,
+        'appointment.slot': booking.appointment?.slot,
+        'contact.name': booking.contact?.name,
+        'contact.phone': booking.contact?.phone
+    };
+
+    return Object.keys(required).filter(field => !required[field]);
+}
+
+/**
+ * Handle /api/bookings
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ */
+async function handleBookings(req, res) {
+    if (req.method === 'GET') {
+        sendJson(res, 200, bookings.map(({ photos, ...booking }) => ({ ...booking, photos: photos.length })));
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { message: 'Method not allowed' });
+        return;
+    }
+
+    if (FAIL) {
+        sendJson(res, 503, { message: 'Booking service unavailable (MOCK_FAIL)' });
+        return;
+    }
+
+    const booking = await readJson(req);
+    const clientId = req.headers['idempotency-key'] || booking.clientId;
+
+    if (clientId && bookingReplies.has(clientId)) {
+        const reply = bookingReplies.get(clientId);
+        console.log(`[mock] booking ${reply.reference} repeated (${clientId}), ignored`);
+        sendJson(res, 200, reply);
+        return;
+    }
+
+    const missing = validateBooking(booking);
+
+    if (missing.length > 0) {
+        sendJson(res, 422, { message: `Missing fields: ${missing.join(', ')}`, missing });
+        return;
+    }
+
+    const reference = `TFP-${String(bookings.length + 1).padStart(4, '0')}`;
+    bookings.push({ reference, receivedAt: new Date().toISOString(), ...booking, photos: booking.photos || [] });
+    openTicket(reference, {
+        device: booking.device,
+        service: booking.service,
+        phone: booking.contact.phone,
+        email: booking.contact.email,
+        awaitsParts: ['screen-repair', 'hardware-upgrade'].includes(booking.service)
+    });
+
+    const reply = { reference, status: 'received', booking: { ...booking, photos: (booking.photos || []).length } };
+    if (clientId) bookingReplies.set(clientId, reply);
+
+    console.log(`[mock] booking ${reference}: ${booking.device.brand} ${booking.device.model}, ${booking.service}`);
+    sendJson(res, 201, reply);
+}
+
+/**
+ * Stream a ticket's status as Server-Sent Events
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ * @param {Object} ticket - Ticket
+ */
+function streamTicket(req, res, ticket) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive'
+    });
+
+    let lastStatus = null;
+    let ticks = 0;
+
+    const send = () => {
+        const view = getTicketView(ticket);
+        if (view.status !== lastStatus) {
+            lastStatus = view.status;
+            res.write(`event: status\ndata: ${JSON.stringify(view)}\n\n`);
+        } else if (++ticks % 15 === 0) {
+            // Keep proxies from closing an idle stream
+            res.write(': ping\n\n');
+        }
+    };
+
+    res.write('retry: 5000\n\n');
+    send();
+
+    const timer = setInterval(send, 1000);
+    req.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Handle /api/tickets/:ticket[/events|/advance]
+ * Unknown tickets and wrong contacts get the same 404.
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ * @param {URL} url - Request URL
+ */
+function handleTickets(req, res, url) {
+    const [, reference = '', action = ''] = url.pathname.match(/^\/api\/tickets\/([^/]+)(?:\/(events|advance))?$/) || [];
+    const ticket = tickets.get(decodeURIComponent(reference).toUpperCase());
+
+    if (action === 'advance') {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { message: 'Method not allowed' });
+        } else if (!ticket) {
+            sendJson(res, 404, { message: 'Ticket not found' });
+        } else {
+            ticket.openedAt -= TICKET_STEP;
+            sendJson(res, 200, getTicketView(ticket));
+        }
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendJson(res, 405, { message: 'Method not allowed' });
+        return;
+    }
+
+    if (!ticket || !matchesContact(ticket, url.searchParams.get('contact') || '')) {
+        sendJson(res, 404, { message: 'Ticket not found' });
+        return;
+    }
+
+    if (action === 'events') {
+        streamTicket(req, res, ticket);
+    } else {
+        sendJson(res, 200, getTicketView(ticket));
+    }
+}
+
+/**
+ * Whether a path inside the repository is part of the site
+ * (root pages, sw.js and the asset folders; no dot-files)
+ * @param {string} filePath - Absolute path
+ * @returns {boolean} Public
+ */
+function isPublicPath(filePath) {
+    const segments = filePath.slice(ROOT.length + 1).split(sep).filter(Boolean);
+    if (segments.length === 0) return true;
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+
+    if (segments.length === 1) {
+        return PUBLIC_FILES.includes(segments[0]) || extname(segments[0]) === '.html';
+    }
+
+    return PUBLIC_DIRS.includes(segments[0]);
+}
+
+/**
+ * Serve a static file from the repository root
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ * @param {string} pathname - URL path
+ */
+async function serveStatic(req, res, pathname) {
+    let filePath = normalize(join(ROOT, decodeURIComponent(pathname)));
+
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + sep)) {
+        res.writeHead(403).end();
+        return;
+    }
+
+    if (!isPublicPath(filePath)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+        return;
+    }
+
+    try {
+        if ((await stat(filePath)).isDirectory()) {
+            filePath = join(filePath, 'index.html');
+        }
+
+        const body = await readFile(filePath);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+    }
+}
+
+const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const { pathname } = url;
+
+    try {
+        if (pathname.startsWith('/api/')) {
+            await new Promise(done => setTimeout(done, DELAY));
+
+            if (pathname === '/api/bookings') {
+                await handleBookings(req, res);
+            } else if (pathname.startsWith('/api/tickets/')) {
+                handleTickets(req, res, url);
+            } else {
+                sendJson(res, 404, { message: 'Unknown endpoint' });
+            }
+            return;
+        }
+
+        await serveStatic(req, res, pathname);
+    } catch (error) {
+        sendJson(res, error.status || 500, { message: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`[mock] serving ${ROOT} on http://localhost:${PORT}`);
+});
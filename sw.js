@@ -0,0 +1,452 @@
+// sw.js
+
+/**
+ * Service Worker
+ * - Precaches the page shell (index.html, CSS, JS modules, price table, catalogs)
+ * - Pages: network first, falling back to the cached shell offline
+ * - Images: stale-while-revalidate in a size-limited cache
+ * - Form posts sent with an `X-Offline-Queue` header are stored in IndexedDB
+ *   when the network or server fails, and replayed with Background Sync
+ *   (or when a page asks, where sync is not supported)
+ *
+ * Bump CACHE_VERSION whenever a precached file changes.
+ */
+
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `optiontech-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `optiontech-images-${CACHE_VERSION}`;
+const MAX_IMAGES = 60;
+
+const SYNC_TAG = 'form-queue';
+
+// Site JSON (price table, holidays, branches, menu, catalogs) lives under data/
+const DATA_PATH = new URL('data/', self.location).pathname;
+// Default time a queued-capable post may take before it is queued instead
+const NETWORK_TIMEOUT = 10000;
+const QUEUE_DB = 'optiontech-offline';
+const QUEUE_STORE = 'requests';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'css/global.css',
+    'css/theme.css',
+    'css/pages/home.css',
+    'css/components/mega-menu.css',
+    'css/components/modal.css',
+    'css/components/booking-wizard.css',
+    'css/components/cost-estimator.css',
+    'css/components/repair-tracker.css',
+    'css/components/offline-banner.css',
+    'css/components/language-switcher.css',
+    'css/components/store-hours.css',
+    'css/components/store-locator.css',
+    'js/global.js',
+    'js/theme.js',
+    'js/pages/home.js',
+    'js/core/utils.js',
+    'js/core/device.js',
+    'js/core/dom.js',
+    'js/core/animation.js',
+    'js/core/observers.js',
+    'js/core/router.js',
+    'js/core/events.js',
+    'js/core/store.js',
+    'js/core/scroll-lock.js',
+    'js/core/forms.js',
+    'js/core/offline.js',
+    'js/core/i18n.js',
+    'js/components/navbar.js',
+    'js/components/mega-menu.js',
+    'js/components/modal.js',
+    'js/components/booking-wizard.js',
+    'js/components/cost-estimator.js',
+    'js/components/repair-tracker.js',
+    'js/components/offline-banner.js',
+    'js/components/language-switcher.js',
+    'js/components/store-hours.js',
+    'js/components/store-locator.js',
+    'data/prices.json',
+    'data/holidays.json',
+    'data/branches.json',
+    'data/menu.json',
+    'data/i18n/en.json',
+    'data/i18n/id.json'
+];
+
+// Third-party styles and scripts: cached when reachable, never fatal
+const OPTIONAL_URLS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js'
+];
+
+/* ==================================================
+   OFFLINE QUEUE (IndexedDB)
+   ================================================== */
+
+/**
+ * Open the queue database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openQueue() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a queue transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - (store) => IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withQueue(mode, callback) {
+    const db = await openQueue();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(QUEUE_STORE, mode);
+            const request = callback(transaction.objectStore(QUEUE_STORE));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+const getQueued = () => withQueue('readonly', store => store.getAll());
+const putQueued = entry => withQueue('readwrite', store => store.put(entry));
+const deleteQueued = id => withQueue('readwrite', store => store.delete(id));
+
+/**
+ * Tell every open page about the queue
+ * @param {Object} message - { type, ... }
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Report the queue size to open pages
+ */
+async function broadcastQueue() {
+    const entries = await getQueued();
+    await notifyClients({
+        type: 'queue',
+        size: entries.length,
+        entries: entries.map(({ id, tag, url, queuedAt, attempts }) => ({ id, tag, url, queuedAt, attempts }))
+    });
+}
+
+/**
+ * Whether a response means "try again later"
+ * @param {Response} response - Response
+ * @returns {boolean} Retry later
+ */
+function isRetryableResponse(response) {
+    return response.status >= 500 || response.status === 408 || response.status === 429;
+}
+
+/**
+ * Fetch with a time limit
+ * @param {Request} request - Request
+ * @param {number} timeout - Time limit in ms
+ * @returns {Promise<Response>} Response (rejects on timeout)
+ */
+async function fetchWithTimeout(request, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        return await fetch(request, { signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Send a form post, queueing it when it cannot be delivered in time
+ * The page's time limit comes in `X-Offline-Timeout`; pages wait a little
+ * longer than that, so the post is only ever queued here.
+ * @param {Request} request - POST request with X-Offline-Queue
+ * @returns {Promise<Response>} Server response, or 202 { queued, reference }
+ */
+async function sendOrQueue(request) {
+    const copy = request.clone();
+    const timeout = Number(request.headers.get('X-Offline-Timeout')) || NETWORK_TIMEOUT;
+
+    try {
+        const response = await fetchWithTimeout(request, timeout);
+        if (!isRetryableResponse(response)) return response;
+    } catch (error) {
+        // Network failure: queue below
+    }
+
+    // A post retried under the same Idempotency-Key replaces its queued copy
+    const id = copy.headers.get('Idempotency-Key') ||
+        `queued-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    await putQueued({
+        id,
+        tag: copy.headers.get('X-Offline-Queue'),
+        url: copy.url,
+        method: copy.method,
+        headers: Array.from(copy.headers.entries()),
+        body: await copy.blob(),
+        queuedAt: Date.now(),
+        attempts: 0
+    });
+
+    if (self.registration.sync) {
+        try {
+            await self.registration.sync.register(SYNC_TAG);
+        } catch (error) {
+            // Sync unavailable (permissions): pages retry manually
+        }
+    }
+
+    await broadcastQueue();
+
+    return new Response(JSON.stringify({
+        queued: true,
+        reference: id,
+        message: 'Saved offline. It will be sent when the connection returns.'
+    }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Replay in progress (sync and page requests share it)
+ */
+let activeReplay = null;
+
+/**
+ * Replay queued posts, one replay at a time
+ * @returns {Promise<Object>} { sent, remaining }
+ */
+function replayQueue() {
+    if (!activeReplay) {
+        activeReplay = sendQueued().finally(() => {
+            activeReplay = null;
+        });
+    }
+
+    return activeReplay;
+}
+
+/**
+ * Send queued posts, oldest first
+ * @returns {Promise<Object>} { sent, remaining }
+ */
+async function sendQueued() {
+    const entries = (await getQueued()).sort((a, b) => a.queuedAt - b.queuedAt);
+    let sent = 0;
+    let remaining = 0;
+
+    for (const entry of entries) {
+        try {
+            const response = await fetch(entry.url, {
+                method: entry.method,
+                headers: entry.headers,
+                body: entry.body
+            });
+
+            if (isRetryableResponse(response)) {
+                throw new Error(`Server error (${response.status})`);
+            }
+
+            await deleteQueued(entry.id);
+            sent++;
+
+            const body = await response.json().catch(() => ({}));
+            await notifyClients({
+                type: 'replayed',
+                id: entry.id,
+                tag: entry.tag,
+                url: entry.url,
+                ok: response.ok,
+                status: response.status,
+                body
+            });
+        } catch (error) {
+            remaining++;
+            await putQueued({ ...entry, attempts: entry.attempts + 1 });
+        }
+    }
+
+    await broadcastQueue();
+    return { sent, remaining };
+}
+
+/* ==================================================
+   CACHING STRATEGIES
+   ================================================== */
+
+/**
+ * Network first for pages, cached shell when offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function handleNavigation(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && new URL(request.url).origin === self.location.origin) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (await cache.match('index.html')) ||
+            Response.error();
+    }
+}
+
+/**
+ * Stale-while-revalidate for images
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function handleImage(event) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(event.request);
+
+    const update = fetch(event.request).then(async response => {
+        // Cross-origin images come back opaque (status 0) but still render
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(event.request, response.clone());
+            await trimCache(cache, MAX_IMAGES);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+/**
+ * Keep a cache under a number of entries (oldest first out)
+ * @param {Cache} cache - Cache
+ * @param {number} maxEntries - Limit
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Precached assets from the cache, refreshed in the background
+ * @param {FetchEvent} event - Fetch event
+ * @param {Object} options - { ignoreSearch } for the cache lookup
+ * @returns {Promise<Response>} Response
+ */
+async function handleAsset(event, { ignoreSearch = true } = {}) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch });
+
+    const update = fetch(event.request).then(response => {
+        if (response.ok) {
+            cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+
+    return update;
+}
+
+/* ==================================================
+   LIFECYCLE
+   ================================================== */
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(PRECACHE_URLS);
+        await Promise.all(OPTIONAL_URLS.map(url => cache.add(url).catch(() => {})));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, IMAGE_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('optiontech-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && request.headers.has('X-Offline-Queue')) {
+        event.respondWith(sendOrQueue(request));
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    // Live data is never served from cache
+    if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(handleImage(event));
+    } else if (['style', 'script', 'font'].includes(request.destination)) {
+        event.respondWith(handleAsset(event));
+    } else if (url.origin === self.location.origin && url.pathname.startsWith(DATA_PATH) && url.pathname.endsWith('.json')) {
+        // Query strings select different data, so they must match
+        event.respondWith(handleAsset(event, { ignoreSearch: false }));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) return;
+
+    event.waitUntil(replayQueue().then(({ remaining }) => {
+        // Rejecting asks the browser to retry the sync later
+        if (remaining > 0 && !event.lastChance) {
+            throw new Error(`${remaining} queued request(s) still waiting`);
+        }
+    }));
+});
+
+self.addEventListener('message', (event) => {
+    const { type } = event.data || {};
+    const port = event.ports[0];
+    const reply = message => (port ? port.postMessage(message) : event.source && event.source.postMessage(message));
+
+    if (type === 'replay') {
+        event.waitUntil(replayQueue()
+            .then(result => reply({ type: 'replay-result', ...result }))
+            .catch(error => reply({ type: 'replay-result', error: error.message })));
+    } else if (type === 'queue') {
+        event.waitUntil(getQueued().then(entries => reply({ type: 'queue', size: entries.length })));
+    } else if (type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
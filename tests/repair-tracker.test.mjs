@@ -0,0 +1,191 @@
+// tests/repair-tracker.test.mjs
+
+/**
+ * Repair Tracker Tests
+ * Runs the tracker against the mock server (mock/server.mjs) with the few
+ * browser globals it touches filled in. Node built-ins only:
+ *
+ *   node --test tests/
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SERVER = fileURLToPath(new URL('../mock/server.mjs', import.meta.url));
+const PORT = 18000 + Math.floor(Math.random() * 1000);
+const ENDPOINT = `http://localhost:${PORT}/api/tickets`;
+
+const DEMO_TICKET = 'TFP-DEMO';
+const DEMO_PHONE = '555-0100';
+const STORAGE_KEY = 'techfix-pro-tracking';
+
+/**
+ * In-memory localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+const noop = () => {};
+
+globalThis.window = {
+    location: { search: '', hostname: 'localhost' },
+    addEventListener: noop,
+    removeEventListener: noop,
+    focus: noop
+};
+globalThis.document = {
+    hidden: false,
+    visibilityState: 'visible',
+    documentElement: {},
+    addEventListener: noop,
+    removeEventListener: noop,
+    dispatchEvent: noop
+};
+globalThis.localStorage = new MemoryStorage();
+
+// Component logs share stdout with the test runner's reporter
+console.log = noop;
+console.warn = noop;
+
+const { AppleRepairTracker } = await import('../js/components/repair-tracker.js');
+
+/**
+ * A tracker root without form markup; results are read from its state
+ * @returns {Object} Element
+ */
+function createRoot() {
+    return {
+        querySelector: () => null,
+        setAttribute: noop,
+        removeAttribute: noop,
+        scrollIntoView: noop
+    };
+}
+
+/**
+ * Create a tracker talking to the mock server
+ * @param {Object} options - Tracker options
+ * @returns {AppleRepairTracker} Tracker
+ */
+function createTracker(options = {}) {
+    return new AppleRepairTracker(createRoot(), { endpoint: ENDPOINT, live: false, notify: false, ...options });
+}
+
+let server = null;
+
+before(async () => {
+    server = spawn(process.execPath, [SERVER], {
+        env: { ...process.env, PORT: String(PORT), MOCK_DELAY: '1' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.once('exit', code => reject(new Error(`Mock server exited (${code})`)));
+        server.stdout.on('data', chunk => {
+            if (String(chunk).includes('[mock] serving')) resolve();
+        });
+    });
+});
+
+after(() => {
+    server.removeAllListeners('exit');
+    server.kill();
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+test('tracks a ticket by phone number', async () => {
+    const tracker = createTracker();
+    const data = await tracker.track(DEMO_TICKET.toLowerCase(), DEMO_PHONE);
+
+    assert.equal(data.ticket, DEMO_TICKET);
+    assert.equal(tracker.getState().ticket, DEMO_TICKET);
+    assert.equal(tracker.getState().status, data.status);
+    tracker.destroy();
+});
+
+test('tracks a ticket by email', async () => {
+    const tracker = createTracker();
+    const data = await tracker.track(DEMO_TICKET, 'Demo@Example.com');
+
+    assert.equal(data.ticket, DEMO_TICKET);
+    tracker.destroy();
+});
+
+test('does not show a ticket for the wrong contact', async () => {
+    const tracker = createTracker();
+    const data = await tracker.track(DEMO_TICKET, '555-9999');
+
+    assert.equal(data, null);
+    assert.equal(tracker.getState().data, null);
+    assert.equal(tracker.getState().isLoading, false);
+    tracker.destroy();
+});
+
+test('remembers the ticket number but not the phone or email', async () => {
+    const tracker = createTracker();
+    await tracker.track(DEMO_TICKET, DEMO_PHONE);
+
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)), { ticket: DEMO_TICKET });
+    tracker.destroy();
+});
+
+test('ignores a refresh that lands after the form was cleared', async () => {
+    const tracker = createTracker();
+    await tracker.track(DEMO_TICKET, DEMO_PHONE);
+
+    const pending = tracker.refresh();
+    tracker.reset();
+
+    assert.equal(await pending, null);
+    assert.equal(tracker.getState().data, null);
+    tracker.destroy();
+});
+
+test('ignores a refresh for a previously tracked ticket', async () => {
+    const tracker = createTracker();
+    await tracker.track(DEMO_TICKET, DEMO_PHONE);
+
+    const pending = tracker.refresh();
+    await tracker.track(DEMO_TICKET, 'demo@example.com');
+
+    assert.equal(await pending, null);
+    assert.equal(tracker.getState().contact, 'demo@example.com');
+    tracker.destroy();
+});
+
+test('ignores an earlier lookup of the same ticket with another contact', async () => {
+    const tracker = createTracker();
+    const first = tracker.track(DEMO_TICKET, '555-9999');
+    const second = tracker.track(DEMO_TICKET, DEMO_PHONE);
+
+    assert.equal(await first, null);
+    assert.equal((await second).ticket, DEMO_TICKET);
+    assert.equal(tracker.getState().contact, DEMO_PHONE);
+    assert.equal(tracker.getState().isLoading, false);
+    tracker.destroy();
+});